@@ -6,8 +6,12 @@
 
 var express = require('express.io');
 var path = require('path');
+var log = require('./log.js')('app');
 var app = express().http().io();
-var port = 6789;
+
+    //    load our settings (see config.js) -- first, as the rest of this file uses them
+MIN_ROOM_NUM = 0;                       //  Not a setting: room ids from here up are the difficulty levels
+var config = require('./config.js')(app);
 
     //    configure our environment
 app.configure(function()
@@ -22,7 +26,7 @@ app.configure(function()
     app.use(express.static(path.join(__dirname, 'public')));
 
         //    session support enabled.
-    app.use(express.session({secret: 'peach'}));
+    app.use(express.session({secret: SESSION_SECRET}));
 
     app.set("view engine", "ejs");
 
@@ -37,40 +41,123 @@ app.configure(function()
 (function()
   {
 
-  //    Constants shared by Timer and Routes modules.
+  //    Constants shared by Timer and Routes modules (besides the settings in config.js).
+
+    //  See scoreboards.js for scoreboard-format documentation
+    SCOREBOARD_FORMATS = ['full', 'delta'];   //  'play_timer_update' formats; the first is the default
 
-    //  See timer.js for time-related documentation
-    SECS_IN_LOBBY = 30;
-    SECS_IN_COMPLETE_CYCLE = 180;
-    MSECS_IN_COMPLETE_CYCLE = SECS_IN_COMPLETE_CYCLE * 1000;
+    //  See leaderboard.js for leaderboard-related documentation
+    DIFFICULTY_WEIGHTS = [1, 1.5, 2, 3];  //  Per level: multiplier on points for global leaderboards
 
-    //  See route.js for room-related documentation
-    MIN_ROOM_NUM = 0;
-    NUM_ROOMS = 4;
+    //  See questions.js for question-related documentation
+    QUESTION_SET_FILES = [];
+    for (var i = MIN_ROOM_NUM; i < (MIN_ROOM_NUM + NUM_ROOMS); i++)
+    {
+      QUESTION_SET_FILES[i] = 'questions/level-' + i + '.json';
+    }
+
+    //  Each room runs its own schedule: {secs_in_lobby, secs_in_complete_cycle}, as configured (see config.js)
+    ROOM_SCHEDULES = [];
+    for (var i = MIN_ROOM_NUM; i < (MIN_ROOM_NUM + NUM_ROOMS); i++)
+    {
+      ROOM_SCHEDULES[i] = config.scheduleFor(i);
+    }
 
   //    Variables shared by Timer and Routes modules.
+    active_rooms = [];                  //  Every room the timer runs: the public rooms, then any private ones
+    room_levels = [];                   //  Per room: its difficulty level (a public room's is its own id)
     roomCount = [];
+    spectatorCount = [];
+    round_in_progress = [];
+    round_results = [];
     for (var i = MIN_ROOM_NUM; i < (MIN_ROOM_NUM + NUM_ROOMS); i++)
     {
+      active_rooms.push(i);
+      room_levels[i] = i;
       roomCount[i] = 0;
+      spectatorCount[i] = 0;
+      round_in_progress[i] = false;
+      round_results[i] = [];
     }
 
     all_players_list = {};
-    round_in_progress = false;
-    round_results = [];
+
+  //    /store.js shares the state above with any other instances, via memorystore.js or redisstore.js
+    var store = require('./store.js')(app);
+
+  //    /metrics.js keeps the timer & gameplay metrics, for GET /metrics
+    var metrics = require('./metrics.js')(app);
+
+  //    /clock.js keeps the round engine's time: real, or virtual in simulation mode
+    var clock = require('./clock.js')(app);
+
+  //    /timesync.js keeps the server's high-resolution time, and each session's clock offset
+    var timesync = require('./timesync.js')(app, clock);
+
+  //    /pubsub.js sends room BROADCASTs, and other messages, to every instance
+    var pubsub = require('./pubsub.js')(app, store, metrics, timesync);
+
+  //    /election.js picks the one instance that runs the timer
+    var election = require('./election.js')(app, store);
+
+  //    /history.js stores finished rounds and answers queries about them
+    var history = require('./history.js')(app);
+
+  //    /leaderboard.js keeps the global (cross-room) leaderboards
+    var leaderboard = require('./leaderboard.js')(app, history);
+
+  //    /identity.js verifies the identity tokens that clients present
+    var identity = require('./identity.js')(app);
+
+  //    /webhook.js sends each finished round to the Rails server, retrying until delivered
+    var webhook = require('./webhook.js')(app, path.join(__dirname, 'data'));
+
+  //    /questions.js loads each room's question set and runs its timeline
+    var questions = require('./questions.js')(app, pubsub, clock);
+
+  //    /privaterooms.js creates private rooms, finds them by invite code, and removes them once empty
+    var privateRooms = require('./privaterooms.js')(app, questions, store, clock);
+
+  //    /teams.js keeps each room's team standings, and spreads team-less players among its teams
+    var teams = require('./teams.js')(app, store, pubsub);
+
+  //    /shards.js splits crowded rooms into shards, each with its own scoreboard
+    var shards = require('./shards.js')(app, store, pubsub, teams);
+
+  //    /scoreboards.js sends each shard's 'play_timer_update', in full or as deltas
+    var scoreboards = require('./scoreboards.js')(app, shards, pubsub, timesync);
+
+  //    /calibration.js keeps the timer's ticks on the second, by the TIMER_CALIBRATION strategy
+    var calibration = require('./calibration.js')(app, metrics, clock);
 
   //    /timer.js handles setting and executing all periodic recurring timers
-    var timer = require('./timer.js')(app);
-    timer.start();
+    var timer = require('./timer.js')(app, history, questions, webhook, leaderboard, privateRooms, shards, scoreboards, store, pubsub, config, metrics, calibration, clock, teams);
       
   //    /routes/index.js handles all routing and rooms
-    var route = require('./routes/route.js')(app);
+    var route = require('./routes/route.js')(app, history, questions, identity, leaderboard, privateRooms, shards, scoreboards, store, pubsub, election, metrics, timesync, clock, teams);
+
+  //    /routes/admin.js handles the (token-protected) admin API
+    var admin = require('./routes/admin.js')(app, timer, webhook, privateRooms, shards, pubsub, election, store, config, metrics, timesync, clock, teams);
+
+  //    /snapshot.js shuts down gracefully upon SIGTERM, saving the game state to restore upon restart
+    var snapshot = require('./snapshot.js')(app, store, timer, clock);
+
+  //    Catch up on the shared state (and any snapshot) before serving anyone; the elected leader starts the timer
+    var restored = snapshot.restore();
+    store.load(function(err)
+      {
+        if (err)
+        {
+          log.error('Failed to load the shared state from ' + STATE_STORE + ' -- ' + err.message, { event: 'store_load_failed' });
+          process.exit(1);
+        }
+        if (restored)
+        {
+          route.holdRestoredSeats();
+        }
+        election.start(function() { timer.start(); });
+
+        app.listen(PORT);
+        log.info('Express server listening on port ' + PORT, { event: 'listening', port: PORT });
+      });
   }())
-
-app.listen(port);
-
-console.log('\n ***************************************************');
-console.log('*****                                           *****');
-console.log('*****   Express server listening on port ' + port + '   *****');
-console.log('*****                                           *****');
-console.log(' ***************************************************\n');
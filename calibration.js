@@ -0,0 +1,379 @@
+//    SonicFlux Node.js server - calibration.js
+    //
+    //  This module implements the fine-tuning of our every-second heartbeat
+    //  (see timer.js): keeping each tick on x.000, by one of two calibration
+    //  strategies.  Each keeps a history of how far its ticks landed from
+    //  the second, so that the two can be compared on the same machine.
+    //
+
+  //  ABOUT SONICFLUX: TIMER CALIBRATION
+  //
+  //    Fine-tuning our internal heartbeat
+    //
+    //  Because in the future we intend to have exercises that are highly
+    //  time-sensitive (e.g. rhythm quizzes), our timer must be very
+    //  accurate.  Because even hardware-based clocks can drift over time,
+    //  we want the ability to periodically calibrate our timer frequency.
+    //  As each tick fires, we measure how far it landed from ##:###.000
+    //  (by the clock; see clock.js): its msecClkErr, + late, - early.
+    //  What a strategy then does about it is up to the strategy.  The
+    //  setting TIMER_CALIBRATION picks one, 'stepped' or 'pi' (see
+    //  config.js); it can be changed while the server runs, and the new
+    //  strategy takes over the heartbeat at the next tick.
+    //
+    //  Whichever is in use, a strategy is asked to start() the heartbeat:
+    //  after a one-shot delay, call the first-tick routine, then the tick
+    //  routine every second until stop().
+    //
+  //    'stepped' (the default)
+    //
+    //  If the timer strays too far from x.000, we change its frequency to
+    //  bring it back into synchronization.  We do this by clearing an in-
+    //  progress recurring timer, and immediately setting a new one with
+    //  a slightly different interval.
+    //
+    //  Experiments indicate that the best msec interval for a 1.000 sec
+    //  recurring timer is actually 990 msec.  Setting the interval to
+    //  1000 msec yields a timer that occasionally 'slips' by 16 msec,
+    //  whereas striving for 990 msec appears to keep the overall system
+    //  on a 1000-msec schedule nicely.  This is NORMAL_TIMER_INTERVAL.
+    //
+    //  Additionally, although Date.getTime appears to be millisecond-
+    //  accurate, Javascript timers nonetheless seem to have a core clock
+    //  granularity of approx 16 msec.  System VGA (omnipresent, contains
+    //  a hardware clock, refreshes at 60Hz) is likely the root clock.
+    //  This puts a lower bound on error thresholds and any fine-tune
+    //  frequency adjustments: trying to stay tighter only leads to
+    //  hysteresis without improving accuracy.  An error threshold of +/-
+    //  10 msec, at which point we fine-tune our timer interval by +/- 14
+    //  msec, appears sufficiently responsive while still stable.  This
+    //  is reflected in MSECS_MAX_CLK_ERR, and in FAST_TIMER_INTERVAL
+    //  (to speed up our clock) and SLOW_TIMER_INTERVAL (to slow down
+    //  our clock).
+    //
+    //  Finally, USE_LARGER_CLOCK_SKEW indicates whether the system
+    //  makes even larger timer adjustments, to bring the clock back to
+    //  x.000 more quickly.  This is implemented but disabled: even a
+    //  maximum clock error of 500 msec can be corrected within 30 secs,
+    //  in the absence of some other significant load on the system.
+    //  USE_LARGER_CLOCK_SKEW stands ready if ever needed.
+    //
+    //  Being a bang-bang controller, 'stepped' tends to swing between
+    //  intervals, each change tearing down and recreating the setInterval.
+    //
+  //    'pi'
+    //
+    //  Instead of a recurring timer, each tick sets a one-shot timer for
+    //  the next: for the next x.000, less a lead that makes up for timers
+    //  firing late.  The lead is a proportional/integral controller on
+    //  msecClkErr:
+    //
+    //    lead = PI_PROPORTIONAL_GAIN * msecClkErr
+    //         + PI_INTEGRAL_GAIN * (sum of msecClkErr so far)
+    //
+    //  The integral term settles on however late this machine's timers
+    //  fire, so that ticks land on x.000 on average; the proportional term
+    //  corrects a one-off error at the next tick, rather than letting it
+    //  build.  The lead is held within +/- PI_MAX_LEAD_MSECS, and so is the
+    //  integral term (so that a long stall, e.g. a sleep, doesn't wind it
+    //  up).  As every tick is aimed at a second of its own, an error never
+    //  carries over into the next tick, and nothing is torn down.
+    //
+  //    Drift history
+    //
+    //  Each strategy keeps its latest DRIFT_HISTORY_LENGTH ticks, each
+    //  {at, clk_err_ms, interval_ms} (the interval its next tick was set
+    //  for), plus a summary of them: mean and spread of msecClkErr, its
+    //  mean, 95th percentile and largest size, and how many ticks strayed
+    //  beyond MSECS_MAX_CLK_ERR.  A strategy keeps its history when another
+    //  takes over, so running one for a while, then the other, compares the
+    //  two on the same machine.  The summaries are in /admin/timer, the
+    //  histories in /admin/timer/drift (see routes/admin.js), and the drift
+    //  of each strategy in sonicflux_tick_drift_ms (see metrics.js).
+    //
+
+var log = require('./log.js')('calibration');
+
+module.exports = function Calibration(app, metrics, clock)
+{
+  //  Module-wide constants and enums
+    //  (MSECS_MAX_CLK_ERR, USE_LARGER_CLOCK_SKEW and TIMER_CALIBRATION are settings; see config.js)
+
+    SECS_PER_CALIBRATION = 1;           //  'stepped': how often do we check the timer accuracy
+
+    MSECS_EXTRA_MAX_CLK_ERR = 25;       //  Only used if USE_LARGER_CLOCK_SKEW is true
+
+    TimerEnum = {
+      TIMER_NOT_SET         : 0,
+
+      FASTER_TIMER_INTERVAL : 960,      //  Only used if USE_LARGER_CLOCK_SKEW is true
+
+      FAST_TIMER_INTERVAL   : 976,
+      NORMAL_TIMER_INTERVAL : 990,
+      SLOW_TIMER_INTERVAL   : 1004,
+
+      SLOWER_TIMER_INTERVAL : 1020,     //  Only used if USE_LARGER_CLOCK_SKEW is true
+    }
+
+    var PI_PROPORTIONAL_GAIN = 0.3;
+    var PI_INTEGRAL_GAIN = 0.1;
+    var PI_MAX_LEAD_MSECS = 100;        //  'pi': most we fire ahead of (or behind) x.000
+
+    var DRIFT_HISTORY_LENGTH = 600;     //  Ticks kept per strategy: ten minutes' worth
+
+  //  Module-wide variables
+    var strategies = {};                //  Per strategy name: that strategy, once used (kept, with its drift history)
+    var makers = { stepped: steppedStrategy, pi: piStrategy };
+
+
+//  Worker functions
+
+  //    How far this time is from the nearest x.000: [-500, 499] msec, + late, - early.
+  function clockError(now)
+    {
+      return (now + 500) % 1000 - 500;
+    }
+
+  //    Hold value within +/- limit.
+  function clamp(value, limit)
+    {
+      return Math.max(-limit, Math.min(limit, value));
+    }
+
+  //    Note a strategy's tick: its msecClkErr, and the interval its next tick is set for.
+  function recordDrift(strategy, now, msecClkErr, interval)
+    {
+      strategy.history.push( { at: now, clk_err_ms: msecClkErr, interval_ms: interval } );
+      if (strategy.history.length > DRIFT_HISTORY_LENGTH)
+        strategy.history.shift();
+      strategy.lastMsecClkErr = msecClkErr;
+      metrics.tickMeasured(strategy.name, msecClkErr, interval);
+    }
+
+  //    A summary of a drift history: {ticks, mean_ms, stddev_ms, mean_abs_ms, p95_abs_ms, max_abs_ms, over_max_clk_err}.
+  function summarize(history)
+    {
+      if (!history.length)
+        return { ticks: 0 };
+
+      var sum = 0;
+      var sumSquares = 0;
+      var sizes = [];
+      for (var index = 0; index < history.length; index++)
+      {
+        var msecClkErr = history[index].clk_err_ms;
+        sum += msecClkErr;
+        sumSquares += msecClkErr * msecClkErr;
+        sizes.push(Math.abs(msecClkErr));
+      }
+      sizes.sort( function(a,b) { return a - b; });
+
+      var mean = sum / history.length;
+      var sizeSum = sizes.reduce( function(total, size) { return total + size; }, 0);
+      return  { ticks: history.length,
+                mean_ms: Math.round(mean * 10) / 10,
+                stddev_ms: Math.round(Math.sqrt(Math.max(0, sumSquares / history.length - mean * mean)) * 10) / 10,
+                mean_abs_ms: Math.round(sizeSum / history.length * 10) / 10,
+                p95_abs_ms: sizes[Math.min(sizes.length - 1, Math.floor(sizes.length * 0.95))],
+                max_abs_ms: sizes[sizes.length - 1],
+                over_max_clk_err: sizes.filter( function(size) { return size > MSECS_MAX_CLK_ERR; }).length };
+    }
+
+  //    The 'stepped' strategy: a recurring timer, swapped for a faster or slower one as msecClkErr strays.
+  function steppedStrategy()
+    {
+      var strategy = { name: 'stepped', history: [], lastMsecClkErr: null };
+      var currentTimerInterval = TimerEnum.TIMER_NOT_SET;
+      var timerIntervalChanges = 0;
+      var ticks = 0;
+      var timerTimeoutObj = null;
+      var timerIntervalObj = null;
+      var running = false;
+
+      //  Adjust timer frequency as needed to stay on cadence.
+        //  If too far off, cancel & restart the timer with an adjusted frequency.
+      function calibrateTimer(msecClkErr, callback)
+        {
+          var newTimerInterval = TimerEnum.NORMAL_TIMER_INTERVAL;
+
+          if (msecClkErr > MSECS_MAX_CLK_ERR)                 //  timer is running a little late
+          {
+            newTimerInterval = TimerEnum.FAST_TIMER_INTERVAL;
+          }
+          else if (msecClkErr < -MSECS_MAX_CLK_ERR)           //  timer is running a little early
+          {
+            newTimerInterval = TimerEnum.SLOW_TIMER_INTERVAL;
+          }
+
+          if (USE_LARGER_CLOCK_SKEW)
+          {
+            if (msecClkErr > MSECS_EXTRA_MAX_CLK_ERR)           //  timer is running late
+            {
+              newTimerInterval = TimerEnum.FASTER_TIMER_INTERVAL;
+            }
+            else if (msecClkErr < -MSECS_EXTRA_MAX_CLK_ERR)     //  timer is running early
+            {
+              newTimerInterval = TimerEnum.SLOWER_TIMER_INTERVAL;
+            }
+          }
+
+          if (currentTimerInterval != newTimerInterval)
+          {
+            log.info('Setting the new timer interval: ' + newTimerInterval + ' ms',
+                     { event: 'timer_interval', interval_ms: newTimerInterval, clock_error_ms: msecClkErr });
+
+            clock.clearInterval(timerIntervalObj);
+            timerIntervalObj = clock.setInterval(tick, newTimerInterval, callback, callback);
+            currentTimerInterval = newTimerInterval;
+            timerIntervalChanges++;
+            metrics.timerIntervalChanged();
+          }
+        }
+
+      //  Each tick: measure, run the routine, then (every SECS_PER_CALIBRATION) calibrate.
+      function tick(thisCallback, callback)
+        {
+          var now = clock.now();
+          var msecClkErr = clockError(now);
+          thisCallback();
+          if (!running)
+            return;
+
+          if ((++ticks % SECS_PER_CALIBRATION) == 0)
+          {
+            calibrateTimer(msecClkErr, callback);
+          }
+          recordDrift(strategy, now, msecClkErr, currentTimerInterval);
+        }
+
+      //  The one-time routine that sets our recurring timer & executes the first tick.
+        //  (Set first, so that its seconds count from this one, however long the tick takes.)
+      function oneShot(firstCallback, callback)
+        {
+          log.debug('Periodic timer starting', { event: 'timer_started', interval_ms: currentTimerInterval });
+          timerIntervalObj = clock.setInterval(tick, currentTimerInterval, callback, callback);
+          tick(firstCallback, callback);
+        }
+
+      strategy.start = function start(delay, firstCallback, callback)
+        {
+          running = true;
+          currentTimerInterval = TimerEnum.NORMAL_TIMER_INTERVAL;
+          timerTimeoutObj = clock.setTimeout(oneShot, delay, firstCallback, callback);
+        };
+
+      strategy.stop = function stop()
+        {
+          running = false;
+          clock.clearTimeout(timerTimeoutObj);
+          clock.clearInterval(timerIntervalObj);
+          timerTimeoutObj = timerIntervalObj = null;
+          currentTimerInterval = TimerEnum.TIMER_NOT_SET;
+        };
+
+      strategy.getStatus = function getStatus()
+        {
+          return  { current_timer_interval: currentTimerInterval,
+                    normal_timer_interval: TimerEnum.NORMAL_TIMER_INTERVAL,
+                    msecs_max_clk_err: MSECS_MAX_CLK_ERR,
+                    use_larger_clock_skew: USE_LARGER_CLOCK_SKEW,
+                    timer_interval_changes: timerIntervalChanges };
+        };
+
+      return strategy;
+    }
+
+  //    The 'pi' strategy: a one-shot timer per tick, aimed at the next x.000 less a proportional/integral lead.
+  function piStrategy()
+    {
+      var strategy = { name: 'pi', history: [], lastMsecClkErr: null };
+      var errorSum = 0;                 //  Sum of msecClkErr so far, held so that its term stays within PI_MAX_LEAD_MSECS
+      var currentTimerInterval = TimerEnum.TIMER_NOT_SET;
+      var timerTimeoutObj = null;
+      var running = false;
+
+      //  Each tick: measure, run the routine, then set the next tick's one-shot.
+      function tick(thisCallback, callback)
+        {
+          var now = clock.now();
+          var msecClkErr = clockError(now);
+          thisCallback();
+          if (!running)
+            return;
+
+          errorSum = clamp(errorSum + msecClkErr, PI_MAX_LEAD_MSECS / PI_INTEGRAL_GAIN);
+          var lead = clamp(PI_PROPORTIONAL_GAIN * msecClkErr + PI_INTEGRAL_GAIN * errorSum, PI_MAX_LEAD_MSECS);
+          currentTimerInterval = Math.round(1000 - msecClkErr - lead);        //  From this tick to the next x.000, less the lead
+          timerTimeoutObj = clock.setTimeout(tick, Math.max(0, now + currentTimerInterval - clock.now()), callback, callback);
+          recordDrift(strategy, now, msecClkErr, currentTimerInterval);
+          log.tick('Next tick in ' + currentTimerInterval + ' ms', { event: 'timer_tick', clock_error_ms: msecClkErr, lead_ms: Math.round(lead) });
+        }
+
+      strategy.start = function start(delay, firstCallback, callback)
+        {
+          running = true;
+          log.debug('Self-scheduling timer starts in ' + delay + ' ms', { event: 'timer_started' });
+          timerTimeoutObj = clock.setTimeout(tick, delay, firstCallback, callback);
+        };
+
+      strategy.stop = function stop()
+        {
+          running = false;
+          clock.clearTimeout(timerTimeoutObj);
+          timerTimeoutObj = null;
+          currentTimerInterval = TimerEnum.TIMER_NOT_SET;
+        };
+
+      strategy.getStatus = function getStatus()
+        {
+          return  { current_timer_interval: currentTimerInterval,
+                    proportional_gain: PI_PROPORTIONAL_GAIN,
+                    integral_gain: PI_INTEGRAL_GAIN,
+                    integral_lead_ms: Math.round(PI_INTEGRAL_GAIN * errorSum * 10) / 10 };
+        };
+
+      return strategy;
+    }
+
+  return  {
+
+    //    The strategy of this name ('stepped' or 'pi'), made upon first use and kept thereafter.
+      //  Each has start(delay, firstCallback, callback), stop() and getStatus().
+    strategy: function strategy(name)
+      {
+        if (!strategies[name])
+        {
+          strategies[name] = makers[name]();
+        }
+        return strategies[name];
+      },
+
+    //    The strategy in use's calibration state, plus each used strategy's drift summary (see summarize).
+    getStatus: function getStatus(current)
+      {
+        var status = { strategy: current.name, last_msec_clk_err: current.lastMsecClkErr };
+        var details = current.getStatus();
+        for (var key in details)
+        {
+          status[key] = details[key];
+        }
+        status.drift = {};
+        for (var name in strategies)
+        {
+          status.drift[name] = summarize(strategies[name].history);
+        }
+        return status;
+      },
+
+    //    Each used strategy's drift history, oldest tick first.
+    getDriftHistory: function getDriftHistory()
+      {
+        var histories = {};
+        for (var name in strategies)
+        {
+          histories[name] = strategies[name].history.slice();
+        }
+        return histories;
+      }
+  };
+}
@@ -0,0 +1,275 @@
+//    SonicFlux Node.js server - clock.js
+    //
+    //  This module implements the clock and scheduler that the round engine
+    //  runs on: the real one, or (in simulation mode) a virtual one, whose
+    //  time runs as many times faster than real time as we like -- so that
+    //  QA can play through rounds, lobbies and results in seconds, not
+    //  minutes, and the same way every time.
+    //
+
+  //  ABOUT SONICFLUX: CLOCKS AND SIMULATION
+  //
+  //    The clock
+    //
+    //  The round engine -- timer.js, calibration.js and questions.js, plus
+    //  the score timing in route.js and private rooms' garbage collection
+    //  in privaterooms.js -- never reads Date or sets timers of its own.
+    //  It asks a clock instead:
+    //
+    //    now()                                  msecs since the epoch
+    //    setTimeout(fn, delay, args...)         as the globals, on this
+    //    setInterval(fn, interval, args...)     clock's time
+    //    clearTimeout(handle), clearInterval(handle)
+    //
+    //  With CLOCK_MODE 'real' (see config.js), these are just Date and the
+    //  global timers.  Everything else -- reconnect grace, leases, webhook
+    //  retries, logs, time_sync -- stays on real time, as it deals with
+    //  people and networks, which a simulation doesn't speed up.
+    //
+  //    Simulation mode
+    //
+    //  With CLOCK_MODE 'simulation', the clock keeps virtual time instead.
+    //  It starts at the beginning of the current day (UTC), so every run
+    //  starts the same way: each room (whose cycle divides a day) at the
+    //  start of a round.  Virtual time then runs SIMULATION_SPEEDUP times as
+    //  fast as real time: at 10, a 180-sec cycle takes 18 secs.
+    //
+    //  Virtual timers fire at exactly their due time, in order of due time
+    //  (then of setting), and time stands still while each runs; so ticks
+    //  land where they are aimed, and a run plays out the same way every
+    //  time, whatever the load.  Between timers, virtual time moves on with
+    //  real time, but never past the next timer due; with no timer set at
+    //  all (before the round engine starts, say), it stands still.
+    //
+    //  With SIMULATION_SPEEDUP 0, virtual time moves only when told to:
+    //  POST /admin/clock/advance {secs} (see routes/admin.js) runs every
+    //  timer due in the next secs at once, at any speed-up.  So QA can, say,
+    //  jump to the last seconds of a round, then step through its lobby.
+    //
+    //  Simulation is for a QA server: players are given what is, to the
+    //  game, a tenth of the time to answer, and so on.  It needs the
+    //  'memory' store, as other instances would run on real time, and no
+    //  WEBHOOK_URL, as the Rails server mustn't take its rounds for real
+    //  ones.  Its rounds are stored apart from real ones (see history.js),
+    //  and count for no leaderboard (see leaderboard.js).  The send time
+    //  stamped on every BROADCAST is virtual too (see timesync.js), so
+    //  that it agrees with the times in the msgs themselves.
+    //
+
+var log = require('./log.js')('clock');
+
+module.exports = function Clock(app)
+{
+  //  Module-wide constants
+    var MSECS_PER_DAY = 24 * 60 * 60 * 1000;
+    var MAX_ADVANCE_SECS = 24 * 60 * 60;
+
+  //  Module-wide variables
+    var simulated = (CLOCK_MODE == 'simulation');
+    var virtualAnchor = Math.floor(new Date().getTime() / MSECS_PER_DAY) * MSECS_PER_DAY;  //  Virtual time at realAnchor
+    var realAnchor = new Date().getTime();
+    var startedAt = virtualAnchor;
+    var timers = [];                    //  Virtual timers, soonest first: {handle, due, fn, args, interval (null: one-shot)}
+    var nextHandle = 1;
+    var firing = false;                 //  Running a virtual timer? (Time stands still meanwhile.)
+    var pumpTimeoutObj = null;          //  The real timer that fires the next virtual one
+
+
+//  Worker functions
+
+  //    Virtual time now: moving on with real time, but never past the next timer due.
+    //  It stands still while a timer runs, and while no timer is set at all.
+  function virtualNow()
+    {
+      if (firing || !SIMULATION_SPEEDUP || !timers.length)
+        return virtualAnchor;
+
+      var time = virtualAnchor + Math.floor((new Date().getTime() - realAnchor) * SIMULATION_SPEEDUP);
+      return Math.min(time, timers[0].due);
+    }
+
+  //    Set virtual time to this (no earlier than it is), from this real moment on.
+  function setVirtualTime(time)
+    {
+      virtualAnchor = Math.max(virtualNow(), time);
+      realAnchor = new Date().getTime();
+    }
+
+  //    Add a virtual timer, in order of due time (after any others due then).
+    //  If none was set, time was standing still: it moves on from this real moment.
+  function addTimer(timer)
+    {
+      if (!timers.length)
+        realAnchor = new Date().getTime();
+
+      var index = timers.length;
+      while ((index > 0) && (timers[index - 1].due > timer.due))
+      {
+        index--;
+      }
+      timers.splice(index, 0, timer);
+      pump();
+    }
+
+  //    Set a virtual timer: a one-shot, or (interval non-null) a recurring one. Returns its handle.
+  function setTimer(fn, delay, interval, args)
+    {
+      var timer = { handle: nextHandle++, due: virtualNow() + Math.max(0, delay || 0), fn: fn, args: args, interval: interval };
+      addTimer(timer);
+      return timer.handle;
+    }
+
+  //    Cancel a virtual timer, if it is still set.
+  function clearTimer(handle)
+    {
+      for (var index = 0; index < timers.length; index++)
+      {
+        if (timers[index].handle === handle)
+        {
+          timers.splice(index, 1);
+          return;
+        }
+      }
+    }
+
+  //    Run the soonest virtual timer, with virtual time at its due time; set a recurring one again.
+  function fireNext()
+    {
+      var timer = timers.shift();
+      virtualAnchor = timer.due;
+      firing = true;
+      if (timer.interval != null)
+      {
+        timer.due += timer.interval;
+        addTimer(timer);
+      }
+
+      try
+      {
+        timer.fn.apply(null, timer.args);
+      }
+      finally
+      {
+        firing = false;
+        realAnchor = new Date().getTime();
+      }
+    }
+
+  //    (Re)set the real timer for the soonest virtual timer, at SIMULATION_SPEEDUP.
+    //  Not while one is running: it re-pumps once done. Speed-up 0: timers wait for advance().
+  function pump()
+    {
+      clearTimeout(pumpTimeoutObj);
+      pumpTimeoutObj = null;
+      if (firing || !timers.length || !SIMULATION_SPEEDUP)
+        return;
+
+      var delay = (timers[0].due - virtualNow()) / SIMULATION_SPEEDUP;
+      pumpTimeoutObj = setTimeout(function()
+        {
+          pumpTimeoutObj = null;
+          if (timers.length && (timers[0].due <= virtualNow()))
+            fireNext();
+          pump();
+        }, Math.max(0, Math.ceil(delay)));
+    }
+
+  if (!simulated)
+  {
+    return  {
+
+      simulated: false,
+
+      //    Msecs since the epoch.
+      now: function now()
+        {
+          return new Date().getTime();
+        },
+
+      setTimeout: function clockSetTimeout(fn, delay)
+        {
+          return setTimeout.apply(null, arguments);
+        },
+
+      clearTimeout: function clockClearTimeout(handle)
+        {
+          clearTimeout(handle);
+        },
+
+      setInterval: function clockSetInterval(fn, interval)
+        {
+          return setInterval.apply(null, arguments);
+        },
+
+      clearInterval: function clockClearInterval(handle)
+        {
+          clearInterval(handle);
+        },
+
+      //    Only a simulation's clock can be moved on.
+      advance: function advance(secs)
+        {
+          return { error_str: "The clock only advances in simulation mode" };
+        },
+
+      getStatus: function getStatus()
+        {
+          return { mode: 'real', now: new Date().getTime() };
+        }
+    };
+  }
+
+  log.info('Simulation: virtual time from ' + new Date(startedAt).toISOString() + ', at ' + SIMULATION_SPEEDUP + 'x',
+           { event: 'simulation_started', speedup: SIMULATION_SPEEDUP });
+
+  return  {
+
+    simulated: true,
+
+    //    Virtual msecs since the epoch.
+    now: virtualNow,
+
+    setTimeout: function clockSetTimeout(fn, delay)
+      {
+        return setTimer(fn, delay, null, Array.prototype.slice.call(arguments, 2));
+      },
+
+    clearTimeout: function clockClearTimeout(handle)
+      {
+        clearTimer(handle);
+      },
+
+    setInterval: function clockSetInterval(fn, interval)
+      {
+        return setTimer(fn, interval, Math.max(1, interval), Array.prototype.slice.call(arguments, 2));
+      },
+
+    clearInterval: function clockClearInterval(handle)
+      {
+        clearTimer(handle);
+      },
+
+    //    Move virtual time on by secs at once, running every timer due meanwhile, in order.
+      //  Returns the clock's new status, or an {error_str} if secs is out of range.
+    advance: function advance(secs)
+      {
+        if ((typeof secs != 'number') || !(secs > 0) || (secs > MAX_ADVANCE_SECS))
+          return { error_str: "secs must be a number above 0, at most " + MAX_ADVANCE_SECS };
+
+        var until = virtualNow() + secs * 1000;
+        while (timers.length && (timers[0].due <= until))
+        {
+          fireNext();
+        }
+        setVirtualTime(until);
+        pump();
+        return this.getStatus();
+      },
+
+    //    The simulation's virtual time, speed-up and pending timers, for the admin API.
+    getStatus: function getStatus()
+      {
+        return { mode: 'simulation', now: virtualNow(), started_at: startedAt, speedup: SIMULATION_SPEEDUP, timers: timers.length };
+      }
+  };
+}
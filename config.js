@@ -0,0 +1,470 @@
+//    SonicFlux Node.js server - config.js
+    //
+    //  This module loads the server's settings: each one's default, then
+    //  a config file, then environment variables.  It checks every value
+    //  before the server starts, and reloads the file while it runs.
+    //
+
+  //  ABOUT SONICFLUX: CONFIGURATION
+  //
+  //    Where settings come from
+    //
+    //  Each setting below is a global named after it in capitals, e.g.
+    //  secs_in_lobby sets SECS_IN_LOBBY.  Its value is, in order of
+    //  precedence: the environment variable named SONICFLUX_ plus that
+    //  global's name (e.g. SONICFLUX_SECS_IN_LOBBY); then the key of that
+    //  name in the config file; then the default below.  The config file
+    //  is a JSON object, config.json beside app.js unless
+    //  SONICFLUX_CONFIG_FILE names another (see config.example.json).  A
+    //  missing config.json is fine -- the defaults serve -- but a missing
+    //  SONICFLUX_CONFIG_FILE is not.  An environment variable that is set
+    //  but empty counts as unset.
+    //
+    //  Every value is checked against its type and range, and some against
+    //  each other (a lobby must be shorter than its cycle).  An unknown key
+    //  in the file is refused too, as it is most likely a typo.  If any
+    //  value fails, the server doesn't start: it logs each problem, where
+    //  the value came from, and exits.
+    //
+  //    Reloading
+    //
+    //  The config file is re-read whenever it changes (polled every
+    //  CONFIG_POLL_MSECS), or upon SIGHUP.  If the new values fail their
+    //  checks, the problems are logged and the old values kept.
+    //
+    //  Only the schedule, timer_calibration, team_scoring and logging
+    //  settings (those marked 'hot') take effect without a restart: logging
+    //  ones at once, timer_calibration and team_scoring at the next tick,
+    //  and schedule ones room by room.  Each room switches to its new schedule at the start of
+    //  its next lobby, so a round in progress keeps the length it began
+    //  with; its clients are sent 'schedule_changed' (see timer.js), and
+    //  the room re-syncs to its new cadence as after any other lobby
+    //  adjustment.  Any other changed setting is logged as waiting for a
+    //  restart, and shown as such in /admin/status.  num_rooms, notably,
+    //  is restart-only: private room ids follow the public rooms' ids.
+    //
+    //  With several instances (see store.js), each reads its own config;
+    //  the timer leader's schedule settings are the ones its rooms follow.
+    //  Restart-only settings should be the same on every instance.
+    //
+  //    Schedules
+    //
+    //  Every public room runs secs_in_complete_cycle cycles, with a lobby
+    //  of secs_in_lobby, except the expert room (the last), which runs
+    //  secs_in_sprint_cycle cycles.  schedule_overrides sets either length
+    //  for particular difficulty levels, e.g.
+    //
+    //    "schedule_overrides": { "2": { "secs_in_complete_cycle": 150 } }
+    //
+    //  A private room follows its level's schedule.
+    //
+
+var fs = require('fs');
+var path = require('path');
+var log = require('./log.js')('config');
+
+module.exports = function Config(app)
+{
+  //  Module-wide constants
+    var DEFAULT_FILE = path.join(__dirname, 'config.json');
+    var CONFIG_POLL_MSECS = 2000;
+    var ENV_PREFIX = 'SONICFLUX_';
+    var LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+    //  Every setting: its type, default, limits, whether it is 'hot' (reloadable without a restart),
+    //  and whether it is 'secret' (never shown in the admin API)
+    var SETTINGS = {
+
+      //  See timer.js for time-related documentation
+      secs_in_lobby:            { type: 'integer', value: 30, min: 1, max: 3600, hot: true },    //  Default lobby length, for every room
+      secs_in_complete_cycle:   { type: 'integer', value: 180, min: 2, max: 7200, hot: true },  //  Default play+lobby length, for every room
+      secs_in_sprint_cycle:     { type: 'integer', value: 90, min: 2, max: 7200, hot: true },   //  Expert room: 60-sec sprints + lobby
+      schedule_overrides:       { type: 'object', value: {}, hot: true },     //  Per level: {secs_in_lobby, secs_in_complete_cycle}
+      secs_max_skip_fwd:        { type: 'integer', value: 9, min: 0, max: 3600 },    //  Max amount we shorten lobby time if needed
+      msecs_max_clk_err:        { type: 'integer', value: 10, min: 1, max: 499 },    //  How far from .000, before we adjust timer freq
+      use_larger_clock_skew:    { type: 'boolean', value: false },
+      timer_calibration:        { type: 'string', value: 'stepped', choices: ['stepped', 'pi'], hot: true },  //  See calibration.js
+
+      //  See clock.js for simulation-mode documentation
+      clock_mode:               { type: 'string', value: 'real', choices: ['real', 'simulation'] },  //  'simulation': rounds run on virtual time
+      simulation_speedup:       { type: 'integer', value: 10, min: 0, max: 1000 },   //  Virtual secs per real sec; 0: only POST /admin/clock/advance
+
+      //  See route.js for room-related documentation
+      num_rooms:                { type: 'integer', value: 4, min: 1, max: 4 },       //  One per question set & DIFFICULTY_WEIGHTS entry
+      reconnect_grace_secs:     { type: 'integer', value: 15, min: 0, max: 3600 },   //  How long a disconnected player's seat is held
+      trusted_client_scoring:   { type: 'boolean', value: false },           //  Accept 'player_scored' totals (legacy Rails flow)
+      max_points_per_sec:       { type: 'integer', value: 25, min: 1, max: 100000 }, //  Faster 'player_scored' gains are rejected
+      score_rejections_to_flag: { type: 'integer', value: 3, min: 1, max: 1000 },    //  Rejections in a round before a player is flagged
+
+      //  See shards.js for room-sharding documentation
+      room_shard_capacity:      { type: 'integer', value: 50, min: 1, max: 100000 }, //  Players per shard; a fuller room opens another shard
+      combined_results_top_n:   { type: 'integer', value: 10, min: 1, max: 1000 },   //  Entries in each 'level_round_results'
+
+      //  See teams.js for team-play documentation
+      team_scoring:             { type: 'string', value: 'sum', choices: ['sum', 'average'], hot: true },  //  A team's points: its players' sum or average
+
+      //  See privaterooms.js for private-room documentation
+      max_private_rooms:        { type: 'integer', value: 50, min: 0, max: 10000 },  //  More than this many at once are refused
+      invite_code_length:       { type: 'integer', value: 6, min: 4, max: 16 },
+
+      //  See leaderboard.js for leaderboard-related documentation
+      leaderboard_top_n:        { type: 'integer', value: 10, min: 1, max: 1000 },   //  Entries per board in the 'leaderboard_top' push
+      leaderboard_max_page_size: { type: 'integer', value: 100, min: 1, max: 10000 },
+
+      //  See identity.js for identity-token documentation
+      identity_secret:          { type: 'string', value: null, secret: true },           //  Shared with Rails; no secret: no tokens
+      allow_guest_play:         { type: 'boolean', value: true },            //  Let clients without an identity token play as 'Guest's
+
+      //  See routes/admin.js for admin-related documentation
+      admin_token:              { type: 'string', value: null, secret: true },           //  No token: admin API disabled
+
+      //  See store.js & election.js for documentation on running several instances
+      state_store:              { type: 'string', value: 'memory', choices: ['memory', 'redis'] },  //  'memory' (one instance) or 'redis'
+      redis_url:                { type: 'string', value: 'redis://127.0.0.1:6379', secret: true },   //  May carry a password
+      leader_lease_secs:        { type: 'integer', value: 5, min: 2, max: 300 },     //  A dead timer leader is replaced within this long
+
+      //  See webhook.js for webhook-related documentation
+      webhook_url:              { type: 'string', value: null },             //  No URL: round results aren't sent
+      webhook_secret:           { type: 'string', value: '', secret: true },             //  Key for each POST's HMAC signature
+
+      //  The HTTP server
+      port:                     { type: 'integer', value: 6789, min: 1, max: 65535 },
+      session_secret:           { type: 'string', value: 'peach', secret: true },        //  Signs session cookies; set your own!
+
+      //  See log.js for logging documentation
+      log_level:                { type: 'string', value: 'info', choices: LOG_LEVELS, hot: true },
+      log_module_levels:        { type: 'object', value: {}, hot: true },     //  Per module (e.g. 'timer'): its own log_level
+      log_format:               { type: 'string', value: 'json', choices: ['json', 'text'], hot: true },
+      log_tick_sample:          { type: 'integer', value: 30, min: 1, max: 3600, hot: true }  //  Write every Nth every-second record
+    };
+
+  //  Module-wide variables
+    var file = process.env[ENV_PREFIX + 'CONFIG_FILE'] || DEFAULT_FILE;
+    var sources = {};                   //  Per setting: where its current value came from
+    var pendingRestart = {};            //  Per setting changed by a reload: its new value, used upon restart
+    var reloads = 0;
+    var loadedAt = null;
+    var lastProblems = [];              //  From the latest reload that failed its checks (cleared by one that passes)
+
+
+//  Worker functions
+
+  //    Read the config file: {values}, or {problem} if it can't be read or isn't a JSON object.
+    //  The default file may be missing; a file named by SONICFLUX_CONFIG_FILE may not.
+  function readFile()
+    {
+      var text;
+      try
+      {
+        text = fs.readFileSync(file, 'utf8');
+      }
+      catch (err)
+      {
+        if ((err.code == 'ENOENT') && (file == DEFAULT_FILE))
+          return { values: {} };
+        return { problem: file + ': cannot be read -- ' + err.message };
+      }
+
+      try
+      {
+        var values = JSON.parse(text);
+      }
+      catch (err)
+      {
+        return { problem: file + ': is not valid JSON -- ' + err.message };
+      }
+      if ((values == null) || (typeof(values) != 'object') || Array.isArray(values))
+        return { problem: file + ': must hold a JSON object of settings' };
+      return { values: values };
+    }
+
+  //    Check one value against its setting: returns a problem (a string), or null if it's fine.
+    //  An environment variable's value is a string, so parse it first (see fromEnv).
+  function checkValue(setting, value)
+    {
+      if ((value == null) && (setting.type == 'string') && (setting.value == null))
+        return null;
+      if (setting.type == 'integer')
+      {
+        if ((typeof(value) != 'number') || (value % 1 != 0))
+          return 'must be an integer';
+        if ((value < setting.min) || (value > setting.max))
+          return 'must be from ' + setting.min + ' to ' + setting.max;
+      }
+      else if (setting.type == 'boolean')
+      {
+        if (typeof(value) != 'boolean')
+          return 'must be true or false';
+      }
+      else if (setting.type == 'string')
+      {
+        if (typeof(value) != 'string')
+          return 'must be a string';
+        if (setting.choices && (setting.choices.indexOf(value) == -1))
+          return "must be one of '" + setting.choices.join("', '") + "'";
+      }
+      else if (setting.type == 'object')
+      {
+        if ((value == null) || (typeof(value) != 'object') || Array.isArray(value))
+          return 'must be a JSON object';
+      }
+      return null;
+    }
+
+  //    Parse an environment variable's string as a setting's type (left as is if it doesn't parse; checkValue says why).
+  function fromEnv(setting, text)
+    {
+      if ((setting.type == 'integer') && /^-?\d+$/.test(text))
+        return parseInt(text);
+      if ((setting.type == 'boolean') && /^(true|false|1|0)$/i.test(text))
+        return /^(true|1)$/i.test(text);
+      if (setting.type == 'object')
+      {
+        try
+        {
+          return JSON.parse(text);
+        }
+        catch (err)
+        {
+          return text;
+        }
+      }
+      return text;
+    }
+
+  //    Gather every setting's value from the environment, the config file and the defaults, and check them all.
+    //  Returns {values, sources, problems}: problems is a list of strings, empty if all is well.
+  function gather()
+    {
+      var values = {};
+      var from = {};
+      var problems = [];
+      var read = readFile();
+      var fileValues = read.values || {};
+      if (read.problem)
+        problems.push(read.problem);
+
+      for (var key in fileValues)
+      {
+        if (!SETTINGS.hasOwnProperty(key))
+          problems.push(key + ' (' + file + '): is not a setting');
+      }
+
+      for (var key in SETTINGS)
+      {
+        var setting = SETTINGS[key];
+        var envName = ENV_PREFIX + key.toUpperCase();
+        if (process.env[envName])
+        {
+          values[key] = fromEnv(setting, process.env[envName]);
+          from[key] = envName;
+        }
+        else if (fileValues.hasOwnProperty(key))
+        {
+          values[key] = fileValues[key];
+          from[key] = file;
+        }
+        else
+        {
+          values[key] = setting.value;
+          from[key] = 'default';
+        }
+
+        var problem = checkValue(setting, values[key]);
+        if (problem)
+          problems.push(key + ' (' + from[key] + '): ' + problem + ', not ' + JSON.stringify(values[key]));
+      }
+
+      if (!problems.length)
+        problems = checkSchedules(values, from).concat(checkModuleLevels(values, from), checkSimulation(values, from));
+      return { values: values, sources: from, problems: problems };
+    }
+
+  //    Check that every schedule -- the defaults, and each of schedule_overrides -- has a lobby shorter than its cycle.
+  function checkSchedules(values, from)
+    {
+      var problems = [];
+      if (values.secs_in_lobby >= values.secs_in_complete_cycle)
+        problems.push('secs_in_lobby (' + from.secs_in_lobby + '): must be less than secs_in_complete_cycle (' + values.secs_in_complete_cycle + ')');
+      if (values.secs_in_lobby >= values.secs_in_sprint_cycle)
+        problems.push('secs_in_lobby (' + from.secs_in_lobby + '): must be less than secs_in_sprint_cycle (' + values.secs_in_sprint_cycle + ')');
+
+      for (var level in values.schedule_overrides)
+      {
+        var name = 'schedule_overrides.' + level + ' (' + from.schedule_overrides + ')';
+        var override = values.schedule_overrides[level];
+        if (!/^\d+$/.test(level) || (parseInt(level) < MIN_ROOM_NUM) || (parseInt(level) >= MIN_ROOM_NUM + values.num_rooms))
+        {
+          problems.push(name + ': is not a difficulty level (' + MIN_ROOM_NUM + ' to ' + (MIN_ROOM_NUM + values.num_rooms - 1) + ')');
+          continue;
+        }
+        if ((override == null) || (typeof(override) != 'object') || Array.isArray(override))
+        {
+          problems.push(name + ': must be a JSON object, not ' + JSON.stringify(override));
+          continue;
+        }
+        for (var field in override)
+        {
+          if ((field != 'secs_in_lobby') && (field != 'secs_in_complete_cycle'))
+            problems.push(name + ': ' + field + ' is not a schedule length');
+          else if (checkValue(SETTINGS[field], override[field]))
+            problems.push(name + ': ' + field + ' ' + checkValue(SETTINGS[field], override[field]) + ', not ' + JSON.stringify(override[field]));
+        }
+        var schedule = scheduleFor(parseInt(level), values);
+        if (schedule.secs_in_lobby >= schedule.secs_in_complete_cycle)
+          problems.push(name + ': secs_in_lobby (' + schedule.secs_in_lobby + ') must be less than secs_in_complete_cycle (' + schedule.secs_in_complete_cycle + ')');
+      }
+      return problems;
+    }
+
+  //    Check that each of log_module_levels is a log level.
+  function checkModuleLevels(values, from)
+    {
+      var problems = [];
+      for (var module in values.log_module_levels)
+      {
+        if (LOG_LEVELS.indexOf(values.log_module_levels[module]) == -1)
+          problems.push('log_module_levels.' + module + ' (' + from.log_module_levels + "): must be one of '" + LOG_LEVELS.join("', '") +
+                        "', not " + JSON.stringify(values.log_module_levels[module]));
+      }
+      return problems;
+    }
+
+  //    Check that a simulation runs on its own: with the 'memory' store, and no webhook to send its rounds to.
+  function checkSimulation(values, from)
+    {
+      if (values.clock_mode != 'simulation')
+        return [];
+
+      var problems = [];
+      if (values.state_store != 'memory')
+        problems.push("clock_mode (" + from.clock_mode + "): 'simulation' needs state_store 'memory', not " + JSON.stringify(values.state_store));
+      if (values.webhook_url != null)
+        problems.push("clock_mode (" + from.clock_mode + "): 'simulation' needs no webhook_url (" + from.webhook_url + ")");
+      return problems;
+    }
+
+  //    A level's schedule {secs_in_lobby, secs_in_complete_cycle}, per the given settings.
+  function scheduleFor(level, values)
+    {
+      var override = values.schedule_overrides[level] || {};
+      var cycle = (level == MIN_ROOM_NUM + values.num_rooms - 1) ? values.secs_in_sprint_cycle : values.secs_in_complete_cycle;
+      return  { secs_in_lobby: (override.secs_in_lobby != null) ? override.secs_in_lobby : values.secs_in_lobby,
+                secs_in_complete_cycle: (override.secs_in_complete_cycle != null) ? override.secs_in_complete_cycle : cycle };
+    }
+
+  //    The current value of every setting, from its global.
+  function currentValues()
+    {
+      var values = {};
+      for (var key in SETTINGS)
+      {
+        values[key] = global[key.toUpperCase()];
+      }
+      return values;
+    }
+
+  //    Upon startup, gather the settings and set their globals; or, if any fails its checks, log why and exit.
+  function load()
+    {
+      var gathered = gather();
+      if (gathered.problems.length)
+      {
+        for (var index = 0; index < gathered.problems.length; index++)
+        {
+          log.error('Setting is wrong: ' + gathered.problems[index], { event: 'config_invalid' });
+        }
+        log.error('Cannot start, as ' + gathered.problems.length + ' setting(s) are wrong', { event: 'config_invalid' });
+        process.exit(1);
+      }
+
+      for (var key in SETTINGS)
+      {
+        global[key.toUpperCase()] = gathered.values[key];
+      }
+      sources = gathered.sources;
+      loadedAt = new Date().getTime();
+      log.info('Loaded ' + ((file == DEFAULT_FILE) && !fs.existsSync(file) ? 'defaults (no ' + file + ')' : file),
+               { event: 'config_loaded', port: PORT });
+      if (sources.session_secret == 'default')
+        log.warn('session_secret is the built-in default; set SONICFLUX_SESSION_SECRET', { event: 'config_loaded' });
+    }
+
+  //    Upon a change to the config file (or SIGHUP), gather the settings again.
+    //  If they pass their checks, set the hot settings' globals; note (and log) any other change as waiting for a restart.
+  function reload(why)
+    {
+      var gathered = gather();
+      if (gathered.problems.length)
+      {
+        lastProblems = gathered.problems;
+        for (var index = 0; index < gathered.problems.length; index++)
+        {
+          log.error('Setting is wrong: ' + gathered.problems[index], { event: 'config_reload_refused', why: why });
+        }
+        log.error('Reload REFUSED, keeping the current settings', { event: 'config_reload_refused', why: why });
+        return;
+      }
+
+      var changed = [];
+      var current = currentValues();
+      lastProblems = [];
+      pendingRestart = {};
+      for (var key in SETTINGS)
+      {
+        if (JSON.stringify(gathered.values[key]) == JSON.stringify(current[key]))
+          continue;
+        if (SETTINGS[key].hot)
+        {
+          global[key.toUpperCase()] = gathered.values[key];
+          sources[key] = gathered.sources[key];
+          changed.push(key);
+        }
+        else
+        {
+          pendingRestart[key] = gathered.values[key];
+        }
+      }
+      reloads++;
+      loadedAt = new Date().getTime();
+
+      var scheduleChanged = changed.some(function(key) { return /^(secs_in_|schedule_)/.test(key); });
+      log.info('Reloaded; ' + (changed.length ? 'changed ' + changed.join(', ') : 'nothing changed before a restart') +
+               (scheduleChanged ? ' -- each room switches schedule at its next lobby' : ''), { event: 'config_reloaded', why: why, changed: changed });
+      if (Object.keys(pendingRestart).length)
+        log.warn('Changed, but waiting for a restart: ' + Object.keys(pendingRestart).join(', '), { event: 'config_reloaded', why: why });
+    }
+
+  load();
+  fs.watchFile(file, { persistent: false, interval: CONFIG_POLL_MSECS }, function(now, before)
+    {
+      if (now.mtime.getTime() != before.mtime.getTime())
+        reload('file changed');
+    });
+  process.on('SIGHUP', function() { reload('SIGHUP'); });
+
+  return  {
+
+    //    A difficulty level's configured schedule {secs_in_lobby, secs_in_complete_cycle}.
+      //  ROOM_SCHEDULES holds what each room is running; timer.js moves it onto this at each lobby.
+    scheduleFor: function getScheduleFor(level)
+      {
+        return scheduleFor(level, currentValues());
+      },
+
+    //    Where the settings come from, and what a reload has left waiting for a restart, for the admin API.
+      //  Secrets are never shown, only where they came from.
+    getStatus: function getStatus()
+      {
+        var settings = {};
+        for (var key in SETTINGS)
+        {
+          settings[key] = { source: sources[key] };
+          if (!SETTINGS[key].secret)
+            settings[key].value = global[key.toUpperCase()];
+        }
+        return  { file: file, loaded_at: loadedAt, reloads: reloads, settings: settings,
+                  pending_restart: Object.keys(pendingRestart), last_problems: lastProblems };
+      }
+  };
+}
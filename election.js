@@ -0,0 +1,155 @@
+//    SonicFlux Node.js server - election.js
+    //
+    //  This module implements leader election: of all the SonicNode
+    //  instances sharing a store (see store.js), exactly one drives the
+    //  timer.js heartbeat -- the round starts and ends, questions,
+    //  scoreboards and results for every room.
+    //
+
+  //  ABOUT SONICFLUX: LEADER ELECTION
+  //
+  //    The timer lease
+    //
+    //  Each instance tries every LEADER_LEASE_SECS / 3 to take or renew the
+    //  store's 'timer' lease, which lasts LEADER_LEASE_SECS (see config.js).
+    //  Whoever holds it is the leader, and starts its timer; the others
+    //  (followers) serve their own clients, but never tick.  Should the
+    //  leader die, its lease runs out and another instance takes over
+    //  within LEADER_LEASE_SECS, starting its timer on the rooms' shared
+    //  state as it finds it.  With the 'memory' store there is only one
+    //  instance, which is always the leader.
+    //
+    //  A leader that finds its lease taken by another instance (say, after
+    //  a long pause) can't know how far its rooms have moved on without it,
+    //  so it exits, to be restarted by its supervisor as a follower.  If
+    //  the store can't be reached at all, everyone carries on as they are.
+    //
+  //    Lost instances
+    //
+    //  Each instance also renews an 'instance:<id>' lease of its own.  Now
+    //  and then the leader looks for players owned by an instance whose
+    //  lease has run out -- one that died without letting its players go --
+    //  and hands them to onInstanceLost() handlers, which route.js uses to
+    //  remove them just as if their reconnect grace had expired.
+    //
+    //  Round controls in the admin API (see routes/admin.js) only work on
+    //  the leader, whose timer they act upon.
+    //
+
+var log = require('./log.js')('election');
+
+module.exports = function Election(app, store)
+{
+  //  Module-wide variables
+    var leader = false;
+    var leaderId = null;                //  Latest holder of the timer lease that we know of
+    var lostHandlers = [];              //  handler(sessionIDs) for each lost instance's players
+    var failing = false;                //  Did our latest attempt to reach the store fail?
+
+
+//  Worker functions
+
+  //    Log a failure to reach the store (once per run of them). Returns true if err.
+  function storeFailed(err)
+    {
+      if (!err)
+      {
+        failing = false;
+        return false;
+      }
+      if (!failing)
+      {
+        log.error('Cannot reach the store -- ' + err.message + ' (carrying on as ' + (leader ? 'leader' : 'follower') + ')', { event: 'store_unreachable' });
+        failing = true;
+      }
+      return true;
+    }
+
+  //    Renew our instance lease, and take or renew the timer lease.
+    //  Call onElected upon becoming leader; exit upon losing the lease to another instance.
+  function campaign(onElected)
+    {
+      store.acquireLease('instance:' + store.instanceId, LEADER_LEASE_SECS * 1000, storeFailed);
+      store.acquireLease('timer', LEADER_LEASE_SECS * 1000, function(err, holder)
+        {
+          if (storeFailed(err))
+            return;
+
+          leaderId = holder;
+          if (holder == store.instanceId)
+          {
+            if (!leader)
+            {
+              leader = true;
+              log.info(store.instanceId + ' is now the leader, and drives the timer', { event: 'elected', instance: store.instanceId });
+              onElected();
+            }
+            findLostInstances();
+          }
+          else if (leader)
+          {
+            log.error('Lost the timer lease to ' + holder + '; exiting, to restart as a follower', { event: 'lease_lost', instance: holder });
+            process.exit(1);
+          }
+        });
+    }
+
+  //    Leader only: hand the players of every instance whose lease has run out to the onInstanceLost() handlers.
+  function findLostInstances()
+    {
+      var owners = store.owners();
+      var sessionsByOwner = {};
+      for (var sessionID in owners)
+      {
+        if (owners[sessionID] == store.instanceId)
+          continue;
+        sessionsByOwner[owners[sessionID]] = sessionsByOwner[owners[sessionID]] || [];
+        sessionsByOwner[owners[sessionID]].push(sessionID);
+      }
+
+      for (var owner in sessionsByOwner)
+      {
+        (function(owner, sessionIDs)
+          {
+            store.leaseHolder('instance:' + owner, function(err, holder)
+              {
+                if (storeFailed(err) || (holder != null))
+                  return;
+                log.warn('Instance ' + owner + ' is gone; letting its ' + sessionIDs.length + ' players go', { event: 'instance_lost', instance: owner, players: sessionIDs.length });
+                for (var index = 0; index < lostHandlers.length; index++)
+                {
+                  lostHandlers[index](sessionIDs);
+                }
+              });
+          })(owner, sessionsByOwner[owner]);
+      }
+    }
+
+  return  {
+
+    //    Stand for election now and every LEADER_LEASE_SECS / 3; onElected() is called upon winning.
+    start: function start(onElected)
+      {
+        campaign(onElected);
+        setInterval(campaign, LEADER_LEASE_SECS * 1000 / 3, onElected);
+      },
+
+    //    Does this instance drive the timer?
+    isLeader: function isLeader()
+      {
+        return leader;
+      },
+
+    //    Call handler(sessionIDs) with the players of each instance found to be gone (leader only).
+    onInstanceLost: function onInstanceLost(handler)
+      {
+        lostHandlers.push(handler);
+      },
+
+    //    This instance, and who leads, for the admin API.
+    getStatus: function getStatus()
+      {
+        return { instance_id: store.instanceId, leader: leader, leader_id: leaderId };
+      }
+  };
+}
@@ -0,0 +1,183 @@
+//    SonicFlux Node.js server - history.js
+    //
+    //  This module implements the storage of finished rounds, and the
+    //  queries used to serve that round history back out over HTTP.
+    //
+
+  //  ABOUT SONICFLUX: ROUND HISTORY
+  //
+  //    What gets stored
+    //
+    //  At the start of each room's Lobby time, timer.js compiles that room's
+    //  round_results and hands them to recordRound().  Each finished round
+    //  is stored as one record:
+    //
+    //    { round_id, room, difficulty_level, private, started_at, ended_at,
+    //      results: [{player_tag, user_id, points, rank, flagged, team}] }
+    //
+    //  'private' marks rounds played in a private room (see privaterooms.js).
+    //  With the 'memory' store (see store.js), private room ids start over
+    //  whenever the server restarts, so only difficulty_level says reliably
+    //  how hard an old private round was.
+    //  Times are msecs since the epoch (as from Date.getTime), and results
+    //  are ranked highest-points-first.  user_id is null for guests (see
+    //  identity.js).  'flagged' marks players whose scores
+    //  were repeatedly rejected that round (see route.js), and 'team' is
+    //  the player's team, or null (see teams.js).  Rounds that
+    //  nobody played are not stored; they would only fill the file with
+    //  empty records.
+    //
+  //    How it is stored
+    //
+    //  Records are appended to HISTORY_FILE, one JSON record per line.  An
+    //  append-only file keeps each write cheap and means a crash can lose
+    //  at most the round being written.  At startup the file is read back
+    //  into memory; queries are answered from that in-memory list, so the
+    //  file is only ever appended to while the server runs.
+    //
+    //  In simulation mode (see clock.js), rounds are kept apart, in
+    //  round_history.simulation.jsonl, so that their virtual times never
+    //  mix with real rounds.
+    //
+    //  With several instances, only the timer leader (see election.js)
+    //  records rounds.  It passes each one on, and the others store it with
+    //  addRound(), so every instance answers queries with the same rounds
+    //  (since it started), and a new leader carries on their numbering.
+    //
+
+var fs = require('fs');
+var path = require('path');
+var log = require('./log.js')('history');
+
+module.exports = function History(app)
+{
+  //  Module-wide constants
+    var HISTORY_DIR = path.join(__dirname, 'data');
+    var HISTORY_FILE = path.join(HISTORY_DIR, (CLOCK_MODE == 'simulation') ? 'round_history.simulation.jsonl' : 'round_history.jsonl');
+
+  //  Module-wide variables
+    var rounds = [];                    //  Every stored round, oldest first
+    var nextRoundId = 1;
+
+  //    Read back any previously stored rounds.
+    //  Tolerate a missing file (first run) and a truncated last line (crash
+    //  mid-write); anything else unreadable is logged and skipped.
+  function loadRounds()
+    {
+      if (!fs.existsSync(HISTORY_DIR))
+      {
+        fs.mkdirSync(HISTORY_DIR);
+      }
+      if (!fs.existsSync(HISTORY_FILE))
+      {
+        return;
+      }
+
+      var lines = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n');
+      for (var index = 0; index < lines.length; index++)
+      {
+        if (lines[index].trim() == '')
+          continue;
+        try
+        {
+          var round = JSON.parse(lines[index]);
+          rounds.push(round);
+          nextRoundId = Math.max(nextRoundId, round.round_id + 1);
+        }
+        catch (err)
+        {
+          log.warn('Skipping unreadable line ' + (index + 1) + ' of ' + HISTORY_FILE, { event: 'history_line_unreadable' });
+        }
+      }
+      log.info('Loaded ' + rounds.length + ' rounds from ' + HISTORY_FILE, { event: 'history_loaded' });
+    }
+
+  //    Does this round pass every filter provided?
+    //  Filters: room, player_tag, from & to (msecs; a round matches if it ended within [from, to]).
+  function matchesFilter(round, filter)
+    {
+      if ((filter.room != null) && (round.room != filter.room))
+        return false;
+      if ((filter.from != null) && (round.ended_at < filter.from))
+        return false;
+      if ((filter.to != null) && (round.ended_at > filter.to))
+        return false;
+      if (filter.player_tag != null)
+      {
+        for (var index = 0; index < round.results.length; index++)
+        {
+          if (round.results[index].player_tag == filter.player_tag)
+            return true;
+        }
+        return false;
+      }
+      return true;
+    }
+
+  //    Add a round to our in-memory list, and append it to the file.
+  function storeRound(round)
+    {
+      rounds.push(round);
+
+      fs.appendFile(HISTORY_FILE, JSON.stringify(round) + '\n', function(err)
+        {
+          if (err)
+          {
+            log.error('Failed to store round ' + round.round_id + ' -- ' + err, { event: 'history_write_failed', room: round.room });
+          }
+        });
+      log.info('Stored round ' + round.round_id + ', ' + round.results.length + ' players', { event: 'round_stored', room: round.room });
+    }
+
+  loadRounds();
+
+  return  {
+
+    //    Store one finished round: append it to the file and to our in-memory list.
+      //  results must already be sorted highest-points-first (see broadcastRoundResults).
+      //  Returns the stored record, or null if the round had no players.
+    recordRound: function recordRound(room, startedAt, endedAt, results)
+      {
+        if (!results.length)
+        {
+          return null;
+        }
+
+        var ranked = [];
+        for (var index = 0; index < results.length; index++)
+        {
+          ranked.push( { player_tag: results[index].player_tag, user_id: (results[index].user_id == null) ? null : results[index].user_id,
+                         points: results[index].points, rank: index + 1, flagged: !!results[index].flagged,
+                         team: (results[index].team == null) ? null : results[index].team } );
+        }
+
+        var round = { round_id: nextRoundId++, room: room, difficulty_level: room_levels[room], private: (room >= MIN_ROOM_NUM + NUM_ROOMS),
+                      started_at: startedAt, ended_at: endedAt, results: ranked };
+        storeRound(round);
+        return round;
+      },
+
+    //    Store a round that another instance recorded (see recordRound), keeping its round_id.
+    addRound: function addRound(round)
+      {
+        nextRoundId = Math.max(nextRoundId, round.round_id + 1);
+        storeRound(round);
+      },
+
+    //    Return the stored rounds that match filter, newest first, at most filter.limit of them.
+    query: function query(filter)
+      {
+        var matches = [];
+        for (var index = rounds.length - 1; index >= 0; index--)
+        {
+          if (matchesFilter(rounds[index], filter))
+          {
+            matches.push(rounds[index]);
+            if (filter.limit && (matches.length >= filter.limit))
+              break;
+          }
+        }
+        return matches;
+      }
+  };
+}
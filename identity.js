@@ -0,0 +1,156 @@
+//    SonicFlux Node.js server - identity.js
+    //
+    //  This module implements the checking of identity tokens: the signed
+    //  tokens, issued by the Rails app, that tell us who a client is.
+    //
+
+  //  ABOUT SONICFLUX: IDENTITY TOKENS
+  //
+  //    Token formats
+    //
+    //  Clients send their token in 'client_ready' as profile.identity_token.
+    //  Both formats are signed with HMAC-SHA256, keyed with IDENTITY_SECRET
+    //  (see config.js), which the Rails app shares:
+    //
+    //    JWT:   base64url(header) '.' base64url(claims) '.' base64url(signature)
+    //           -- a standard JWT; the header's 'alg' must be 'HS256'.
+    //    HMAC:  base64url(claims) '.' base64url(signature)
+    //           -- the signature covers the base64url(claims) text.
+    //
+  //    Claims
+    //
+    //    sub          the Rails user id (required)
+    //    player_tag   the tag to display for this user (required)
+    //    levels       difficulty levels this user may play, e.g. [0, 1];
+    //                 if omitted, every level is allowed
+    //    exp          expiry, in secs since the epoch (required)
+    //
+  //    Reason codes
+    //
+    //  A token that fails verification is refused with one of these reasons
+    //  (route.js sends it as the 'reason' field of 'error_client_ready'):
+    //
+    //    no_identity_secret  no IDENTITY_SECRET is configured, so no token can
+    //                        be verified
+    //    malformed_token     not two or three base64url parts of valid JSON
+    //    unsupported_alg     a JWT whose header 'alg' isn't 'HS256'
+    //    bad_signature       signed with some other secret, or altered since
+    //    token_expired       the 'exp' claim is in the past
+    //    missing_claims      no numeric 'exp', no 'sub' or 'player_tag' claim,
+    //                        or bad 'levels'
+    //
+
+var crypto = require('crypto');
+
+module.exports = function Identity(app)
+{
+
+//  Worker functions
+
+  //    Decode a base64url string. Returns a Buffer.
+  function decodeBase64Url(str)
+    {
+      return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    }
+
+  //    HMAC-SHA256 of text, keyed with IDENTITY_SECRET, as base64url.
+  function sign(text)
+    {
+      return crypto.createHmac('sha256', IDENTITY_SECRET).update(text).digest('base64')
+                   .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+  //    Compare two signatures in time independent of where they first differ.
+  function signaturesMatch(supplied, expected)
+    {
+      var suppliedBuf = Buffer.from(supplied);
+      var expectedBuf = Buffer.from(expected);
+      return (suppliedBuf.length == expectedBuf.length) && crypto.timingSafeEqual(suppliedBuf, expectedBuf);
+    }
+
+  //    Parse one base64url part as a JSON object. Returns null if it isn't one.
+  function parsePart(part)
+    {
+      try
+      {
+        var parsed = JSON.parse(decodeBase64Url(part).toString('utf8'));
+        return ((typeof(parsed) == 'object') && (parsed != null)) ? parsed : null;
+      }
+      catch (err)
+      {
+        return null;
+      }
+    }
+
+  //    Check the claims we rely on. Returns a reason code, or null if they are usable.
+  function checkClaims(claims)
+    {
+      if ((typeof(claims.exp) != 'number') || !isFinite(claims.exp))
+        return 'missing_claims';
+      if (claims.exp * 1000 <= new Date().getTime())
+        return 'token_expired';
+      if ((claims.sub == null) || (String(claims.sub).trim() == ''))
+        return 'missing_claims';
+      if ((typeof(claims.player_tag) != 'string') || (claims.player_tag.trim() == ''))
+        return 'missing_claims';
+      if ((claims.levels != null) && !Array.isArray(claims.levels))
+        return 'missing_claims';
+      return null;
+    }
+
+  return  {
+
+    //    Verify an identity token and extract its claims.
+      //  Returns {reason} (see the reason codes above) if the token can't be
+      //  trusted, else {user_id, player_tag, allowed_levels} -- allowed_levels
+      //  being null if the token allows every level.
+    verify: function verify(token)
+      {
+        if (!IDENTITY_SECRET)
+        {
+          return { reason: 'no_identity_secret' };
+        }
+
+        var parts = String(token).split('.');
+        var claims, signedText;
+        if (parts.length == 3)
+        {
+          var header = parsePart(parts[0]);
+          if (!header)
+            return { reason: 'malformed_token' };
+          if (header.alg != 'HS256')
+            return { reason: 'unsupported_alg' };
+          signedText = parts[0] + '.' + parts[1];
+        }
+        else if (parts.length == 2)
+        {
+          signedText = parts[0];
+        }
+        else
+        {
+          return { reason: 'malformed_token' };
+        }
+
+        claims = parsePart(parts[parts.length - 2]);
+        if (!claims)
+          return { reason: 'malformed_token' };
+        if (!signaturesMatch(parts[parts.length - 1], sign(signedText)))
+          return { reason: 'bad_signature' };
+
+        var reason = checkClaims(claims);
+        if (reason)
+          return { reason: reason };
+
+        var allowedLevels = null;
+        if (claims.levels != null)
+        {
+          allowedLevels = [];
+          for (var index = 0; index < claims.levels.length; index++)
+          {
+            allowedLevels.push(parseInt(claims.levels[index]));
+          }
+        }
+        return { user_id: String(claims.sub), player_tag: claims.player_tag.trim(), allowed_levels: allowedLevels };
+      }
+  };
+}
@@ -0,0 +1,201 @@
+//    SonicFlux Node.js server - leaderboard.js
+    //
+    //  This module implements the global leaderboards: cumulative standings
+    //  across every room and round, over daily, weekly and all-time windows.
+    //
+
+  //  ABOUT SONICFLUX: GLOBAL LEADERBOARDS
+  //
+  //    Windows
+    //
+    //    daily      rounds that ended since 00:00 UTC today
+    //    weekly     rounds that ended since 00:00 UTC this Monday
+    //    all_time   every stored round
+    //
+    //  Boards are built from the round history (see history.js) when first
+    //  asked for, then kept up to date as each round is stored.  A board
+    //  whose window has rolled over (a new day or week) is rebuilt.
+    //
+    //  In simulation mode (see clock.js), the boards stay empty: simulated
+    //  rounds are for QA, and mustn't rank anyone.
+    //
+  //    Scoring
+    //
+    //  Room scores aren't comparable: 500 points in the expert room is a
+    //  bigger feat than 500 in the beginner room.  So each result counts
+    //  its points times the DIFFICULTY_WEIGHTS entry (see app.js) for its
+    //  room's difficulty level; private rooms count like public ones.
+    //  A player's board score is the sum of those weighted points over the
+    //  window; 'wins' counts the rounds in which the player ranked first
+    //  (with any points at all).
+    //
+    //  Only players with a user_id are ranked: guest tags don't identify
+    //  anyone beyond one visit.  Results flagged for repeated score
+    //  rejections (see route.js) don't count either.
+    //
+  //    What clients see
+    //
+    //  A page of a board is {window, starts_at, page, page_size, total,
+    //  entries: [{rank, user_id, player_tag, score, rounds, wins}]}, with
+    //  starts_at null for 'all_time'.  player_tag is the latest tag the user
+    //  played under.  route.js serves pages over socket and HTTP; timer.js
+    //  pushes each board's top LEADERBOARD_TOP_N to Lobby clients whenever
+    //  a finished round changes it.
+    //
+
+module.exports = function Leaderboard(app, history)
+{
+  //  Module-wide constants
+    var WINDOWS = ['daily', 'weekly', 'all_time'];
+    var MSECS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  //  Module-wide variables
+    var boards = {};                    //  Per window: {starts_at, entries (ranked), by_user}
+    var topVersion = 0;                 //  Bumped whenever any board's top N changes
+    var simulated = (CLOCK_MODE == 'simulation');   //  Simulation mode: no rounds count
+
+  //    When does this window's current period start (msecs), or null for all_time?
+  function windowStart(window, now)
+    {
+      if (window == 'all_time')
+        return null;
+
+      var day = new Date(now);
+      day.setUTCHours(0, 0, 0, 0);
+      if (window == 'weekly')
+      {
+        return day.getTime() - ((day.getUTCDay() + 6) % 7) * MSECS_PER_DAY;     //  back to Monday
+      }
+      return day.getTime();
+    }
+
+  //    Add one stored round's (unflagged, identified) results to a board. Does not re-rank.
+  function addRound(board, round)
+    {
+      var level = (round.difficulty_level != null) ? round.difficulty_level : round.room;     //  older records have no level
+      var weight = DIFFICULTY_WEIGHTS[level] || 1;
+      for (var index = 0; index < round.results.length; index++)
+      {
+        var result = round.results[index];
+        if ((result.user_id == null) || result.flagged)
+          continue;
+
+        var entry = board.by_user[result.user_id];
+        if (!entry)
+        {
+          entry = board.by_user[result.user_id] = { user_id: result.user_id, player_tag: result.player_tag, score: 0, rounds: 0, wins: 0 };
+          board.entries.push(entry);
+        }
+        entry.player_tag = result.player_tag;
+        entry.score += Math.round(result.points * weight);
+        entry.rounds++;
+        if ((result.rank == 1) && (result.points > 0))
+          entry.wins++;
+      }
+    }
+
+  //    Sort a board highest-score-first (then most wins, fewest rounds) and number its ranks.
+  function rankBoard(board)
+    {
+      board.entries.sort( function(a,b) { return (b.score - a.score) || (b.wins - a.wins) || (a.rounds - b.rounds); });
+      for (var index = 0; index < board.entries.length; index++)
+      {
+        board.entries[index].rank = index + 1;
+      }
+    }
+
+  //    The window's board, (re)built from history if we have none yet or its period rolled over.
+  function getBoard(window)
+    {
+      var startsAt = windowStart(window, new Date().getTime());
+      if (!boards[window] || (boards[window].starts_at != startsAt))
+      {
+        var board = { starts_at: startsAt, entries: [], by_user: {} };
+        var rounds = simulated ? [] : history.query( { from: startsAt } );
+        for (var index = rounds.length - 1; index >= 0; index--)     //  query() is newest first
+        {
+          addRound(board, rounds[index]);
+        }
+        rankBoard(board);
+        boards[window] = board;
+      }
+      return boards[window];
+    }
+
+  //    Entries [first, first + count) of a board, as sent to clients.
+  function listEntries(board, first, count)
+    {
+      var list = [];
+      for (var index = first; (index < board.entries.length) && (index < first + count); index++)
+      {
+        var entry = board.entries[index];
+        list.push( { rank: entry.rank, user_id: entry.user_id, player_tag: entry.player_tag, score: entry.score,
+                     rounds: entry.rounds, wins: entry.wins } );
+      }
+      return list;
+    }
+
+  return  {
+
+    //    Is this one of our windows ('daily', 'weekly', 'all_time')?
+    isWindow: function isWindow(window)
+      {
+        return (WINDOWS.indexOf(window) != -1);
+      },
+
+    //    Upon storing a finished round (a history.js record), add it to every board.
+      //  Bumps topVersion() if any board's top LEADERBOARD_TOP_N changed.
+    recordRound: function recordRound(round)
+      {
+        if (simulated)
+          return;
+
+        var now = new Date().getTime();
+        var changed = false;
+        for (var index = 0; index < WINDOWS.length; index++)
+        {
+          var board = boards[WINDOWS[index]];
+          var before = board ? JSON.stringify(listEntries(board, 0, LEADERBOARD_TOP_N)) : null;
+
+          if (board && (board.starts_at == windowStart(WINDOWS[index], now)))
+          {
+            addRound(board, round);
+            rankBoard(board);
+          }
+          else
+          {
+            board = getBoard(WINDOWS[index]);       //  A fresh build from history already includes this round
+          }
+          if (JSON.stringify(listEntries(board, 0, LEADERBOARD_TOP_N)) != before)
+            changed = true;
+        }
+        if (changed)
+          topVersion++;
+      },
+
+    //    One page (1-based) of a window's board.
+    getPage: function getPage(window, page, pageSize)
+      {
+        var board = getBoard(window);
+        return  { window: window, starts_at: board.starts_at, page: page, page_size: pageSize,
+                  total: board.entries.length, entries: listEntries(board, (page - 1) * pageSize, pageSize) };
+      },
+
+    //    Every window's top LEADERBOARD_TOP_N: the 'leaderboard_top' payload.
+    getTops: function getTops()
+      {
+        var tops = {};
+        for (var index = 0; index < WINDOWS.length; index++)
+        {
+          tops[WINDOWS[index]] = listEntries(getBoard(WINDOWS[index]), 0, LEADERBOARD_TOP_N);
+        }
+        return tops;
+      },
+
+    //    Counter that changes whenever any board's top LEADERBOARD_TOP_N changes.
+    topVersion: function getTopVersion()
+      {
+        return topVersion;
+      }
+  };
+}
@@ -0,0 +1,139 @@
+//    SonicFlux Node.js server - log.js
+    //
+    //  This module implements our logging: one line per record, with a
+    //  level, a timestamp and fields that tools can filter on, in place of
+    //  bare console.log calls.
+    //
+
+  //  ABOUT SONICFLUX: LOGGING
+  //
+  //    Records
+    //
+    //  Each module makes its own logger, named after the module:
+    //
+    //    var log = require('./log.js')('timer');
+    //    log.info('Round started', { event: 'round_started', room: 2 });
+    //
+    //  By default each record is one line of JSON, e.g.
+    //
+    //    {"time":"2014-03-01T18:00:00.004Z","level":"info","module":"timer",
+    //     "event":"round_started","room":2,"msg":"Round started"}
+    //
+    //  time is an ISO 8601 timestamp, in UTC.  Besides msg, a record carries
+    //  whichever of these fields apply, so that one room's, one session's or
+    //  one player's story can be pulled from the log:
+    //
+    //    event        the socket.io event sent or received, or what happened
+    //    room, shard  the room (and shard) concerned
+    //    session      the client's sessionID
+    //    player_tag   the player concerned
+    //
+    //  and any others that help, e.g. points or secs_remaining.  With
+    //  LOG_FORMAT 'text', records are written for people instead: time,
+    //  level, module and msg, then the fields as JSON.
+    //
+  //    Levels
+    //
+    //  error  something failed that shouldn't have (a store write, a load)
+    //  warn   something suspect, handled (a rejected score, a lost instance)
+    //  info   the story of the game: connects, joins, rounds, admin actions
+    //  debug  every message sent and received
+    //
+    //  Records below LOG_LEVEL are dropped; LOG_MODULE_LEVELS sets a level
+    //  per module instead, e.g. {"timer": "debug"} (see config.js).  Both
+    //  can be changed while the server runs.
+    //
+  //    Tick sampling
+    //
+    //  The timer's every-second records (a room's play_timer_update, and
+    //  the like) would swamp everything else, so they go through tick(),
+    //  which writes only every LOG_TICK_SAMPLE-th record of each event for
+    //  each room, at debug level.  Such a record carries sample_every.
+    //
+
+module.exports = function Log(module)
+{
+  //  Module-wide constants
+    var LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+  //  Module-wide variables
+    var tickCounts = {};                //  Per event & room: tick() calls so far
+
+
+//  Worker functions
+
+  //    Would a record at this level be written, for this module?
+    //  Before config.js has set the logging settings, 'info'.
+  function enabled(level)
+    {
+      var threshold = (global.LOG_MODULE_LEVELS && LOG_MODULE_LEVELS[module]) || global.LOG_LEVEL || 'info';
+      return (LEVELS[level] <= LEVELS[threshold]);
+    }
+
+  //    Write one record, if its level is enabled: time, level, module, then fields, then msg.
+  function write(level, msg, fields)
+    {
+      if (!enabled(level))
+        return;
+
+      var record = { time: new Date().toISOString(), level: level, module: module };
+      var extra = {};
+      for (var field in fields)
+      {
+        if (fields[field] !== undefined)
+        {
+          record[field] = fields[field];
+          extra[field] = fields[field];
+        }
+      }
+      record.msg = msg;
+
+      if (global.LOG_FORMAT == 'text')
+      {
+        console.log(record.time + ' ' + (level.toUpperCase() + '     ').slice(0, 6) + module + ': ' + msg +
+                    (Object.keys(extra).length ? '  ' + JSON.stringify(extra) : ''));
+        return;
+      }
+      console.log(JSON.stringify(record));
+    }
+
+  return  {
+
+    //    Something failed that shouldn't have.
+    error: function error(msg, fields)
+      {
+        write('error', msg, fields);
+      },
+
+    //    Something suspect, but handled.
+    warn: function warn(msg, fields)
+      {
+        write('warn', msg, fields);
+      },
+
+    //    The story of the game.
+    info: function info(msg, fields)
+      {
+        write('info', msg, fields);
+      },
+
+    //    Every message sent and received.
+    debug: function debug(msg, fields)
+      {
+        write('debug', msg, fields);
+      },
+
+    //    An every-second record: written (at debug) only every LOG_TICK_SAMPLE-th time for its event & room.
+    tick: function tick(msg, fields)
+      {
+        var key = fields.event + ':' + fields.room;
+        var count = tickCounts[key] = (tickCounts[key] || 0) + 1;
+        var every = global.LOG_TICK_SAMPLE || 1;
+        if ((count - 1) % every != 0)
+          return;
+
+        fields.sample_every = every;
+        write('debug', msg, fields);
+      }
+  };
+}
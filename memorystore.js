@@ -0,0 +1,139 @@
+//    SonicFlux Node.js server - memorystore.js
+    //
+    //  This module implements the in-memory backend for store.js: hashes,
+    //  counters, leases and pub/sub, all held in this process.  It is the
+    //  default, for a single SonicNode instance; see redisstore.js for the
+    //  backend that lets several instances share state.
+    //
+    //  Every call has the same shape as its redisstore.js counterpart,
+    //  callbacks included, and calls back asynchronously just as a networked
+    //  backend would -- so that code written against one runs unchanged on
+    //  the other.
+    //
+    //  As its state dies with the process, it alone can dump() it and
+    //  restore() it, for snapshot.js to carry over a restart.
+    //
+
+module.exports = function MemoryStore(app)
+{
+  //  Module-wide variables
+    var hashes = {};                    //  Per key: {field: value}
+    var counters = {};                  //  Per key: its latest INCR value
+    var leases = {};                    //  Per key: {holder, expires_at}
+    var subscribers = {};               //  Per channel: [handler, ...]
+
+  //    Call back on the next tick, as a networked backend would.
+  function reply(callback, err, result)
+    {
+      if (callback)
+      {
+        process.nextTick(function() { callback(err, result); });
+      }
+    }
+
+  return  {
+
+    name: 'memory',
+
+    //    Set a hash field (value: a string).
+    hset: function hset(key, field, value, callback)
+      {
+        hashes[key] = hashes[key] || {};
+        hashes[key][field] = value;
+        reply(callback, null);
+      },
+
+    //    Delete a hash field.
+    hdel: function hdel(key, field, callback)
+      {
+        if (hashes[key])
+        {
+          delete hashes[key][field];
+        }
+        reply(callback, null);
+      },
+
+    //    Every field of a hash, as {field: value} ({} if there is none).
+    hgetall: function hgetall(key, callback)
+      {
+        var copy = {};
+        for (var field in hashes[key])
+        {
+          copy[field] = hashes[key][field];
+        }
+        reply(callback, null, copy);
+      },
+
+    //    Add delta to an integer hash field; calls back with its new value.
+    hincrby: function hincrby(key, field, delta, callback)
+      {
+        hashes[key] = hashes[key] || {};
+        hashes[key][field] = String((parseInt(hashes[key][field]) || 0) + delta);
+        reply(callback, null, parseInt(hashes[key][field]));
+      },
+
+    //    Increment a counter; calls back with its new value (1 the first time).
+    incr: function incr(key, callback)
+      {
+        counters[key] = (counters[key] || 0) + 1;
+        reply(callback, null, counters[key]);
+      },
+
+    //    Take or renew the lease on key for msecs, unless someone else holds it.
+      //  Calls back with whoever holds it afterwards: holder itself if it got it.
+    acquireLease: function acquireLease(key, holder, msecs, callback)
+      {
+        var now = new Date().getTime();
+        if (!leases[key] || (leases[key].expires_at <= now) || (leases[key].holder == holder))
+        {
+          leases[key] = { holder: holder, expires_at: now + msecs };
+        }
+        reply(callback, null, leases[key].holder);
+      },
+
+    //    Who holds the lease on key, or null if no one does.
+    leaseHolder: function leaseHolder(key, callback)
+      {
+        var lease = leases[key];
+        reply(callback, null, (lease && (lease.expires_at > new Date().getTime())) ? lease.holder : null);
+      },
+
+    //    Send message (a string) to every subscriber of channel.
+    publish: function publish(channel, message)
+      {
+        var handlers = subscribers[channel] || [];
+        process.nextTick(function()
+          {
+            for (var index = 0; index < handlers.length; index++)
+            {
+              handlers[index](message);
+            }
+          });
+      },
+
+    //    Call handler(message) for each message published to channel.
+    subscribe: function subscribe(channel, handler)
+      {
+        subscribers[channel] = subscribers[channel] || [];
+        subscribers[channel].push(handler);
+      },
+
+    //    Nothing to close: there is no connection.
+    close: function close()
+      {
+      },
+
+    //    Every hash and counter, as {hashes, counters}.  Leases are not kept: they belong to this process.
+    dump: function dump()
+      {
+        return { hashes: hashes, counters: counters };
+      },
+
+    //    Replace every hash and counter with those of a dump().
+    restore: function restore(saved)
+      {
+        hashes = saved.hashes;
+        counters = saved.counters;
+      }
+  };
+}
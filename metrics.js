@@ -0,0 +1,236 @@
+//    SonicFlux Node.js server - metrics.js
+    //
+    //  This module keeps the server's metrics -- timer accuracy, players,
+    //  messages and BROADCASTs -- and writes them out in the Prometheus
+    //  text format, for GET /metrics (see routes/admin.js).
+    //
+
+  //  ABOUT SONICFLUX: METRICS
+  //
+  //    What is measured
+    //
+    //  Timer accuracy, upon each tick (see calibration.js):
+    //
+    //    sonicflux_tick_drift_ms               {strategy}: histogram of
+    //                                          |msecClkErr|: how far the tick
+    //                                          landed from x.000
+    //    sonicflux_tick_drift_last_ms          the latest msecClkErr, signed
+    //                                          (+ late, - early)
+    //    sonicflux_timer_interval_ms           the interval the next tick is
+    //                                          set for
+    //    sonicflux_timer_interval_changes_total  'stepped' only
+    //    sonicflux_lobby_adjustments_total     {room}: adjustLobbySecs() moves
+    //    sonicflux_lobby_adjustment_secs_total {room}: secs moved, either way
+    //
+    //  Gameplay:
+    //
+    //    sonicflux_connected_sockets           on this instance
+    //    sonicflux_room_players                {room}: roomCount
+    //    sonicflux_room_spectators             {room}: spectatorCount
+    //    sonicflux_messages_total              {route}: socket.io messages
+    //                                          received, per route
+    //    sonicflux_messages_rejected_total     {route, reason}: messages
+    //                                          refused with an error_<route>
+    //    sonicflux_broadcast_seconds           {event}: histogram of the time
+    //                                          a BROADCAST takes to send to
+    //                                          this instance's sockets and
+    //                                          publish to the others
+    //
+    //  Only the timer leader (see election.js) ticks, so only its timer
+    //  metrics move; the room gauges are the shared counts, the same on
+    //  every instance.  Everything else is this instance's own.  Counters
+    //  start from 0 upon each restart, as Prometheus expects.
+    //
+    //  A drift alert might fire on, say,
+    //
+    //    histogram_quantile(0.99, sum by (le) (rate(sonicflux_tick_drift_ms_bucket[5m]))) > 20
+    //
+
+module.exports = function Metrics(app)
+{
+  //  Module-wide constants
+    var DRIFT_BUCKETS_MS = [1, 2, 5, 10, 20, 50, 100, 250, 500];
+    var BROADCAST_BUCKETS_SECS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1];
+
+  //  Module-wide variables
+    var families = [];                  //  Every metric, in the order they are written out
+    var tickDrift = histogram('sonicflux_tick_drift_ms', "Distance of each timer tick from the whole second, in msecs", DRIFT_BUCKETS_MS);
+    var tickDriftLast = gauge('sonicflux_tick_drift_last_ms', "Latest timer tick error in msecs: + late, - early");
+    var timerInterval = gauge('sonicflux_timer_interval_ms', "Timer interval in use, in msecs");
+    var timerIntervalChanges = counter('sonicflux_timer_interval_changes_total', "Timer interval changes");
+    var lobbyAdjustments = counter('sonicflux_lobby_adjustments_total', "Lobby re-syncs to the room's cadence");
+    var lobbyAdjustmentSecs = counter('sonicflux_lobby_adjustment_secs_total', "Secs of lobby added or removed by re-syncs");
+    var connectedSockets = gauge('sonicflux_connected_sockets', "Sockets connected to this instance");
+    var roomPlayers = gauge('sonicflux_room_players', "Players in each room");
+    var roomSpectators = gauge('sonicflux_room_spectators', "Spectators of each room");
+    var messages = counter('sonicflux_messages_total', "Socket.io messages received, per route");
+    var rejections = counter('sonicflux_messages_rejected_total', "Socket.io messages refused, per route and reason");
+    var broadcastSecs = histogram('sonicflux_broadcast_seconds', "Time to send a BROADCAST, in secs", BROADCAST_BUCKETS_SECS);
+
+
+//  Worker functions
+
+  //    Add a metric family: {name, help, type, series: {labels key: series}}.
+  function family(name, help, type)
+    {
+      var metric = { name: name, help: help, type: type, series: {} };
+      families.push(metric);
+      return metric;
+    }
+
+  //    The series of metric with these labels ({} for none), made on first use.
+  function seriesFor(metric, labels, initial)
+    {
+      var key = JSON.stringify(labels || {});
+      if (!metric.series[key])
+        metric.series[key] = { labels: labels || {}, value: initial() };
+      return metric.series[key];
+    }
+
+  //    A counter: inc(labels, by).
+  function counter(name, help)
+    {
+      var metric = family(name, help, 'counter');
+      metric.inc = function inc(labels, by)
+        {
+          seriesFor(metric, labels, function() { return 0; }).value += (by == null) ? 1 : by;
+        };
+      return metric;
+    }
+
+  //    A gauge: set(labels, value), and clear() to drop every series before setting them afresh.
+  function gauge(name, help)
+    {
+      var metric = family(name, help, 'gauge');
+      metric.set = function set(labels, value)
+        {
+          seriesFor(metric, labels, function() { return 0; }).value = value;
+        };
+      metric.clear = function clear()
+        {
+          metric.series = {};
+        };
+      return metric;
+    }
+
+  //    A histogram over these (ascending) bucket bounds: observe(labels, value).
+  function histogram(name, help, buckets)
+    {
+      var metric = family(name, help, 'histogram');
+      metric.observe = function observe(labels, value)
+        {
+          var series = seriesFor(metric, labels, function() { return { counts: buckets.map(function() { return 0; }), sum: 0, count: 0 }; });
+          for (var index = 0; index < buckets.length; index++)
+          {
+            if (value <= buckets[index])
+              series.value.counts[index]++;
+          }
+          series.value.sum += value;
+          series.value.count++;
+        };
+      metric.buckets = buckets;
+      return metric;
+    }
+
+  //    Labels as {a="1",b="x"} (or '' for none), with extra labels after them.
+  function formatLabels(labels, extra)
+    {
+      var pairs = [];
+      var all = [labels, extra || {}];
+      for (var index = 0; index < all.length; index++)
+      {
+        for (var label in all[index])
+        {
+          var value = String(all[index][label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+          pairs.push(label + '="' + value + '"');
+        }
+      }
+      return pairs.length ? '{' + pairs.join(',') + '}' : '';
+    }
+
+  //    Read the gauges that are taken at scrape time: sockets, and each room's players & spectators.
+  function collect()
+    {
+      connectedSockets.set(null, app.io.sockets.clients().length);
+      roomPlayers.clear();
+      roomSpectators.clear();
+      for (var index = 0; index < active_rooms.length; index++)
+      {
+        var room = active_rooms[index];
+        roomPlayers.set( { room: room }, roomCount[room] || 0);
+        roomSpectators.set( { room: room }, spectatorCount[room] || 0);
+      }
+    }
+
+  return  {
+
+    //    Upon each tick: its error (msecClkErr) under this calibration strategy, and the interval the next is set for.
+    tickMeasured: function tickMeasured(strategy, msecClkErr, interval)
+      {
+        tickDrift.observe( { strategy: strategy }, Math.abs(msecClkErr));
+        tickDriftLast.set(null, msecClkErr);
+        timerInterval.set(null, interval);
+      },
+
+    //    Upon the 'stepped' calibration switching to another interval.
+    timerIntervalChanged: function timerIntervalChanged()
+      {
+        timerIntervalChanges.inc();
+      },
+
+    //    Upon adjustLobbySecs() moving a room's lobby by secs (+ longer, - shorter).
+    lobbyAdjusted: function lobbyAdjusted(room, secs)
+      {
+        lobbyAdjustments.inc( { room: room } );
+        lobbyAdjustmentSecs.inc( { room: room }, Math.abs(secs));
+      },
+
+    //    Upon receiving a socket.io message for route.
+    received: function received(route)
+      {
+        messages.inc( { route: route } );
+      },
+
+    //    Upon refusing a route's message, for this (machine-readable) reason.
+    rejected: function rejected(route, reason)
+      {
+        rejections.inc( { route: route, reason: reason } );
+      },
+
+    //    Upon a BROADCAST of event, which took secs to send.
+    broadcastTimed: function broadcastTimed(event, secs)
+      {
+        broadcastSecs.observe( { event: event }, secs);
+      },
+
+    //    Every metric, in the Prometheus text format (version 0.0.4).
+    render: function render()
+      {
+        collect();
+        var lines = [];
+        for (var index = 0; index < families.length; index++)
+        {
+          var metric = families[index];
+          lines.push('# HELP ' + metric.name + ' ' + metric.help);
+          lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+          for (var key in metric.series)
+          {
+            var series = metric.series[key];
+            if (metric.type != 'histogram')
+            {
+              lines.push(metric.name + formatLabels(series.labels) + ' ' + series.value);
+              continue;
+            }
+            for (var bucket = 0; bucket < metric.buckets.length; bucket++)
+            {
+              lines.push(metric.name + '_bucket' + formatLabels(series.labels, { le: metric.buckets[bucket] }) + ' ' + series.value.counts[bucket]);
+            }
+            lines.push(metric.name + '_bucket' + formatLabels(series.labels, { le: '+Inf' }) + ' ' + series.value.count);
+            lines.push(metric.name + '_sum' + formatLabels(series.labels) + ' ' + series.value.sum);
+            lines.push(metric.name + '_count' + formatLabels(series.labels) + ' ' + series.value.count);
+          }
+        }
+        return lines.join('\n') + '\n';
+      }
+  };
+}
@@ -0,0 +1,238 @@
+//    SonicFlux Node.js server - privaterooms.js
+    //
+    //  This module implements private rooms: rooms that players create for
+    //  a classroom session or a group of friends, joined by invite code.
+    //
+
+  //  ABOUT SONICFLUX: PRIVATE ROOMS
+  //
+  //    Rooms and room ids
+    //
+    //  The public rooms are the difficulty rooms, MIN_ROOM_NUM through
+    //  MIN_ROOM_NUM + NUM_ROOMS - 1 (see app.js).  Each private room gets
+    //  the next room id after those, and is added to active_rooms, the list
+    //  of every room the timer runs.  From then on it is a room like any
+    //  other: its own roomCount, round_results, scoreboard and question
+    //  timeline, and the same per-room timer BROADCASTs.  Room ids come
+    //  from store.nextId(), as guest tags do, so are never reused, even
+    //  across instances or restarts (the 'memory' store carries its
+    //  counters over in snapshot.js's snapshot); and every instance shares
+    //  the list of private rooms, so that an invite code works whichever
+    //  instance a client is on.
+    //
+    //  A private room has a difficulty level, which it takes its schedule
+    //  and question set from.  Its timer starts in step with that level's
+    //  public room (see timer.js), so rounds start and end together -- from
+    //  the moment it is created, so that its first players are told its
+    //  phase and time remaining like anyone else's.
+    //
+  //    Invite codes and passwords
+    //
+    //  Each private room has an INVITE_CODE_LENGTH invite code, drawn from
+    //  letters and digits that are hard to confuse when read aloud (no 0/O,
+    //  1/I/L).  Codes are matched case-insensitively.  A room can also have
+    //  a password; only a salted hash of it is kept.
+    //
+  //    Garbage collection
+    //
+    //  Once a private room has had no players and no spectators for a full
+    //  cycle of its schedule, it is removed: dropped from active_rooms, its
+    //  per-room state deleted, and its invite code freed.  That cycle is
+    //  timed on the round engine's clock (see clock.js), so in simulation
+    //  mode an empty room goes as soon as its simulated cycle is over.  At
+    //  most MAX_PRIVATE_ROOMS exist at once.
+    //
+
+var crypto = require('crypto');
+var log = require('./log.js')('privaterooms');
+
+module.exports = function PrivateRooms(app, questions, store, clock)
+{
+  //  Module-wide constants
+    var INVITE_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+  //  Module-wide variables
+    var privateRooms = {};              //  Per room: {invite_code, difficulty_level, salt, password_hash, created_by, created_at, empty_since}
+    var roomsByCode = {};               //  Per invite code: its room
+    var addedHandlers = [];             //  handler(room) for each room added
+
+  //    Make an invite code that no current room is using.
+  function makeInviteCode()
+    {
+      var code;
+      do
+      {
+        var bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+        code = '';
+        for (var index = 0; index < INVITE_CODE_LENGTH; index++)
+        {
+          code += INVITE_CODE_CHARS.charAt(bytes[index] % INVITE_CODE_CHARS.length);
+        }
+      } while (roomsByCode[code] != null);
+      return code;
+    }
+
+  //    Salted SHA-256 of a room password, as hex.
+  function hashPassword(salt, password)
+    {
+      return crypto.createHash('sha256').update(salt + ':' + password).digest('hex');
+    }
+
+  //    Add a private room (ours, or another instance's): register it, add it to active_rooms
+    //  and set up its per-room state.
+  function addRoom(room, privateRoom)
+    {
+      privateRooms[room] = privateRoom;
+      roomsByCode[privateRoom.invite_code] = room;
+
+      active_rooms.push(room);
+      room_levels[room] = privateRoom.difficulty_level;
+      roomCount[room] = 0;
+      spectatorCount[room] = 0;
+      round_in_progress[room] = round_in_progress[privateRoom.difficulty_level];
+      round_results[room] = [];
+      ROOM_SCHEDULES[room] = { secs_in_lobby: ROOM_SCHEDULES[privateRoom.difficulty_level].secs_in_lobby,
+                               secs_in_complete_cycle: ROOM_SCHEDULES[privateRoom.difficulty_level].secs_in_complete_cycle };
+      questions.addRoom(room, privateRoom.difficulty_level);
+      for (var index = 0; index < addedHandlers.length; index++)
+      {
+        addedHandlers[index](room);
+      }
+    }
+
+  //    Drop a private room (ours, or another instance's): drop it from active_rooms and delete its per-room state.
+  function dropRoom(room)
+    {
+      active_rooms.splice(active_rooms.indexOf(room), 1);
+      delete roomsByCode[privateRooms[room].invite_code];
+      delete privateRooms[room];
+
+      delete roomCount[room];
+      delete spectatorCount[room];
+      delete round_in_progress[room];
+      delete round_results[room];
+      delete room_levels[room];
+      delete ROOM_SCHEDULES[room];
+      questions.removeRoom(room);
+    }
+
+  //    Upon another instance creating (privateRoom non-null) or removing a private room, do the same.
+  function applyRoom(room, privateRoom)
+    {
+      room = parseInt(room);
+      if (privateRoom && !privateRooms[room])
+      {
+        addRoom(room, privateRoom);
+      }
+      else if (!privateRoom && privateRooms[room])
+      {
+        dropRoom(room);
+      }
+    }
+
+  store.share('private_rooms', applyRoom);
+
+  return  {
+
+    //    Create a private room at this difficulty level, with an optional password.
+      //  Calls back with {room, invite_code}, or {error_str, reason: 'too_many_rooms' | 'store_unavailable'}.
+    create: function create(diffLvl, password, createdBy, callback)
+      {
+        if (Object.keys(privateRooms).length >= MAX_PRIVATE_ROOMS)
+        {
+          return callback( { error_str: "Too many private rooms already exist", reason: 'too_many_rooms' } );
+        }
+
+        store.nextId('private_rooms', function(err, id)
+          {
+            if (err)
+            {
+              log.error('Private room not created for ' + createdBy + ': no room id -- ' + err.message, { event: 'private_room_failed', player_tag: createdBy });
+              return callback( { error_str: "Private rooms are unavailable just now", reason: 'store_unavailable' } );
+            }
+
+            var room = MIN_ROOM_NUM + NUM_ROOMS + id - 1;
+            var salt = crypto.randomBytes(8).toString('hex');
+            addRoom(room, { invite_code: makeInviteCode(), difficulty_level: diffLvl, salt: salt,
+                            password_hash: password ? hashPassword(salt, password) : null,
+                            created_by: createdBy, created_at: clock.now(), empty_since: null });
+            store.put('private_rooms', room, privateRooms[room]);
+
+            log.info('Private room created by ' + createdBy + ': level ' + diffLvl + (password ? ' (password)' : ''),
+                     { event: 'private_room_created', room: room, player_tag: createdBy, invite_code: privateRooms[room].invite_code });
+            callback( { room: room, invite_code: privateRooms[room].invite_code } );
+          });
+      },
+
+    //    Call handler(room) upon each private room being added, here or on another instance (before anyone joins it here).
+    onRoomAdded: function onRoomAdded(handler)
+      {
+        addedHandlers.push(handler);
+      },
+
+    //    Look up the room for an invite code, checking its password.
+      //  Returns {room}, or {reason: 'unknown_invite_code' | 'wrong_password'}.
+    find: function find(inviteCode, password)
+      {
+        var room = roomsByCode[String(inviteCode).trim().toUpperCase()];
+        if (room == null)
+        {
+          return { reason: 'unknown_invite_code' };
+        }
+        var privateRoom = privateRooms[room];
+        if (privateRoom.password_hash && (hashPassword(privateRoom.salt, (password == null) ? '' : String(password)) != privateRoom.password_hash))
+        {
+          return { reason: 'wrong_password' };
+        }
+        return { room: room };
+      },
+
+    //    Is this room a private one?
+    isPrivate: function isPrivate(room)
+      {
+        return (privateRooms[room] != null);
+      },
+
+    //    What admins see of a private room (null for a public one).
+    describe: function describe(room)
+      {
+        var privateRoom = privateRooms[room];
+        if (!privateRoom)
+        {
+          return null;
+        }
+        return  { invite_code: privateRoom.invite_code, has_password: !!privateRoom.password_hash,
+                  created_by: privateRoom.created_by, created_at: privateRoom.created_at, empty_since: privateRoom.empty_since };
+      },
+
+    //    Called every (leader) tick: remove private rooms that have been empty for a full cycle.
+      //  Returns the removed rooms' ids, so the caller can drop its own state for them.
+    collectEmpty: function collectEmpty()
+      {
+        var now = clock.now();
+        var removed = [];
+        for (var room in privateRooms)
+        {
+          room = parseInt(room);
+          var privateRoom = privateRooms[room];
+          if (roomCount[room] || spectatorCount[room])
+          {
+            privateRoom.empty_since = null;
+          }
+          else if (privateRoom.empty_since == null)
+          {
+            privateRoom.empty_since = now;
+          }
+          else if (now - privateRoom.empty_since >= ROOM_SCHEDULES[room].secs_in_complete_cycle * 1000)
+          {
+            dropRoom(room);
+            store.remove('private_rooms', room);
+            store.forgetRoom(room);
+            log.info('Private room removed after a full cycle empty', { event: 'private_room_removed', room: room });
+            removed.push(room);
+          }
+        }
+        return removed;
+      }
+  };
+}
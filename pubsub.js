@@ -0,0 +1,111 @@
+//    SonicFlux Node.js server - pubsub.js
+    //
+    //  This module implements room BROADCASTs across instances: a BROADCAST
+    //  goes to the sockets in that socket.io room on this instance, and is
+    //  published (see store.js) so that every other instance sends it to
+    //  its own.  It also carries the other messages that instances send one
+    //  another, such as each shard's scoreboard (see scoreboards.js).
+    //
+
+  //  ABOUT SONICFLUX: PUB/SUB
+  //
+  //    Room BROADCASTs
+    //
+    //  With more than one instance, a socket.io room's sockets are spread
+    //  across all of them, so app.io.room(...).broadcast() would reach only
+    //  this instance's share.  Every BROADCAST goes through here instead:
+    //
+    //    broadcast(channel, event, data)        to every socket in channel
+    //                                           (channel null: every socket)
+    //    broadcastFrom(io, channel, event, data)  the same, except the
+    //                                           socket of request.io io
+    //
+    //  This instance's sockets are sent it at once, just as before; other
+    //  instances send it to theirs as it arrives.
+    //
+  //    Messages between instances
+    //
+    //  A module that keeps per-socket or per-instance state of its own, such
+    //  as the open question or a shard's latest scoreboard, publishes its
+    //  changes to the other instances with tellPeers(type, body), and
+    //  applies theirs with a handle(type, handler).  The sender applies its
+    //  own change itself; handlers run only for other instances' messages.
+    //  One instance's messages arrive in the order it sent them, in order
+    //  with its shared-state writes.
+    //
+    //  Each BROADCAST carries a second argument, { server_send_time }, as
+    //  each instance sends it to its own sockets (see timesync.js).
+    //
+    //  Each BROADCAST is timed, from the start of sending it to our own
+    //  sockets to its publishing, for sonicflux_broadcast_seconds (see
+    //  metrics.js).
+    //
+
+module.exports = function PubSub(app, store, metrics, timesync)
+{
+  //  Module-wide variables
+    var handlers = {};                  //  Per message type: handler(body)
+
+
+//  Worker functions
+
+  //    Send event, stamped, to this instance's sockets in channel (null: every socket), except one socket id.
+  function deliver(channel, event, data, exceptId)
+    {
+      var sockets = app.io.sockets;
+      if (channel != null)
+        sockets = sockets.in('' + channel);
+      if (exceptId != null)
+        sockets = sockets.except(exceptId);
+      sockets.emit(event, data, timesync.stamp());
+    }
+
+  //    Send event to channel here (but not to exceptId), publish it to the other instances, and time it.
+  function broadcastTimed(channel, event, data, exceptId)
+    {
+      var started = process.hrtime();
+      deliver(channel, event, data, exceptId);
+      store.publish('pubsub', { type: 'broadcast', body: { channel: channel, event: event, data: data } });
+      var elapsed = process.hrtime(started);
+      metrics.broadcastTimed(event, elapsed[0] + elapsed[1] / 1e9);
+    }
+
+  store.subscribe('pubsub', function(message)
+    {
+      if (message.type == 'broadcast')
+      {
+        deliver(message.body.channel, message.body.event, message.body.data, null);
+      }
+      else if (handlers[message.type])
+      {
+        handlers[message.type](message.body);
+      }
+    });
+
+  return  {
+
+    //    BROADCAST event to every socket in channel (null: every socket), on every instance.
+    broadcast: function broadcast(channel, event, data)
+      {
+        broadcastTimed(channel, event, data, null);
+      },
+
+    //    BROADCAST event to every socket in channel but io's own, on every instance.
+    broadcastFrom: function broadcastFrom(io, channel, event, data)
+      {
+        broadcastTimed(channel, event, data, io.socket.id);
+      },
+
+    //    Send a message of this type to every other instance.
+    tellPeers: function tellPeers(type, body)
+      {
+        store.publish('pubsub', { type: type, body: body });
+      },
+
+    //    Call handler(body) for each message of this type from another instance.
+    handle: function handle(type, handler)
+      {
+        handlers[type] = handler;
+      }
+  };
+}
@@ -0,0 +1,206 @@
+//    SonicFlux Node.js server - questions.js
+    //
+    //  This module implements the question timeline: loading each room's
+    //  question set, and deciding which question starts at which second
+    //  of Play time.  timer.js asks it every Play tick, and BROADCASTs
+    //  'question_start' whenever a question is due.
+    //
+
+  //  ABOUT SONICFLUX: QUESTION SETS AND TIMELINES
+  //
+  //    Question sets
+    //
+    //  Each difficulty room has its own question set, a local JSON file
+    //  named in QUESTION_SET_FILES (see app.js).  Swapping in a different
+    //  set means pointing a room at a different file.  A set looks like:
+    //
+    //    { "name": "...",
+    //      "question_offsets": [0, 15, 30, ...],
+    //      "secs_to_answer": 12,
+    //      "questions": [ { "question_id": "...", "prompt": "...",
+    //                       "choices": ["...", ...], "answer": "..." }, ... ] }
+    //
+    //  question_offsets is the set's timeline: the seconds into Play time at
+    //  which each question starts.  Offsets past the end of the room's Play
+    //  time are simply never reached.  Questions are used in file order,
+    //  continuing from round to round and wrapping around at the end.
+    //
+    //  A private room (see privaterooms.js) uses its difficulty level's
+    //  set, but keeps a timeline of its own from the question set's start.
+    //
+  //    What clients see
+    //
+    //  'question_start' carries {question_id, prompt, choices, deadline,
+    //  server_time}.  Both times are msecs since the epoch: server_time is
+    //  when the server sent it, and deadline is when answers close (never
+    //  later than the end of Play time).  The answer key stays on the server.
+    //
+    //  Because the server decides when each question starts, every client
+    //  in a room sees each question at the same tick, rather than each
+    //  browser pacing itself.
+    //
+  //    Answers and scoring
+    //
+    //  Clients answer with 'submit_answer' {question_id, answer}, and the
+    //  server checks the answer against the open question's key (trimmed,
+    //  case-insensitive).  Only the open question can be answered, only
+    //  before its deadline, and only once per player.  A correct answer
+    //  earns up to MAX_POINTS_PER_ANSWER: full points for an instant answer,
+    //  scaling down to half points at the deadline.  A wrong answer earns 0.
+    //
+    //  Only the timer leader runs the timeline (see election.js).  Each
+    //  question it opens or closes, answer key included, is passed on to
+    //  the other instances (see pubsub.js), so that every instance can
+    //  score its own players' answers.
+    //
+
+var fs = require('fs');
+var path = require('path');
+var log = require('./log.js')('questions');
+
+module.exports = function Questions(app, pubsub, clock)
+{
+  //  Module-wide constants
+    var MAX_POINTS_PER_ANSWER = 100;
+
+  //  Module-wide variables
+    var questionSets = [];              //  Per room: its loaded question set
+    var nextQuestion = [];              //  Per room: index of next question to use
+    var activeQuestion = [];            //  Per room: the question now open, or null
+    var activeAnswer = [];              //  Per room: the open question's answer key
+    var answeredBy = [];                //  Per room: {sessionID: true} for the open question
+
+  //    Read and check one room's question set file. Throws if the file is unusable.
+  function loadQuestionSet(file)
+    {
+      var set = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+
+      if (!Array.isArray(set.question_offsets) || !Array.isArray(set.questions) || !set.questions.length)
+      {
+        throw new Error('Question set ' + file + ' needs question_offsets and a non-empty questions list');
+      }
+      if (!(set.secs_to_answer > 0))
+      {
+        throw new Error('Question set ' + file + ' needs a positive secs_to_answer');
+      }
+      for (var index = 0; index < set.questions.length; index++)
+      {
+        if ((set.questions[index].question_id == null) || (set.questions[index].answer == null))
+        {
+          throw new Error('Question ' + index + ' of ' + file + ' needs a question_id and an answer');
+        }
+      }
+      return set;
+    }
+
+  //    Upon another instance opening (question non-null) or closing a room's question, do the same.
+  function applyQuestion(message)
+    {
+      activeQuestion[message.room] = message.question;
+      activeAnswer[message.room] = message.answer;
+      answeredBy[message.room] = {};
+    }
+
+  for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM + NUM_ROOMS; room++)
+  {
+    questionSets[room] = loadQuestionSet(QUESTION_SET_FILES[room]);
+    nextQuestion[room] = 0;
+    activeQuestion[room] = null;
+    log.info('Loaded "' + questionSets[room].name + '" (' + questionSets[room].questions.length + ' questions)', { event: 'questions_loaded', room: room });
+  }
+
+  pubsub.handle('question', applyQuestion);
+
+  return  {
+
+    //    Called once per Play tick: open the next question if one is due at this offset.
+      //  secsIntoPlay counts from 0 at round start; playEndTime is when Play time ends
+      //  (msecs).  Returns the 'question_start' payload to BROADCAST, or null if none.
+    questionDue: function questionDue(room, secsIntoPlay, playEndTime)
+      {
+        var set = questionSets[room];
+        if (set.question_offsets.indexOf(secsIntoPlay) == -1)
+        {
+          return null;
+        }
+
+        var question = set.questions[nextQuestion[room]];
+        nextQuestion[room] = (nextQuestion[room] + 1) % set.questions.length;
+
+        var now = clock.now();
+        activeAnswer[room] = question.answer;
+        answeredBy[room] = {};
+        activeQuestion[room] = {
+          question_id : question.question_id,
+          prompt      : question.prompt,
+          choices     : question.choices,
+          deadline    : Math.min(now + set.secs_to_answer * 1000, playEndTime),
+          server_time : now
+        };
+        pubsub.tellPeers('question', { room: room, question: activeQuestion[room], answer: activeAnswer[room] });
+        return activeQuestion[room];
+      },
+
+    //    The question payload now open in this room, or null if none is.
+    activeQuestion: function getActiveQuestion(room)
+      {
+        var question = activeQuestion[room];
+        if (question && (question.deadline <= clock.now()))
+        {
+          activeQuestion[room] = question = null;
+        }
+        return question;
+      },
+
+    //    Check one player's answer to the room's open question, and score it. 
+      //  Returns {error_str} if the answer can't be accepted (wrong question, too
+      //  late, already answered), else {correct, points_awarded}.
+    scoreAnswer: function scoreAnswer(room, sessionID, questionId, answer)
+      {
+        var question = this.activeQuestion(room);
+        if (!question || (question.question_id != questionId))
+        {
+          return { error_str: "Question is not open" };
+        }
+        if (answeredBy[room][sessionID])
+        {
+          return { error_str: "Question was already answered" };
+        }
+        answeredBy[room][sessionID] = true;
+
+        if (String(answer).trim().toLowerCase() != String(activeAnswer[room]).trim().toLowerCase())
+        {
+          return { correct: false, points_awarded: 0 };
+        }
+
+        var msecsAllowed = question.deadline - question.server_time;
+        var msecsLeft = Math.max(0, question.deadline - clock.now());
+        return { correct: true, points_awarded: Math.round(MAX_POINTS_PER_ANSWER * (0.5 + 0.5 * msecsLeft / msecsAllowed)) };
+      },
+
+    //    Upon end of a room's Play time, close whatever question is open.
+    endRound: function endRound(room)
+      {
+        activeQuestion[room] = null;
+        pubsub.tellPeers('question', { room: room, question: null, answer: null });
+      },
+
+    //    Upon creation of a private room, give it its level's question set and a timeline of its own.
+    addRoom: function addRoom(room, diffLvl)
+      {
+        questionSets[room] = questionSets[diffLvl];
+        nextQuestion[room] = 0;
+        activeQuestion[room] = null;
+      },
+
+    //    Upon removal of a private room, forget its timeline.
+    removeRoom: function removeRoom(room)
+      {
+        delete questionSets[room];
+        delete nextQuestion[room];
+        delete activeQuestion[room];
+        delete activeAnswer[room];
+        delete answeredBy[room];
+      }
+  };
+}
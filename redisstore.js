@@ -0,0 +1,384 @@
+//    SonicFlux Node.js server - redisstore.js
+    //
+    //  This module implements the networked backend for store.js: the same
+    //  calls as memorystore.js, made against a Redis server (or anything
+    //  that speaks its protocol), so that several SonicNode instances can
+    //  share one game state.
+    //
+
+  //  ABOUT SONICFLUX: THE REDIS BACKEND
+  //
+  //    Connections
+    //
+    //  REDIS_URL (see config.js) names the server, as
+    //  redis://[:password@]host[:port][/db].  Two connections are opened:
+    //  one for commands, and one that does nothing but SUBSCRIBE (Redis
+    //  allows no other commands on a subscribed connection).  The client is
+    //  a small one of our own, over the Redis wire protocol (RESP), so no
+    //  driver package is needed.  Commands are pipelined; replies come back
+    //  in order, each to its command's callback.
+    //
+    //  Commands sent while a connection attempt is under way wait for it.
+    //  A dropped connection is retried every RECONNECT_MSECS, and resumes
+    //  its subscriptions.  Between attempts, each command calls back with
+    //  an error at once, rather than queueing: the game carries on from its
+    //  in-process copy of the state (see store.js), and catches the server
+    //  up with its next writes.  A reply we can't parse drops the connection
+    //  too, since we can no longer tell where the next one starts; the
+    //  pending commands fail, and we reconnect as above.  close() shuts both
+    //  connections for good.
+    //
+    //  test/redisstore.test.js runs all of this against a stub server (see
+    //  test/support/stubredis.js): replies split across reads and several
+    //  in one read, reconnecting and resubscribing, and lease takeover.
+    //
+  //    Leases
+    //
+    //  A lease is a key holding its holder's id, with a PX expiry.  Taking
+    //  and renewing one is a single Lua script, so that two instances can't
+    //  both see a lease as free and both take it.
+    //
+
+var net = require('net');
+var url = require('url');
+var log = require('./log.js')('store');
+
+module.exports = function RedisStore(app, redisUrl)
+{
+  //  Module-wide constants
+    var RECONNECT_MSECS = 1000;
+    var LEASE_SCRIPT = [
+      "local holder = redis.call('GET', KEYS[1])",
+      "if (not holder) or (holder == ARGV[1]) then",
+      "  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])",
+      "  return ARGV[1]",
+      "end",
+      "return holder"
+    ].join('\n');
+
+  //  Module-wide variables
+    var target = parseRedisUrl(redisUrl);
+    var subscribers = {};               //  Per channel: [handler, ...]
+    var commands = connect('commands', null);
+    var subscriber = connect('subscriber', onMessage);
+    subscriber.onReady = resubscribe;
+
+
+//  Worker functions
+
+  //    Split a redis:// URL into {host, port, password, db}.
+  function parseRedisUrl(redisUrl)
+    {
+      var parsed = url.parse(redisUrl);
+      var password = (parsed.auth && (parsed.auth.indexOf(':') != -1)) ? parsed.auth.slice(parsed.auth.indexOf(':') + 1) : null;
+      var db = parseInt((parsed.pathname || '').slice(1));
+      return  { host: parsed.hostname || '127.0.0.1', port: parseInt(parsed.port) || 6379,
+                password: password || null, db: isNaN(db) ? null : db };
+    }
+
+  //    A command as a RESP array of bulk strings.
+  function encode(args)
+    {
+      var command = '*' + args.length + '\r\n';
+      for (var index = 0; index < args.length; index++)
+      {
+        var arg = String(args[index]);
+        command += '$' + Buffer.byteLength(arg) + '\r\n' + arg + '\r\n';
+      }
+      return command;
+    }
+
+  //    Parse one RESP reply from buffer at start: {value, end}, or null if it hasn't all arrived yet.
+    //  Error replies come back as Error objects; nil as null.
+  function parseReply(buffer, start)
+    {
+      var lineEnd = buffer.indexOf('\r\n', start);
+      if (lineEnd == -1)
+        return null;
+
+      var type = String.fromCharCode(buffer[start]);
+      var line = buffer.toString('utf8', start + 1, lineEnd);
+      var next = lineEnd + 2;
+
+      if (type == '+')
+        return { value: line, end: next };
+      if (type == '-')
+        return { value: new Error(line), end: next };
+      if (type == ':')
+        return { value: parseInt(line), end: next };
+      if (type == '$')
+      {
+        var length = parseInt(line);
+        if (length == -1)
+          return { value: null, end: next };
+        if (buffer.length < next + length + 2)
+          return null;
+        return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+      }
+      if (type == '*')
+      {
+        var count = parseInt(line);
+        if (count == -1)
+          return { value: null, end: next };
+        var values = [];
+        for (var index = 0; index < count; index++)
+        {
+          var item = parseReply(buffer, next);
+          if (!item)
+            return null;
+          values.push(item.value);
+          next = item.end;
+        }
+        return { value: values, end: next };
+      }
+      throw new Error('Unexpected RESP reply type ' + JSON.stringify(type));
+    }
+
+  //    Open a connection to the server, reconnecting whenever it drops.
+    //  Returns {send(args, callback), close(), ready, onReady}.  onPush, if given, gets
+    //  every pub/sub 'message' reply instead of a command's callback.
+  function connect(label, onPush)
+    {
+      var connection = { socket: null, connecting: false, ready: false, closed: false, waiting: [], pending: [], buffer: Buffer.alloc(0), onReady: null };
+      var announcedDown = false;
+
+      function open()
+        {
+          if (connection.closed)
+            return;
+
+          var socket = net.connect(target.port, target.host);
+          connection.socket = socket;
+          connection.connecting = true;
+          connection.buffer = Buffer.alloc(0);
+
+          socket.on('connect', function()
+            {
+              if (target.password)
+                write(['AUTH', target.password], logFailure('AUTH'));
+              if (target.db != null)
+                write(['SELECT', target.db], logFailure('SELECT'));
+              connection.connecting = false;
+              connection.ready = true;
+              announcedDown = false;
+              log.info('Connected to ' + target.host + ':' + target.port + ' (' + label + ')', { event: 'store_connected' });
+              if (connection.onReady)
+                connection.onReady();
+
+              var waiting = connection.waiting;
+              connection.waiting = [];
+              for (var index = 0; index < waiting.length; index++)
+              {
+                write(waiting[index].args, waiting[index].callback);
+              }
+            });
+
+          socket.on('data', function(data)
+            {
+              connection.buffer = Buffer.concat([connection.buffer, data]);
+              var reply;
+              while (connection.buffer.length)
+              {
+                try
+                {
+                  reply = parseReply(connection.buffer, 0);
+                }
+                catch (err)
+                {
+                  //  We can no longer tell where replies start: drop the connection and let 'close' reconnect.
+                  log.error('Unreadable reply from ' + target.host + ':' + target.port + ' (' + label + ') -- ' + err.message + '; reconnecting', { event: 'store_bad_reply' });
+                  connection.buffer = Buffer.alloc(0);
+                  socket.destroy();
+                  return;
+                }
+                if (!reply)
+                  break;
+                connection.buffer = connection.buffer.slice(reply.end);
+                if (onPush && Array.isArray(reply.value) && (reply.value[0] == 'message'))
+                {
+                  onPush(reply.value[1], reply.value[2]);
+                  continue;
+                }
+                var callback = connection.pending.shift();
+                if (callback)
+                {
+                  (reply.value instanceof Error) ? callback(reply.value) : callback(null, reply.value);
+                }
+              }
+            });
+
+          socket.on('error', function(err)
+            {
+              if (!announcedDown)
+              {
+                log.error('Connection to ' + target.host + ':' + target.port + ' (' + label + ') failed -- ' + err.message, { event: 'store_unreachable' });
+                announcedDown = true;
+              }
+            });
+
+          socket.on('close', function()
+            {
+              connection.connecting = false;
+              connection.ready = false;
+              var callbacks = connection.pending;
+              for (var index = 0; index < connection.waiting.length; index++)
+              {
+                callbacks.push(connection.waiting[index].callback);
+              }
+              connection.pending = [];
+              connection.waiting = [];
+              for (var index = 0; index < callbacks.length; index++)
+              {
+                if (callbacks[index])
+                  callbacks[index](new Error('Connection to ' + target.host + ':' + target.port + ' closed'));
+              }
+              if (!connection.closed)
+                setTimeout(open, RECONNECT_MSECS);
+            });
+        }
+
+      function write(args, callback)
+        {
+          connection.pending.push(callback || null);
+          connection.socket.write(encode(args));
+        }
+
+      connection.send = function send(args, callback)
+        {
+          if (!connection.ready && connection.connecting)
+          {
+            connection.waiting.push( { args: args, callback: callback } );
+            return;
+          }
+          if (!connection.ready)
+          {
+            if (callback)
+              process.nextTick(function() { callback(new Error('Not connected to ' + target.host + ':' + target.port)); });
+            return;
+          }
+          write(args, callback);
+        };
+
+      connection.close = function close()
+        {
+          connection.closed = true;
+          if (connection.socket)
+            connection.socket.destroy();
+        };
+
+      open();
+      return connection;
+    }
+
+  //    A callback that just logs a failed command.
+  function logFailure(what)
+    {
+      return function(err)
+        {
+          if (err)
+            log.error(what + ' failed -- ' + err.message, { event: 'store_command_failed' });
+        };
+    }
+
+  //    Upon a published message, pass it to its channel's handlers.
+  function onMessage(channel, message)
+    {
+      var handlers = subscribers[channel] || [];
+      for (var index = 0; index < handlers.length; index++)
+      {
+        handlers[index](message);
+      }
+    }
+
+  //    Upon (re)connecting the subscriber, SUBSCRIBE to every channel we have handlers for.
+  function resubscribe()
+    {
+      for (var channel in subscribers)
+      {
+        subscriber.send(['SUBSCRIBE', channel], logFailure('SUBSCRIBE ' + channel));
+      }
+    }
+
+  return  {
+
+    name: 'redis',
+
+    //    Set a hash field (value: a string).
+    hset: function hset(key, field, value, callback)
+      {
+        commands.send(['HSET', key, field, value], callback);
+      },
+
+    //    Delete a hash field.
+    hdel: function hdel(key, field, callback)
+      {
+        commands.send(['HDEL', key, field], callback);
+      },
+
+    //    Every field of a hash, as {field: value} ({} if there is none).
+    hgetall: function hgetall(key, callback)
+      {
+        commands.send(['HGETALL', key], function(err, list)
+          {
+            if (err)
+              return callback(err);
+            var hash = {};
+            for (var index = 0; index + 1 < list.length; index += 2)
+            {
+              hash[list[index]] = list[index + 1];
+            }
+            callback(null, hash);
+          });
+      },
+
+    //    Add delta to an integer hash field; calls back with its new value.
+    hincrby: function hincrby(key, field, delta, callback)
+      {
+        commands.send(['HINCRBY', key, field, delta], callback);
+      },
+
+    //    Increment a counter; calls back with its new value (1 the first time).
+    incr: function incr(key, callback)
+      {
+        commands.send(['INCR', key], callback);
+      },
+
+    //    Take or renew the lease on key for msecs, unless someone else holds it.
+      //  Calls back with whoever holds it afterwards: holder itself if it got it.
+    acquireLease: function acquireLease(key, holder, msecs, callback)
+      {
+        commands.send(['EVAL', LEASE_SCRIPT, 1, key, holder, msecs], callback);
+      },
+
+    //    Who holds the lease on key, or null if no one does.
+    leaseHolder: function leaseHolder(key, callback)
+      {
+        commands.send(['GET', key], callback);
+      },
+
+    //    Send message (a string) to every subscriber of channel, on every instance.
+    publish: function publish(channel, message)
+      {
+        commands.send(['PUBLISH', channel, message], logFailure('PUBLISH ' + channel));
+      },
+
+    //    Call handler(message) for each message published to channel.
+    subscribe: function subscribe(channel, handler)
+      {
+        if (!subscribers[channel])
+        {
+          subscribers[channel] = [];
+          if (subscriber.ready)
+            subscriber.send(['SUBSCRIBE', channel], logFailure('SUBSCRIBE ' + channel));
+        }
+        subscribers[channel].push(handler);
+      },
+
+    //    Close both connections for good: pending commands call back with an error, and nothing reconnects.
+    close: function close()
+      {
+        commands.close();
+        subscriber.close();
+      }
+  };
+}
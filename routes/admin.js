@@ -0,0 +1,352 @@
+//    SonicFlux Node.js server - admin.js
+    //
+    //  This module implements the admin HTTP API: read-only JSON views of
+    //  rooms, players, sessions, round results and timer state, so that ops
+    //  can see what the server is doing without reading its logs.
+    //  It also provides round controls and system notices, so that ops can
+    //  intervene during live events and incidents.
+    //
+
+  //  ABOUT SONICFLUX: ADMIN API
+  //
+  //    Authentication
+    //
+    //  Every admin route requires ADMIN_TOKEN (see config.js), supplied either
+    //  as an 'X-Admin-Token' header or as an 'admin_token' query parameter.
+    //  A missing or wrong token gets a 401; if no ADMIN_TOKEN is configured
+    //  at all, the admin API is disabled and every request gets a 403.
+    //  Either way, the body is an {error_str} object.
+    //
+  //    Routes
+    //
+    //    /admin/status     each room's schedule, phase & secs remaining,
+    //                      this instance & its store (see store.js), the
+    //                      round engine's clock (see clock.js),
+    //                      settings & their sources (see config.js),
+    //                      plus all of the below in one response
+    //    /admin/rooms      per-room roomCount, spectatorCount, phase, shards,
+    //                      team standings (see teams.js; null: no teams)
+    //                      and roster; private rooms add invite code & creator
+    //    /admin/sessions   active sessions: sessionID, tag, user_id, room, shard,
+    //                      ref_count, and clock offset & rtt (see timesync.js;
+    //                      measured by this instance, else null)
+    //    /admin/results    the latest round_results for each room
+    //    /admin/timer      timer calibration state only: the strategy in use,
+    //                      and each strategy's drift summary (see calibration.js)
+    //    /admin/timer/drift  each strategy's drift history, tick by tick
+    //    /admin/webhook    round-end webhook: pending deliveries & totals
+    //    /metrics          timer accuracy & gameplay metrics (see metrics.js),
+    //                      in the Prometheus text format
+    //
+    //  For Prometheus, scrape /metrics with the token as a parameter:
+    //
+    //    params: { admin_token: ['...'] }
+    //
+    //  Every room the timer runs is listed, public and private alike, and
+    //  any of them can be given round controls and notices.
+    //
+    //  Round controls are POSTs, each replying with the room's new status
+    //  (as in /admin/status 'schedules'), or a 409 {error_str} if the room
+    //  is in the wrong state for it.  Clients in the room are told via the
+    //  BROADCAST in parentheses; see timer.js for how each room re-syncs
+    //  to its schedule afterwards.  With several instances, only the timer
+    //  leader (see election.js) runs the schedules, so round controls sent
+    //  to any other instance get a 409 naming the leader.
+    //
+    //    /admin/rooms/:room/end_round   end the round now ('round_force_ended')
+    //    /admin/rooms/:room/pause       freeze the countdown ('countdown_paused')
+    //    /admin/rooms/:room/resume      restart it ('countdown_resumed')
+    //    /admin/rooms/:room/lobby       body {secs}: lengthen (+) or shorten (-)
+    //                                   the current lobby ('lobby_adjusted')
+    //
+    //  In simulation mode (see clock.js), POST /admin/clock/advance with body
+    //  {secs} moves the round engine's virtual time on by secs at once,
+    //  replying with the clock's status ({mode, now, started_at, speedup,
+    //  timers}, as in /admin/status 'clock'); in real time it gets a 409.
+    //
+    //  Notices are a POST to /admin/notice with body {message, room}, which
+    //  BROADCASTs 'system_notice' {message, server_time} to that room -- or,
+    //  with no room, to every client -- on every instance.
+    //
+
+var log = require('../log.js')('admin');
+
+module.exports = function Admin(app, timer, webhook, privateRooms, shards, pubsub, election, store, config, metrics, timesync, clock, teams)
+{
+
+//  Worker functions
+
+  //    Compare two strings in time independent of where they first differ.
+    //  Keeps the admin token from being guessed a character at a time.
+  function tokensMatch(supplied, expected)
+    {
+      supplied = String(supplied);
+      var mismatch = (supplied.length != expected.length) ? 1 : 0;
+      for (var index = 0; index < expected.length; index++)
+      {
+        mismatch |= (supplied.charCodeAt(index) ^ expected.charCodeAt(index));
+      }
+      return (mismatch == 0);
+    }
+
+  //    Middleware for every admin route: refuse the request unless it carries ADMIN_TOKEN.
+  function requireAdminToken(request, response, next)
+    {
+      if (!ADMIN_TOKEN)
+      {
+        response.json(403, {error_str: "Admin API is disabled: no ADMIN_TOKEN is configured"});
+        return;
+      }
+
+      var supplied = request.get('X-Admin-Token') || request.query.admin_token;
+      if (!supplied || !tokensMatch(supplied, ADMIN_TOKEN))
+      {
+        log.warn('Refused ' + request.path + ' (missing or wrong admin token)', { event: 'admin_refused' });
+        response.json(401, {error_str: "Missing or invalid admin token"});
+        return;
+      }
+      next();
+    }
+
+  //    Middleware for round controls: refuse the request unless this instance is the timer leader.
+  function requireLeader(request, response, next)
+    {
+      if (!election.isLeader())
+      {
+        response.json(409, {error_str: "Round controls run on the timer leader (" + election.getStatus().leader_id + ")"});
+        return;
+      }
+      next();
+    }
+
+  //    Parse a room (the :room URL parameter, or body.room). Returns it, or null (after sending a 400).
+  function parseRoom(value, response)
+    {
+      var room = parseInt(value);
+      if (isNaN(room) || (active_rooms.indexOf(room) == -1))
+      {
+        response.json(400, {error_str: "No such room", user_input: value});
+        return null;
+      }
+      return room;
+    }
+
+  //    Reply to a round control: a 409 with its error_str, else the room's new status.
+  function replyToControl(response, room, errorStr)
+    {
+      if (errorStr)
+      {
+        response.json(409, {error_str: errorStr});
+        return;
+      }
+      response.json(timer.getRoomStatus(room));
+    }
+
+  //    Build each room's roster from all_players_list, highest points first.
+  function getRooms()
+    {
+      var rooms = [];
+      for (var index = 0; index < active_rooms.length; index++)
+      {
+        var room = active_rooms[index];
+        rooms[room] = { room: room, difficulty_level: room_levels[room], room_count: roomCount[room], spectator_count: spectatorCount[room],
+                        phase: timer.getRoomStatus(room).phase, private: privateRooms.describe(room),
+                        shards: shards.getStatus(room), teams: teams.standings(room), players: [] };
+      }
+
+      for (var index in all_players_list)
+      {
+        var player = all_players_list[index];
+        if (player)
+        {
+          rooms[player.room].players.push( { player_tag: player.player_tag, points: player.points, shard: player.shard, team: (player.team == null) ? null : player.team,
+                                             incomplete_round: player.incomplete_round, reconnecting: !!player.reconnecting } );
+        }
+      }
+
+      var roomList = [];
+      for (var index = 0; index < active_rooms.length; index++)
+      {
+        rooms[active_rooms[index]].players.sort( function(a,b) { return b.points - a.points; });
+        roomList.push(rooms[active_rooms[index]]);
+      }
+      return roomList;
+    }
+
+  //    List every active session in all_players_list, with its player, ref_count and measured clock (null if unmeasured).
+  function getSessions()
+    {
+      var sessions = [];
+      for (var sessionID in all_players_list)
+      {
+        var player = all_players_list[sessionID];
+        if (player)
+        {
+          sessions.push( { session_id: sessionID, player_tag: player.player_tag, user_id: player.user_id, room: player.room, shard: player.shard,
+                           ref_count: player.ref_count, reconnecting: !!player.reconnecting, clock: timesync.getClock(sessionID) } );
+        }
+      }
+      return sessions;
+    }
+
+  //    The latest round_results, one entry per room.
+  function getResults()
+    {
+      var results = [];
+      for (var index = 0; index < active_rooms.length; index++)
+      {
+        results.push( { room: active_rooms[index], results: round_results[active_rooms[index]] } );
+      }
+      return results;
+    }
+
+
+//  Routing functions
+
+  //  GET: everything at once -- room phases and rosters, sessions, results, timer state, instance, store & settings.
+  app.get('/admin/status', requireAdminToken, function(request, response)
+    {
+      var timerStatus = timer.getStatus();
+      response.json( { server_time: new Date().getTime(), schedules: timerStatus.rooms, rooms: getRooms(),
+                       sessions: getSessions(), round_results: getResults(), timer: timerStatus.calibration,
+                       instance: election.getStatus(), store: store.getStatus(), config: config.getStatus(), clock: clock.getStatus() } );
+    });
+
+  //  GET: per-room roomCount, spectatorCount, phase and roster.
+  app.get('/admin/rooms', requireAdminToken, function(request, response)
+    {
+      response.json(getRooms());
+    });
+
+  //  GET: active sessions with their ref_count and clock.
+  app.get('/admin/sessions', requireAdminToken, function(request, response)
+    {
+      response.json(getSessions());
+    });
+
+  //  GET: the latest round_results for each room.
+  app.get('/admin/results', requireAdminToken, function(request, response)
+    {
+      response.json(getResults());
+    });
+
+  //  GET: timer calibration state.
+  app.get('/admin/timer', requireAdminToken, function(request, response)
+    {
+      response.json(timer.getStatus().calibration);
+    });
+
+  //  GET: each calibration strategy's drift history.
+  app.get('/admin/timer/drift', requireAdminToken, function(request, response)
+    {
+      response.json(timer.getDriftHistory());
+    });
+
+  //  GET: round-end webhook queue and delivery totals.
+  app.get('/admin/webhook', requireAdminToken, function(request, response)
+    {
+      response.json(webhook.getStatus());
+    });
+
+  //  GET: metrics, for Prometheus to scrape.
+  app.get('/metrics', requireAdminToken, function(request, response)
+    {
+      response.set('Content-Type', 'text/plain; version=0.0.4');
+      response.send(metrics.render());
+    });
+
+  //  POST: end the room's round now. 
+  app.post('/admin/rooms/:room/end_round', requireAdminToken, requireLeader, function(request, response)
+    {
+      var room = parseRoom(request.params.room, response);
+      if (room == null)
+        return;
+      log.info('End round', { event: 'admin_end_round', room: room });
+      replyToControl(response, room, timer.endRound(room));
+    });
+
+  //  POST: pause the room's countdown. 
+  app.post('/admin/rooms/:room/pause', requireAdminToken, requireLeader, function(request, response)
+    {
+      var room = parseRoom(request.params.room, response);
+      if (room == null)
+        return;
+      log.info('Pause', { event: 'admin_pause', room: room });
+      replyToControl(response, room, timer.pause(room));
+    });
+
+  //  POST: resume the room's countdown. 
+  app.post('/admin/rooms/:room/resume', requireAdminToken, requireLeader, function(request, response)
+    {
+      var room = parseRoom(request.params.room, response);
+      if (room == null)
+        return;
+      log.info('Resume', { event: 'admin_resume', room: room });
+      replyToControl(response, room, timer.resume(room));
+    });
+
+  //  POST: lengthen or shorten the room's current lobby by body.secs. 
+  app.post('/admin/rooms/:room/lobby', requireAdminToken, requireLeader, function(request, response)
+    {
+      var room = parseRoom(request.params.room, response);
+      if (room == null)
+        return;
+
+      var secs = parseInt(request.body.secs);
+      if (isNaN(secs) || (secs == 0))
+      {
+        response.json(400, {error_str: "secs must be a non-zero integer", user_input: request.body.secs});
+        return;
+      }
+      log.info('Lobby by ' + secs + ' secs', { event: 'admin_lobby', room: room, by_secs: secs });
+      replyToControl(response, room, timer.adjustLobby(room, secs));
+    });
+
+  //  POST: simulation mode only: move the round engine's virtual time on by body.secs, running every timer due meanwhile. 
+  app.post('/admin/clock/advance', requireAdminToken, function(request, response)
+    {
+      if (!clock.simulated)
+      {
+        response.json(409, {error_str: "The clock only advances in simulation mode (clock_mode 'simulation')"});
+        return;
+      }
+
+      var status = clock.advance(Number(request.body.secs));
+      if (status.error_str)
+      {
+        status.user_input = request.body.secs;
+        response.json(400, status);
+        return;
+      }
+      log.info('Clock advanced ' + request.body.secs + ' secs', { event: 'admin_clock_advance', now: status.now });
+      response.json(status);
+    });
+
+  //  POST: BROADCAST a system notice to one room (body.room) or to everyone. 
+  app.post('/admin/notice', requireAdminToken, function(request, response)
+    {
+      var message = request.body.message;
+      if ((typeof(message) != 'string') || (message.trim() == ''))
+      {
+        response.json(400, {error_str: "message must be a non-empty string", user_input: message});
+        return;
+      }
+
+      var notice = { message: message.trim(), server_time: new Date().getTime() };
+      if (request.body.room == null)
+      {
+        pubsub.broadcast(null, 'system_notice', notice);
+        log.info('BROADCAST: ' + notice.message, { event: 'system_notice' });
+        response.json( { sent_to: 'all' } );
+        return;
+      }
+
+      var room = parseRoom(request.body.room, response);
+      if (room == null)
+        return;
+      pubsub.broadcast(room, 'system_notice', notice);
+      log.info('BROADCAST: ' + notice.message, { event: 'system_notice', room: room });
+      response.json( { sent_to: room } );
+    });
+
+};
@@ -5,23 +5,42 @@
     //  joining and detaching of clients to specific rooms.  Additionally,
     //  it tracks the per-room scoreboard that is sent every second to all
     //  clients in the room, as well as the final results sent out at round's
-    //  end.  Finally, it serves out a simple client page that can be used for
-    //  diagnostic purposes.
+    //  end.  It also serves out a simple client page that can be used for
+    //  diagnostic purposes.  Finally, it serves the round history and the
+    //  global leaderboards over HTTP.
 
   //  ABOUT SONICFLUX: CONNECTIONS, ROOMS, ROUNDS, SCORES
   //
   //    Client connections to the Node.js server
   //
     //  Each client initiates a connection to the server by the EMIT of
-    //  'client_ready', with the user's tag and difficulty level.
+    //  'client_ready', with the user's identity token and difficulty level.
     //
-    //  If input is not well-formed, server will EMIT 'error_client_ready' to
-    //  indicate that client must resend compliant data.  If the client input
-    //  is well-formed, server will EMIT 'client_confirmed'.
+    //  The identity token is issued by the Rails app, and verified by
+    //  identity.js.  The player's user_id and tag come from the token's
+    //  claims, as do the difficulty levels the player may join -- a client
+    //  can no longer pick its own tag.  A client with no token plays as a
+    //  'Guest' (with a server-assigned tag), but only if ALLOW_GUEST_PLAY is
+    //  set (see config.js).
+    //
+    //  If input is not well-formed, or the token doesn't verify, server will
+    //  EMIT 'error_client_ready' to indicate that client must resend compliant
+    //  data; for token problems its 'reason' field is machine-readable (see
+    //  identity.js, plus 'guests_disabled' and 'level_not_allowed').  If the
+    //  client input is well-formed, server will EMIT 'client_confirmed'.
     //
     //  When a client closes the tab or navigates elsewhere, its socket.io
     //  client will automatically EMIT a 'disconnect' msg to the server.
     //
+    //  A 'disconnect' might just be a quick wifi drop, so the player's seat
+    //  is held for RECONNECT_GRACE_SECS.  Meanwhile the player stays in the
+    //  room (and in roomCount), marked 'reconnecting' in 'play_timer_update'.
+    //  If the same session sends 'client_ready' within that window, it gets
+    //  back its room, points and incomplete_round status, along with the
+    //  usual 'client_confirmed' and room-sync msgs -- but neither a
+    //  'gamer_exited_room' nor 'gamer_entered_room' is BROADCAST.  Only once
+    //  the window expires does the server treat the player as having left.
+    //
   //    Rooms and difficulty levels
   //
     //  When a client is confirmed, the server responds with three actions.
@@ -33,16 +52,85 @@
     //  ('round_started', 'round_ended', 'room_round_results') - more on those
     //  msgs in the next section.
     //
-    //  The actions taken upon a 'disconnect' should mirror those taken when a
-    //  client is confirmed.  The server will detach (LEAVE) the client from
-    //  its room and BROADCAST 'gamer_exited_room' to remaining clients there.
+    //  The actions taken upon a 'disconnect' (once its grace period expires)
+    //  should mirror those taken when a client is confirmed.  The server will
+    //  detach (LEAVE) the client from its room and BROADCAST 'gamer_exited_room'
+    //  to remaining clients there.
+    //
+    //  The 'change_room' message effectively functions similar to
+    //  'disconnect'+'client_ready' with regard both to exiting the first room
+    //  (LEAVE+'gamer_exited_room' & 'round_ended'+'final_round_score') and to
+    //  entering the second one ('room_changed'+JOIN+'gamer_entered_room'+
+    //  'gamers_already_in_room', plus either 'round_started' or
+    //  'round_ended'+'room_round_results').  Malformed input, or a room the
+    //  player's token doesn't allow, gets an EMIT of 'error_change_room'
+    //  instead.
+    //
+    //  Switching rooms mid-round is allowed, but costs the player that
+    //  round: its final score is flagged incomplete, and the player starts
+    //  the new room with 0 points.  Points never carry over between rooms.
+    //
+  //    Shards
+    //
+    //  Once a room holds ROOM_SHARD_CAPACITY players, newcomers go to
+    //  another shard of it.  Everything above about room BROADCASTs holds,
+    //  except that the scoreboard msgs -- 'play_timer_update',
+    //  'room_round_results', 'gamers_already_in_room', 'gamer_entered_room'
+    //  and 'gamer_exited_room' -- cover only the player's own shard.  At
+    //  round end the whole room also gets 'level_round_results', and in
+    //  Lobby time a player may be moved to another shard ('shard_changed').
+    //  See shards.js.
+    //
+  //    Teams
+    //
+    //  A client can join a team by putting 'team' (a name) or 'team_code'
+    //  in the profile of 'client_ready' or 'change_room'; a malformed one
+    //  gets 'error_client_ready' or 'error_change_room' with reason
+    //  'invalid_team'.  A room with teams adds team standings to each
+    //  'play_timer_update', and the winning team to 'level_round_results';
+    //  in Lobby time, players without a team are spread among the room's
+    //  teams ('teams_balanced').  See teams.js.
+    //
+  //    Private rooms
+    //
+    //  A confirmed player can EMIT 'create_private_room' {difficulty_level,
+    //  password} (password optional) to open a room of its own, e.g. for a
+    //  classroom.  The server EMITs 'private_room_created' {room,
+    //  invite_code, difficulty_level, has_password} and moves the player
+    //  in, just as 'change_room' would; a bad level, a level the token
+    //  doesn't allow, or too many rooms gets 'error_create_private_room'.
+    //
+    //  Others join by putting invite_code (and password) in the profile of
+    //  'client_ready' or 'change_room' in place of difficulty_level.  An
+    //  unknown code or wrong password is refused with reason
+    //  'unknown_invite_code' or 'wrong_password'.  Inside, a private room
+    //  plays exactly like a public one; see privaterooms.js for how its
+    //  timer, questions and removal once empty work.  Spectators can only
+    //  watch the public rooms.
     //
-    //  The 'change_room' message is not yet fully implemented, but will
-    //  effectively function similar to 'disconnect'+'client_ready' with
-    //  regard both to exiting the first room (LEAVE+'gamer_exited_room' &
-    //  'round_ended'+'final_round_score') and to entering the second one
-    //  (JOIN+'gamer_entered_room'+'gamers_already_in_room', plus either
-    //  'round_started' or 'round_ended'+'room_round_results').
+  //    Spectators
+    //
+    //  A client can instead watch a room (e.g. projected on a screen at an
+    //  event, or a coach watching students) by EMITting 'spectate_room'
+    //  {room}.  Its socket is JOINed to the room, so it gets every BROADCAST
+    //  there, and is EMITted 'spectating' {room, spectators} plus the same
+    //  room-sync msgs a new player gets.  But no player is created: it isn't
+    //  in all_players_list, roomCount, the scoreboards or the leaderboards.
+    //  Sending 'spectate_room' again moves the socket to another room.
+    //
+    //  Spectating is per socket, not per session.  A spectator's socket
+    //  can't play: 'client_ready', 'change_room', 'submit_answer' and
+    //  'player_scored' from it are refused with reason 'spectator'.  A
+    //  session that is playing can't spectate; malformed input gets
+    //  'error_spectate_room'.
+    //
+    //  A crowded room is split into shards, each with its own scoreboard
+    //  (see shards.js).  A spectator watches shard 'a' unless it EMITs
+    //  'spectate_room' {room, shard}; 'spectating' names the shard.
+    //
+    //  Each room's spectators are counted separately, in spectatorCount.
+    //  Whenever that count changes, 'spectator_count' {room, spectators} is
+    //  BROADCAST to the room; 'gamers_already_in_room' also carries it.
     //
     //  One detail to mention: a room value of 0 is evidently invalid!
     //  Messages sent to room 0 are received by all clients, even those
@@ -52,11 +140,31 @@
     //
   //    Gameplay rounds and scoring
   //
-    //  During gameplay, clients will EMIT 'player_scored' in
+    //  During gameplay, the server BROADCASTs 'question_start' as each
+    //  question on the room's timeline opens (see questions.js); a client
+    //  joining mid-question is sent the open question directly.  Clients
+    //  answer with 'submit_answer', and the server scores the answer itself,
+    //  updating the player's score (sent out to the room each second, see
+    //  below) and EMITting 'answer_result'.  Malformed or unacceptable
+    //  answers get 'error_unrecognized_player' or 'error_submit_answer'.
+    //
+    //  The legacy Rails flow instead has clients EMIT 'player_scored' in
     //  response to a change in their score (as decided by the Rails server).
-    //  The Node server will either update the player's score (sent out to
-    //  the room each second, see below) or notify client of malformed data
-    //  with EMIT of'error_unrecognized_player' or 'error_player_scored'.
+    //  Since that means trusting the client's total, it is only honored when
+    //  TRUSTED_CLIENT_SCORING is set (see config.js).  The Node server will
+    //  either update the player's score or notify client of malformed data
+    //  (or of player_scored being disabled) with EMIT of
+    //  'error_unrecognized_player' or 'error_player_scored'.
+    //
+    //  Even trusted totals are checked for anomalies (see scorecheck.js):
+    //  points that aren't a non-negative integer number (not "5" or true),
+    //  a score that goes down, one that climbs faster than
+    //  MAX_POINTS_PER_SEC, or one sent during Lobby time.  Each is rejected
+    //  with 'error_player_scored', whose 'reason' field is machine-readable.
+    //  A player rejected SCORE_REJECTIONS_TO_FLAG or more times in a round
+    //  -- counting those in the Lobby time before it -- is marked 'flagged'
+    //  in 'room_round_results', for moderators to review.  The count starts
+    //  over after each round, and upon changing rooms.
     //
     //  The server will BROADCAST 'round_started' and 'round_ended' to notify
     //  clients, at which point the client UI changes to Play or Lobby modes,
@@ -79,6 +187,33 @@
     //  each client must also maintain by tracking 'gamers_already_in_room',
     //  'gamer_entered_room' and 'gamer_exited_room' messages, because in
     //  Lobby mode clients display a players-in-room list for coming round.
+    //  In a sharded room, all of these cover the client's shard only.
+    //
+    //  A client can instead ask, with 'scoreboard_format' 'delta' in its
+    //  'client_ready' profile, for a compact 'play_timer_update': a snapshot
+    //  upon joining, then per-second deltas carrying only the changed
+    //  entries, with their ranks and rank movement.  Each carries a 'seq';
+    //  on a gap the client EMITs 'request_scoreboard_resync' for a fresh
+    //  snapshot.  See scoreboards.js.  Any other format value gets
+    //  'error_client_ready'.
+    //
+  //    Clock sync
+  //
+    //  A client can EMIT 'time_sync' at any time, to measure its clock's
+    //  offset from the server's and its round-trip time; every tick and
+    //  round event carries the server's high-resolution send time as a
+    //  second argument.  The server keeps each session's offset, for
+    //  fairness checks.  See timesync.js.
+    //
+  //    Several instances
+  //
+    //  Several SonicNode instances can run one game between them, each with
+    //  clients of its own (see store.js).  Every change made here to a
+    //  player or a count goes through the store, and every BROADCAST
+    //  through pubsub.js, so that clients on every instance see it.  Guest
+    //  tags are numbered by the store, so no two instances hand out the same.
+    //  Should an instance die, the timer leader lets its players go, with
+    //  'gamer_exited_room' as for an expired reconnect grace (see election.js).
     //
   //    Diagnostics client
   //
@@ -87,54 +222,183 @@
     //  The client responds to, and sends, all of the socket/node messages
     //  needed to exercise the server.
     //
+  //    Round history
+  //
+    //  Finished rounds are stored by history.js.  Other servers (Rails,
+    //  dashboards) read them with HTTP GETs, each returning a JSON array
+    //  of rounds, newest first:
+    //
+    //    /history                      all rounds
+    //    /history/room/:room           rounds played in one room
+    //    /history/player/:player_tag   rounds in which this tag played
+    //
+    //  Each also accepts the query parameters 'from' and 'to' (msecs since
+    //  the epoch, or any date string; inclusive, compared against the time
+    //  the round ended) and 'limit'.  Malformed parameters get a 400 with
+    //  an {error_str} body.
+    //
+  //    Global leaderboards
+    //
+    //  Cumulative, difficulty-weighted standings across all rooms are kept
+    //  by leaderboard.js, over 'daily', 'weekly' and 'all_time' windows.
+    //  A page of a board can be requested by socket, with 'request_leaderboard'
+    //  {window, page, page_size} (answered by 'leaderboard', or by
+    //  'error_request_leaderboard'), or over HTTP:
+    //
+    //    /leaderboard/:window?page=&page_size=
+    //
+    //  page defaults to 1 and page_size to LEADERBOARD_TOP_N, at most
+    //  LEADERBOARD_MAX_PAGE_SIZE.  In Lobby time, clients are also sent
+    //  'leaderboard_top' (each window's top LEADERBOARD_TOP_N): upon joining,
+    //  and right after 'room_round_results' whenever a round changed it.
+    //
+
+var log = require('../log.js')('route');
+var checkScoreAnomaly = require('../scorecheck.js');
 
-module.exports = function Route(app)
+module.exports = function Route(app, history, questions, identity, leaderboard, privateRooms, shards, scoreboards, store, pubsub, election, metrics, timesync, clock, teams)
 {
-  var num_guests = 0;
+  var SCORE_REJECTION_STRS = {          //  Per checkScoreAnomaly() reason: its error_str
+    lobby_time      : "Round is not in progress",
+    invalid_points  : "Points must be a non-negative integer",
+    score_decreased : "Score cannot decrease during a round",
+    rate_exceeded   : "Score increased faster than MAX_POINTS_PER_SEC"
+  };
+  var IDENTITY_REJECTION_STRS = {      //  Per identity reason: its error_str
+    no_identity_secret : "Identity tokens cannot be verified: no IDENTITY_SECRET is configured",
+    malformed_token    : "Identity token is malformed",
+    unsupported_alg    : "Identity token must be signed with HS256",
+    bad_signature      : "Identity token signature is invalid",
+    token_expired      : "Identity token has expired",
+    missing_claims     : "Identity token lacks a usable sub, player_tag or levels claim",
+    guests_disabled    : "An identity token is required: guest play is disabled",
+    level_not_allowed  : "Identity token does not allow this difficulty level"
+  };
+  var PRIVATE_ROOM_REJECTION_STRS = {  //  Per privateRooms.find() reason: its error_str
+    unknown_invite_code : "No private room has this invite code",
+    wrong_password      : "Wrong password for this private room"
+  };
+  var reconnectTimers = {};             //  Per sessionID: pending grace-period expiry
+  var spectators = {};                  //  Per socket id: the {room, format} that socket is spectating (see shards.shardOf)
 
 //  Worker functions
 
-  //    What difficulty level did this client specify? 
-    //  Upon 'client_ready', parse request to extract a difficulty level:
-    //  an integer value between [MIN_ROOM_NUM, MIN_ROOM_NUM + NUM_ROOMS]. 
+  //    Log fields for this request: its session, and its player's tag, room & shard (if it has one), plus fields.
+  function logFields(request, fields)
+    {
+      var player = request.session ? request.session.player : null;
+      var record = { session: request.sessionID };
+      if (player)
+      {
+        record.player_tag = player.player_tag;
+        record.room = player.room;
+        record.shard = player.shard;
+      }
+      for (var field in fields)
+      {
+        record[field] = fields[field];
+      }
+      return record;
+    }
+
+  //    Count a message refused with errorMsg ('error_<route>') for this reason (see metrics.js).
+  function countRejection(errorMsg, reason)
+    {
+      metrics.rejected(errorMsg.replace(/^error_/, ''), reason);
+    }
+
+  //    Which room did this client specify? 
+    //  Upon 'client_ready', parse request to extract a room: the private room
+    //  whose invite code (and password) the profile gives, or else the public room
+    //  for the profile's difficulty level (see determineDifficultyLevel).
     //  Includes hardening against malformed requests: EMITs 'error_client_ready'
-  function determineDifficultyLevel(request)
+    //  (or errorMsg, if provided -- e.g. 'error_change_room'). Returns -1 on error.
+  function determineRoom(request, errorMsg)
     {
+      errorMsg = errorMsg || 'error_client_ready';
+
       if (!request.data)            //  covers the undefined/null/0/''/false cases
       {
-        request.io.emit('error_client_ready', {error_str: "No request data was provided", user_input: '' });
-        console.log('EMIT: error_client_ready (No request data was provided)'); 
+        request.io.emit(errorMsg, {error_str: "No request data was provided", user_input: '' });
+        countRejection(errorMsg, 'no_data');
+        log.debug('EMIT: no request data was provided', logFields(request, { event: errorMsg }));
         return -1;
       }
       if (!request.data.profile)    //  covers the undefined/null/0/''/false cases
       {
-        request.io.emit('error_client_ready', {error_str: "No user profile was provided", user_input: '' });
-        console.log('EMIT: error_client_ready (No user profile was provided)'); 
+        request.io.emit(errorMsg, {error_str: "No user profile was provided", user_input: '' });
+        countRejection(errorMsg, 'no_profile');
+        log.debug('EMIT: no user profile was provided', logFields(request, { event: errorMsg }));
         return -1;
       }
-      if ((typeof(request.data.profile.difficulty_level) == 'undefined') || (request.data.profile.difficulty_level == null))
+
+      var code = request.data.profile.invite_code;
+      if ((typeof(code) == 'undefined') || (code == null) || (String(code).trim() == ''))
+      {
+        return determineDifficultyLevel(request, request.data.profile.difficulty_level, errorMsg);
+      }
+
+      var found = privateRooms.find(code, request.data.profile.password);
+      if (found.reason)
+      {
+        request.io.emit(errorMsg, {error_str: PRIVATE_ROOM_REJECTION_STRS[found.reason], reason: found.reason, user_input: code });
+        countRejection(errorMsg, found.reason);
+        log.debug('EMIT: ' + found.reason, logFields(request, { event: errorMsg }));
+        return -1;
+      }
+      return found.room;
+    }
+
+  //    What difficulty level did this client specify? 
+    //  Parse value to extract a difficulty level: an integer value between
+    //  [MIN_ROOM_NUM, MIN_ROOM_NUM + NUM_ROOMS], which is also the id of that
+    //  level's public room. Includes hardening against malformed requests:
+    //  EMITs errorMsg. Returns -1 on error.
+  function determineDifficultyLevel(request, value, errorMsg)
+    {
+      if ((typeof(value) == 'undefined') || (value == null))
       {
-        request.io.emit('error_client_ready', {error_str: "No difficulty level was provided", user_input: '' });
-        console.log('EMIT: error_client_ready (No difficulty level was provided)'); 
+        request.io.emit(errorMsg, {error_str: "No difficulty level was provided", user_input: '' });
+        countRejection(errorMsg, 'no_difficulty_level');
+        log.debug('EMIT: no difficulty level was provided', logFields(request, { event: errorMsg }));
         return -1;
       }
 
-      var diff_lvl = parseInt(request.data.profile.difficulty_level);
+      var diff_lvl = parseInt(value);
       if (isNaN(diff_lvl))
       {
-        request.io.emit('error_client_ready', {error_str: "Invalid difficulty level", user_input: request.data.profile.difficulty_level });
-        console.log('EMIT: error_client_ready (Invalid difficulty level)'); 
+        request.io.emit(errorMsg, {error_str: "Invalid difficulty level", user_input: value });
+        countRejection(errorMsg, 'invalid_difficulty_level');
+        log.debug('EMIT: invalid difficulty level', logFields(request, { event: errorMsg }));
         return -1;
       }
       if ((diff_lvl < MIN_ROOM_NUM) || (diff_lvl >= MIN_ROOM_NUM + NUM_ROOMS))
       {
-        request.io.emit('error_client_ready', {error_str: "Difficulty level is out of range", user_input: request.data.profile.difficulty_level });
-        console.log('EMIT: error_client_ready (Difficulty level is out of range)'); 
+        request.io.emit(errorMsg, {error_str: "Difficulty level is out of range", user_input: value });
+        countRejection(errorMsg, 'difficulty_out_of_range');
+        log.debug('EMIT: difficulty level is out of range', logFields(request, { event: errorMsg }));
         return -1;
       }
       return diff_lvl;
     }
 
+  //    Which team did this client name, if any? 
+    //  Upon 'client_ready' or 'change_room' into room, parse the profile's team or
+    //  team_code (see teams.js). Returns {team} (team null: none), or null after
+    //  EMITting errorMsg if it is malformed.
+  function determineTeam(request, room, errorMsg)
+    {
+      var chosen = teams.choose(room, request.data.profile);
+      if (chosen.error_str)
+      {
+        request.io.emit(errorMsg, chosen);
+        countRejection(errorMsg, chosen.reason);
+        log.debug('EMIT: ' + chosen.reason, logFields(request, { event: errorMsg }));
+        return null;
+      }
+      return chosen;
+    }
+
   //    Is client already connected on separate tab? 
     //  Upon 'client_ready', check whether this client (this Session ID) is
     //  already connected. If so, just increment a refcount. 
@@ -143,308 +407,1015 @@ module.exports = function Route(app)
       if (all_players_list[request.sessionID] != null)
       {
         request.session.player = all_players_list[request.sessionID];
+        if (request.session.player.reconnecting)
+        {
+          resumeReconnectingPlayer(request, request.session.player);
+          return true;
+        }
         request.session.player['ref_count']++;
-        console.log("This session (client " + request.session.player.player_tag + ") is already connected. Increasing refcount to " + request.session.player['ref_count']);
+        store.savePlayer(request.sessionID);
+        log.info('Already connected; ref_count now ' + request.session.player['ref_count'], logFields(request, { event: 'client_ready' }));
         return true;
       }
       return false;
     }
 
-  //    What 'player tag' did this client specify? 
-    //  Upon 'client_ready', parse request to extract a player's tag. If no
-    //  tag is supplied (undefined/null/empty-string), create a 'Guest' tag.
-  function determineTag(request)
+  //    Give a reconnecting player back its seat, without announcing anything to the room. 
+    //  Upon 'client_ready' within the grace period, cancel the pending expiry and 
+    //  JOIN the new socket to the player's room & shard. Then EMIT the same 'client_confirmed'
+    //  & room-sync msgs as for a new client: the player's points and incomplete_round
+    //  status are untouched, and roomCount never dropped, so no BROADCASTs are needed.
+  function resumeReconnectingPlayer(request, player)
+    {
+      clearTimeout(reconnectTimers[request.sessionID]);
+      delete reconnectTimers[request.sessionID];
+
+      player.reconnecting = false;
+      player['ref_count'] = 1;
+      store.savePlayer(request.sessionID);
+      request.io.join(player.room);
+      shards.join(request.io, player.room, player.shard, player.scoreboard_format);
+      log.info('Client reconnected', logFields(request, { event: 'client_reconnected' }));
+
+      request.io.emit('client_confirmed', player);
+      log.debug('EMIT: client confirmed', logFields(request, { event: 'client_confirmed', incomplete_round: player.incomplete_round }));
+
+      emitPlayersAlreadyInRoom(request, player.room, player.shard);
+      emitRoundEventAndResults(request.io, player.room, player.shard, player.scoreboard_format);
+    }
+
+  //    Who is this client? 
+    //  Upon 'client_ready', verify the identity token in the request and return
+    //  {user_id, player_tag, allowed_levels} from its claims. If no token is
+    //  supplied (undefined/null/empty-string), create a 'Guest' identity -- if
+    //  ALLOW_GUEST_PLAY -- whose player_tag is null until numbered (see
+    //  numberGuest). Returns null (after EMITting 'error_client_ready' with
+    //  a reason) if the token is refused, or doesn't allow the room's level.
+  function determineIdentity(request, room)
     {
-      var tag = request.data.profile.player_tag;
-      if ((typeof(tag) == 'undefined') || (tag == null) || (tag.trim() == ''))
+      var token = request.data.profile.identity_token;
+      var player;
+      if ((typeof(token) == 'undefined') || (token == null) || (String(token).trim() == ''))
+      {
+        if (!ALLOW_GUEST_PLAY)
+        {
+          emitIdentityError(request, 'error_client_ready', 'guests_disabled');
+          return null;
+        }
+        return { user_id: null, player_tag: null, allowed_levels: null };
+      }
+
+      player = identity.verify(String(token).trim());
+      if (player.reason)
+      {
+        emitIdentityError(request, 'error_client_ready', player.reason);
+        return null;
+      }
+      if (!levelAllowed(player, room_levels[room]))
       {
-        tag = 'Guest ' + num_guests;
-        num_guests++;
+        emitIdentityError(request, 'error_client_ready', 'level_not_allowed', room_levels[room]);
+        return null;
       }
-      tag = tag.trim();
-      return tag;
+      return player;
+    }
+
+  //    Give a guest identity its tag, 'Guest <n>', numbered by the store so that it is unique across instances. 
+    //  Then callback(), unless the store can't be reached (EMIT 'error_client_ready', reason
+    //  'store_unavailable'), or the socket has gone meanwhile.
+  function numberGuest(request, who, callback)
+    {
+      store.nextId('guests', function(err, id)
+        {
+          if (request.io.socket.disconnected)
+            return;
+          if (err)
+          {
+            request.io.emit('error_client_ready', {error_str: "Guest play is unavailable just now", reason: 'store_unavailable', user_input: ''});
+            metrics.rejected('client_ready', 'store_unavailable');
+            log.error('EMIT: guest not numbered -- ' + err.message, logFields(request, { event: 'error_client_ready' }));
+            return;
+          }
+          who.player_tag = 'Guest ' + (id - 1);
+          callback();
+        });
+    }
+
+  //    May this player join this difficulty level? (allowed_levels null: any level.)
+  function levelAllowed(player, diff_lvl)
+    {
+      return (player.allowed_levels == null) || (player.allowed_levels.indexOf(diff_lvl) != -1);
+    }
+
+  //    EMIT errorMsg for an identity problem, with its machine-readable reason.
+  function emitIdentityError(request, errorMsg, reason, userInput)
+    {
+      request.io.emit(errorMsg, {error_str: IDENTITY_REJECTION_STRS[reason], reason: reason, user_input: (userInput == null) ? '' : userInput });
+      countRejection(errorMsg, reason);
+      log.debug('EMIT: ' + reason, logFields(request, { event: errorMsg }));
     }
 
   //    Join the player to the room and announce to everyone else. 
-    //  Upon 'client_ready', after parsing request into tag and diff_lvl, 
-    //  JOIN player to the appropriate room. Also, notify others in the room 
-    //  about this player's arrival, via ROOM.BROADCAST of 'gamer_entered_room'.
+    //  Upon 'client_ready', after parsing request into tag and room, pick the
+    //  player's shard (the player must have none yet), save the player, and JOIN it to the appropriate room and shard. Also, notify
+    //  others in the shard about this player's arrival, via ROOM.BROADCAST of 'gamer_entered_room'.
   function attachPlayerToRoom(request, player)
     {
-      roomCount[player.diff_lvl]++;
-      request.io.join(player.diff_lvl);
-      console.log('JOIN [' + player.diff_lvl + '] (' + player.player_tag + '): roomCount=', roomCount[player.diff_lvl]);
+      store.addRoomCount(player.room, 1);
+      player.shard = shards.assign(player.room);
+      store.savePlayer(request.sessionID);
+      request.io.join(player.room);
+      shards.join(request.io, player.room, player.shard, player.scoreboard_format);
+      log.info('Joined room, roomCount now ' + roomCount[player.room], logFields(request, { event: 'join' }));
 
-      request.io.room('' + player.diff_lvl).broadcast('gamer_entered_room', { player_tag: player.player_tag, points: player.points } );
-      console.log('BROADCAST [' + player.diff_lvl + ']: gamer_entered_room -- ' + player.player_tag ); 
+      pubsub.broadcastFrom(request.io, shards.channel(player.room, player.shard), 'gamer_entered_room',
+                           { player_tag: player.player_tag, points: player.points, team: player.team } );
+      log.debug('BROADCAST: gamer entered room', logFields(request, { event: 'gamer_entered_room' }));
     }
 
   //    Send list of players already in room. 
-    //  Upon 'client_ready', after joining player to the room, create & EMIT a
-    //  list of players already joined - 'gamers_already_in_room'
-  function emitPlayersAlreadyInRoom(request, player)
+    //  Upon 'client_ready' (or 'spectate_room'), after joining the room, create & EMIT
+    //  a list of players already joined to the shard, and the room's spectator count -
+    //  'gamers_already_in_room'.
+  function emitPlayersAlreadyInRoom(request, room, shard)
     {
-      var gamers = [];
-      for (var index in all_players_list)
+      request.io.emit('gamers_already_in_room', {leaders: shards.roster(room, shard), spectators: spectatorCount[room]} );
+      log.debug('EMIT: gamers already in room', logFields(request, { event: 'gamers_already_in_room', room: room, shard: shard }));
+    }
+
+  //    Send round_start or [round_end + final results + leaderboard tops]. 
+    //  Upon 'client_ready', after providing a list of other players present, EMIT
+    //  'round_started' / 'round_ended' to sync the client to the room's current
+    //  state, each stamped with the server's send time (see timesync.js). If a question is open, also EMIT its 'question_start' (stamped with
+    //  the current server time), and for a 'delta' client, a scoreboard snapshot to
+    //  apply later deltas to. If round is over, also EMIT 'room_round_results'
+    //  with the shard's previous results, 'level_round_results' and 'leaderboard_top'.
+  function emitRoundEventAndResults(io, room, shard, format)
+    {
+      var schedule = ROOM_SCHEDULES[room];
+
+      if (round_in_progress[room])
       {
-        if (all_players_list[index] && (all_players_list[index].diff_lvl == player.diff_lvl))
+        io.emit('round_started', (schedule.secs_in_complete_cycle - schedule.secs_in_lobby), timesync.stamp());
+        log.debug('EMIT: round started', { event: 'round_started', room: room, shard: shard });
+
+        var question = questions.activeQuestion(room);
+        if (question)
         {
-          gamers.push( { player_tag: all_players_list[index].player_tag, points: all_players_list[index].points } );
+          io.emit('question_start', { question_id: question.question_id, prompt: question.prompt, choices: question.choices,
+                                      deadline: question.deadline, server_time: clock.now() }, timesync.stamp());
+          log.debug('EMIT: question ' + question.question_id, { event: 'question_start', room: room, shard: shard });
         }
+        if (format == 'delta')
+        {
+          emitScoreboardSnapshot(io, room, shard);
+        }
+        return;
+      }
+
+      io.emit('round_ended', schedule.secs_in_lobby, timesync.stamp());
+      log.debug('EMIT: round ended', { event: 'round_ended', room: room, shard: shard });
+
+      if (round_results[room].length)
+      {
+        io.emit('room_round_results', shards.resultsFor(room, shard), timesync.stamp());
+        io.emit('level_round_results', shards.combinedResults(room), timesync.stamp());
+        log.debug('EMIT: round results, ' + round_results[room].length + ' players', { event: 'room_round_results', room: room, shard: shard });
       }
-      request.io.emit('gamers_already_in_room', {leaders: gamers} );
-      console.log('EMIT (' + player.player_tag + '): gamers_already_in_room'); 
+      io.emit('leaderboard_top', leaderboard.getTops(), timesync.stamp());
+      log.debug('EMIT: leaderboard tops', { event: 'leaderboard_top', room: room, shard: shard });
     }
 
-  //    Send round_start or [round_end + final results]. 
-    //  Upon 'client_ready', after providing a list of other players present, EMIT
-    //  'round_started' / 'round_ended' to sync the client to our current state. 
-    //  If round is over, also EMIT 'room_round_results' with previous results.
-  function emitRoundEventAndResults(io, round_in_progress, room)
+  //    EMIT the shard's latest 'play_timer_update' as a snapshot, if it has had one this round. 
+    //  Returns false if it hasn't (its first update this round will be a snapshot anyway).
+  function emitScoreboardSnapshot(io, room, shard)
     {
-      if (round_in_progress)
+      var snapshot = scoreboards.snapshot(room, shard);
+      if (!snapshot)
+        return false;
+
+      io.emit('play_timer_update', snapshot, timesync.stamp());
+      log.debug('EMIT: scoreboard snapshot, seq ' + snapshot.seq, { event: 'play_timer_update', room: room, shard: shard });
+      return true;
+    }
+
+  //    Which 'play_timer_update' format did this client ask for? (None: SCOREBOARD_FORMATS[0].)
+    //  Returns it, or null after EMITting errorMsg if it isn't one of SCOREBOARD_FORMATS.
+  function determineScoreboardFormat(request, value, errorMsg)
+    {
+      if ((typeof(value) == 'undefined') || (value == null))
+        return SCOREBOARD_FORMATS[0];
+
+      if (SCOREBOARD_FORMATS.indexOf(value) == -1)
       {
-        io.emit('round_started', (SECS_IN_COMPLETE_CYCLE - SECS_IN_LOBBY));
-        console.log('EMIT: round_started');
-        return;
+        request.io.emit(errorMsg, {error_str: "Unknown scoreboard format", user_input: value });
+        countRejection(errorMsg, 'unknown_scoreboard_format');
+        log.debug('EMIT: unknown scoreboard format', logFields(request, { event: errorMsg }));
+        return null;
       }
+      return value;
+    }
 
-      io.emit('round_ended', SECS_IN_LOBBY);
-      console.log('EMIT: round_ended');
+  //    Is this socket spectating? If so, refuse a player msg: EMIT errorMsg with reason 'spectator'.
+  function refuseSpectator(request, errorMsg)
+    {
+      if (spectators[request.io.socket.id] == null)
+        return false;
 
-      if (round_results[room].length)
+      request.io.emit(errorMsg, {error_str: "Spectators cannot play; connect again to play", reason: 'spectator'});
+      countRejection(errorMsg, 'spectator');
+      log.debug('EMIT: spectator', logFields(request, { event: errorMsg }));
+      return true;
+    }
+
+  //    Add (delta 1) or remove (delta -1) a spectator, and BROADCAST the room's new 'spectator_count'. 
+  function countSpectator(room, delta)
+    {
+      store.addSpectatorCount(room, delta);
+      pubsub.broadcast(room, 'spectator_count', { room: room, spectators: spectatorCount[room] });
+      log.debug('BROADCAST: ' + spectatorCount[room] + ' spectators', { event: 'spectator_count', room: room });
+    }
+
+  //    Stop this socket spectating: LEAVE its room (and whichever shard it now watches) and update the count. 
+  function stopSpectating(request)
+    {
+      var room = spectators[request.io.socket.id].room;
+      var shard = shards.shardOf(request.io.socket, room);
+      delete spectators[request.io.socket.id];
+      request.io.leave(room);
+      if (shard)
       {
-        io.emit('room_round_results', round_results[room]);
-        console.log('EMIT: room_round_results - \t' + round_results[room]);
+        shards.leave(request.io, room, shard);
       }
+      countSpectator(room, -1);
+    }
+
+  //    Parse a leaderboard request's window, page & page_size (from socket data or query).
+    //  Returns {window, page, page_size}, or {error_str, user_input} if any is malformed.
+  function parseLeaderboardRequest(params)
+    {
+      if (!leaderboard.isWindow(params.window))
+      {
+        return { error_str: "window must be 'daily', 'weekly' or 'all_time'", user_input: (params.window == null) ? '' : params.window };
+      }
+
+      var page = (params.page == null) ? 1 : parseInt(params.page);
+      if (isNaN(page) || (page < 1))
+      {
+        return { error_str: "Invalid 'page'", user_input: params.page };
+      }
+      var pageSize = (params.page_size == null) ? LEADERBOARD_TOP_N : parseInt(params.page_size);
+      if (isNaN(pageSize) || (pageSize < 1) || (pageSize > LEADERBOARD_MAX_PAGE_SIZE))
+      {
+        return { error_str: "Invalid 'page_size'", user_input: params.page_size };
+      }
+      return { window: params.window, page: page, page_size: pageSize };
     }
 
   //    Exit player from the room and annouce to everyone else. 
-    //  Upon 'disconnect' after checking for undefined or duplicate session,  
-    //  decr the appropriate roomCount and LEAVE the room. If others are in
-    //  the room, ROOM.BROADCAST 'gamer_exited_room' to notify them.
+    //  Upon 'disconnect' after checking for undefined or duplicate session (or
+    //  upon 'change_room'), decr the appropriate roomCount and LEAVE the room & shard. If others are in
+    //  the room, ROOM.BROADCAST 'gamer_exited_room' to notify the shard.
   function detachPlayerFromRoom(request)
     {
-      var diff_lvl = request.session.player.diff_lvl;
+      var room = request.session.player.room;
+      var shard = request.session.player.shard;
       var tag = request.session.player.player_tag;
 
-      roomCount[diff_lvl]--;
-      request.io.leave(diff_lvl);
-      console.log('LEAVE [' + diff_lvl + '] (' + tag + '): roomCount=' + roomCount[diff_lvl] );
+      store.addRoomCount(room, -1);
+      request.io.leave(room);
+      shards.leave(request.io, room, shard);
+      log.info('Left room, roomCount now ' + roomCount[room], logFields(request, { event: 'leave' }));
       
-      if (roomCount[diff_lvl] > 0)
+      if (roomCount[room] > 0)
       {
         var player = { player_tag: tag };
-        request.io.room('' + diff_lvl).broadcast('gamer_exited_room', player );
-        console.log("BROADCAST [" + diff_lvl + "]: gamer_exited_room (" + tag + ")");
+        pubsub.broadcastFrom(request.io, shards.channel(room, shard), 'gamer_exited_room', player );
+        log.debug('BROADCAST: gamer exited room', logFields(request, { event: 'gamer_exited_room' }));
       }
-      else
+    }
+
+
+  //    Move a player from its room to new_room (on team, or none), starting afresh there. 
+    //  Upon 'change_room' (or 'create_private_room'), do the following:
+    //  - If old room's round is in progress, EMIT 'round_ended' and its final
+    //    score, flagged incomplete.  Those points are forfeited (see below).
+    //  - LEAVE the room and decr roomCount. 
+    //  - If others are still in the room, ROOM.BROADCAST 'gamer_exited_room'.
+    //  - Change the room (and diff_lvl) for this user in the all_players_list, and start
+    //    it afresh there: 0 points, the given team, incomplete_round if new room's round is underway.
+    //  - JOIN the player to the new room (and a shard), ROOM.BROADCAST 'gamer_entered_room'.
+    //  - EMIT 'room_changed' to Ack the change.
+    //  - EMIT the list of players already present in the new room.
+    //  - EMIT round_start or round_end
+    //  - If Lobby time, send the new room's previous round's results. 
+    //  Resetting points on every switch is what stops players from farming
+    //  points across rooms: scores never travel with the player.
+  function movePlayerToRoom(request, player, new_room, team)
+    {
+      var prev_room = player.room;
+
+      //  - If old room's round is in progress, EMIT 'round_ended' and final score (incomplete).
+      if (round_in_progress[prev_room])
+      {
+        player.incomplete_round = true;
+        request.io.emit('round_ended', ROOM_SCHEDULES[prev_room].secs_in_lobby, timesync.stamp());
+        request.io.emit('final_round_score', { points: player.points, round_complete: false });
+        log.debug('EMIT: round ended, final score ' + player.points + ' (incomplete)', logFields(request, { event: 'final_round_score', points: player.points }));
+      }
+
+      //  - LEAVE the room and decr roomCount. 
+      //  - If others are still in the room, ROOM.BROADCAST 'gamer_exited_room'.
+      detachPlayerFromRoom(request);
+
+      //  - Change the room for this user in the all_players_list, and start afresh. 
+      player.room = new_room;
+      player.shard = null;
+      player.diff_lvl = room_levels[new_room];
+      player.points = 0;
+      player.rejected_scores = 0;
+      player.team = team;
+      player.scored_at = clock.now();
+      player.incomplete_round = round_in_progress[new_room];
+
+      //  - JOIN the player to the new room (and a shard), ROOM.BROADCAST 'gamer_entered_room'.
+      attachPlayerToRoom(request, player);
+
+      //  - EMIT 'room_changed' to Ack the change.
+      request.io.emit('room_changed', player);
+      log.info('Changed room from ' + prev_room, logFields(request, { event: 'room_changed', incomplete_round: player.incomplete_round }));
+
+      //  - EMIT the list of players already present in the new room.
+      emitPlayersAlreadyInRoom(request, player.room, player.shard);
+
+      //  - EMIT round_start or round_end
+      //  - If Lobby time, send the new room's previous round's results. 
+      emitRoundEventAndResults(request.io, new_room, player.shard, player.scoreboard_format);
+    }
+
+  //    Parse the common history query parameters into a filter for history.query(). 
+    //  Accepts from/to as msecs or date strings, and a positive integer limit.
+    //  Returns null (after sending a 400) if any parameter is malformed.
+  function parseHistoryFilter(request, response)
+    {
+      var filter = {};
+      var params = ['from', 'to'];
+      for (var index = 0; index < params.length; index++)
+      {
+        var value = request.query[params[index]];
+        if (value == null)
+          continue;
+        filter[params[index]] = isNaN(value) ? new Date(value).getTime() : parseInt(value);
+        if (isNaN(filter[params[index]]))
+        {
+          response.json(400, {error_str: "Invalid '" + params[index] + "' time", user_input: value});
+          return null;
+        }
+      }
+
+      if (request.query.limit != null)
+      {
+        filter.limit = parseInt(request.query.limit);
+        if (isNaN(filter.limit) || (filter.limit < 1))
+        {
+          response.json(400, {error_str: "Invalid 'limit'", user_input: request.query.limit});
+          return null;
+        }
+      }
+      return filter;
+    }
+
+  //    Grace period is over: give up this player's seat and announce the exit. 
+    //  Upon expiry of a 'disconnect' grace period, releaseSeat() -- unless the player has
+    //  come back meanwhile.
+  function expireReconnectGrace(sessionID)
+    {
+      var player = all_players_list[sessionID];
+      delete reconnectTimers[sessionID];
+
+      if (!player || !player.reconnecting)
+        return;
+      log.info('Reconnect grace expired', { event: 'reconnect_expired', room: player.room, shard: player.shard, session: sessionID, player_tag: player.player_tag });
+      releaseSeat(sessionID);
+    }
+
+  //    Give up a player's seat (with no socket to LEAVE), and announce the exit. 
+    //  Upon expiry of a reconnect grace period, or the loss of the instance that the player
+    //  was connected to (see election.js): decr the roomCount and remove the player from
+    //  all_players_list. If others are in the room, ROOM.BROADCAST 'gamer_exited_room'
+    //  to notify them -- via pubsub.broadcast, as the player's socket is gone.
+  function releaseSeat(sessionID)
+    {
+      var player = all_players_list[sessionID];
+
+      store.addRoomCount(player.room, -1);
+      all_players_list[sessionID] = null;
+      store.savePlayer(sessionID);
+      timesync.forget(sessionID);
+      var fields = { room: player.room, shard: player.shard, session: sessionID, player_tag: player.player_tag };
+      log.info('Seat released, roomCount now ' + roomCount[player.room], fields);
+
+      if (roomCount[player.room] > 0)
       {
-        console.log("...not BROADCASTing, since room [" + diff_lvl + "] is empty");
+        pubsub.broadcast(shards.channel(player.room, player.shard), 'gamer_exited_room', { player_tag: player.player_tag });
+        fields.event = 'gamer_exited_room';
+        log.debug('BROADCAST: gamer exited room', fields);
       }
     }
 
+  //    Upon the loss of another instance, release the seats of its players. 
+  election.onInstanceLost(function(sessionIDs)
+    {
+      for (var index = 0; index < sessionIDs.length; index++)
+      {
+        if (all_players_list[sessionIDs[index]])
+          releaseSeat(sessionIDs[index]);
+      }
+    });
+
 
 //  Routing functions
 
   //    RECEIVE: 'client_ready' upon initial client connect. 
-    //  Extract diff_lvl & tag. If already connected, increment refcount & exit.
-    //  Else, add player to all_players_list. EMIT 'client_confirmed' to Ack the 
+    //  Extract room (and any team). If already connected, increment refcount & exit. Else,
+    //  verify the identity token (or make and number a guest -- asynchronously, so check
+    //  again for an already-connected session), and add player to all_players_list. EMIT 'client_confirmed' to Ack the 
     //  connection and whether round-in-progress (incomplete_round => TRUE). Join
     //  to room, send list of players already present, send round_start/round_end 
     //  event. If round_end, send previous round's results. 
   app.io.route('client_ready', function(request)
     { 
-      console.log('RECEIVED: client_ready'); 
+      metrics.received('client_ready');
+      log.debug('RECEIVED: client ready', logFields(request, { event: 'client_ready' }));
+      if (refuseSpectator(request, 'error_client_ready'))
+        return;
 
-      var diff_lvl = determineDifficultyLevel(request);
-      if (diff_lvl == -1)                   //  -1 signifies the error case
+      var room = determineRoom(request);
+      if (room == -1)                       //  -1 signifies the error case
         return;                             //  if so, error messages are already set
+      var format = determineScoreboardFormat(request, request.data.profile.scoreboard_format, 'error_client_ready');
+      if (!format)
+        return;
+      var chosen = determineTeam(request, room, 'error_client_ready');
+      if (!chosen)
+        return;
       if (checkClientAlreadyConnected(request))
         return;                             //  connected, so setup already done 
-      var tag = determineTag(request);
+      var who = determineIdentity(request, room);
+      if (!who)
+        return;                             //  refused, and error message already sent
+
+      if (who.player_tag != null)
+      {
+        seatNewPlayer(request, who, room, format, chosen.team);
+        return;
+      }
+      numberGuest(request, who, function()
+        {
+          if (!checkClientAlreadyConnected(request))
+            seatNewPlayer(request, who, room, format, chosen.team);
+        });
+    });
 
-      player = {player_tag: tag, points: 0, diff_lvl: diff_lvl, incomplete_round: round_in_progress, ref_count: 1 };
+  //    The rest of 'client_ready', once the client's identity is settled: create the player and seat it. 
+  function seatNewPlayer(request, who, room, format, team)
+    {
+      var player = {player_tag: who.player_tag, user_id: who.user_id, allowed_levels: who.allowed_levels, points: 0, team: team, room: room,
+                    shard: null, scoreboard_format: format, diff_lvl: room_levels[room], incomplete_round: round_in_progress[room], ref_count: 1,
+                    scored_at: clock.now(), rejected_scores: 0 };
       all_players_list[request.sessionID] = player;
-      console.log('Client connected: ' + player.player_tag + ', sessionID ' + request.sessionID);
+      log.info('Client connected', logFields(request, { event: 'client_connected', player_tag: player.player_tag, room: room, user_id: player.user_id }));
 
       request.session.player = player;
+      attachPlayerToRoom(request, player);      //  first, so that client_confirmed carries the shard
       request.io.emit('client_confirmed', player);
-      console.log('EMIT (' + player.player_tag + '): client_confirmed - room=' + player.diff_lvl + ', incomplete_round=' + player.incomplete_round); 
+      log.debug('EMIT: client confirmed', logFields(request, { event: 'client_confirmed', incomplete_round: player.incomplete_round }));
 
-      attachPlayerToRoom(request, player);
-      emitPlayersAlreadyInRoom(request, player);
-      emitRoundEventAndResults(request.io, round_in_progress, diff_lvl);
-      
-      console.log("exiting client_ready(): all_players_list: \n", all_players_list)
-    });
+      emitPlayersAlreadyInRoom(request, player.room, player.shard);
+      emitRoundEventAndResults(request.io, room, player.shard, format);
+    }
 
-  //    RECEIVE: 'change_room' when client decides to change difficulty_level. 
+  //    RECEIVE: 'change_room' when client decides to change difficulty_level (or 
+    //  to join a private room by invite code). 
     //  In essence, this combines 'disconnect' and 'client_ready', without 
     //  an actual removal from the global players list. 
-    //  Extract diff_lvl and correlate to existing session/player/diff_lvl.
-    //  If same level as before, do absolutely nothing and return. 
-    //  Otherwise, do the following:
-    //  - LEAVE the room and decr roomCount. 
-    //  - EMIT final results for the round (perhaps incomplete). 
-    //  - If others are still in the room, ROOM.BROADCAST 'gamer_exited_room'.
-    //  - Change the diff_lvl for this user in the all_players_list. 
-    //  - JOIN the player to the new room.
-    //  - EMIT the list of players already present in the new room.
-    //  - EMIT round_start or round_end
-    //  - If Lobby time, send previous round's results. 
+    //  Validate session/player, extract room and correlate to existing
+    //  session/player/room. If same room as before, do absolutely nothing
+    //  and return. If the player's token doesn't allow the new room's level, or the
+    //  profile's team is malformed, EMIT 'error_change_room' and return. Otherwise,
+    //  movePlayerToRoom(), onto the profile's team (or none).
   app.io.route('change_room', function(request)
     {
-      console.log('RECEIVED: change_room');
+      metrics.received('change_room');
+      log.debug('RECEIVED: change room', logFields(request, { event: 'change_room' }));
+      if (refuseSpectator(request, 'error_change_room'))
+        return;
 
-      //  Extract diff_lvl.
-      new_level = determineDifficultyLevel(request);
-      if (new_level == -1)
+      //  Validate session/player.
+      if (!request.session || !request.session.player)    //  covers undefined/null/0/''/false cases
+      {
+        log.debug('EMIT: session or player not set', logFields(request, { event: 'error_unrecognized_player' }));
+        request.io.emit('error_unrecognized_player', {error_str: "session.player is not set"});
+        metrics.rejected('change_room', 'no_player');
         return;
+      }
 
-      //  Correlate to existing session/player/diff_lvl.
-      prev_level = player.diff_lvl;
-      console.log('player (from all_players_list):' + all_players_list[request.sessionID]);
-      console.log('player (from session):' + request.session.player);
-      player = request.session.player;
+      //  Extract room.
+      var new_room = determineRoom(request, 'error_change_room');
+      if (new_room == -1)
+        return;
+
+      //  Correlate to existing session/player/room.
+      var player = request.session.player;
 
-      //  If same level as before, do absolutely nothing and return. 
-      if (new_level == prev_level)
+      //  If same room as before, do absolutely nothing and return. 
+      if (new_room == player.room)
         return;
 
-      //  Otherwise, do the following:
+      //  If the player's token doesn't allow the new room's level, refuse. 
+      if (!levelAllowed(player, room_levels[new_room]))
+      {
+        emitIdentityError(request, 'error_change_room', 'level_not_allowed', room_levels[new_room]);
+        return;
+      }
+      var chosen = determineTeam(request, new_room, 'error_change_room');
+      if (!chosen)
+        return;
 
-      //  - LEAVE the room and decr roomCount. 
-      //  - If others are still in the room, ROOM.BROADCAST 'gamer_exited_room'.
-      detachPlayerFromRoom(request);
+      movePlayerToRoom(request, player, new_room, chosen.team);
+    });
 
-      //  - Change the diff_lvl for this user in the all_players_list. 
-      player.diff_lvl = new_level;
-      console.log('(after update) player (from all_players_list):' + all_players_list[request.sessionID]);
-      console.log('(after update) player (from session):' + request.session.player);
+  //    RECEIVE: 'create_private_room' when a player wants a room of their own. 
+    //  Validate session/player, difficulty_level & password (optional), EMITting
+    //  'error_create_private_room' if these are malformed, if the player's token
+    //  doesn't allow the level, or if MAX_PRIVATE_ROOMS already exist (or the store
+    //  can't number the room). Else, create the room, EMIT 'private_room_created' with
+    //  its invite code, and move the player into it, exactly as for 'change_room'.
+  app.io.route('create_private_room', function(request)
+    {
+      metrics.received('create_private_room');
+      log.debug('RECEIVED: create private room', logFields(request, { event: 'create_private_room' }));
+      if (refuseSpectator(request, 'error_create_private_room'))
+        return;
 
-      //  - JOIN the player to the new room.
-      attachPlayerToRoom(request, player);
+      if (!request.session || !request.session.player)    //  covers undefined/null/0/''/false cases
+      {
+        log.debug('EMIT: session or player not set', logFields(request, { event: 'error_unrecognized_player' }));
+        request.io.emit('error_unrecognized_player', {error_str: "session.player is not set"});
+        metrics.rejected('create_private_room', 'no_player');
+        return;
+      }
+      var data = request.data || {};
+      var diff_lvl = determineDifficultyLevel(request, data.difficulty_level, 'error_create_private_room');
+      if (diff_lvl == -1)
+        return;
 
-      //  - EMIT the list of players already present in the new room.
-      emitPlayersAlreadyInRoom(request, player);
+      var player = request.session.player;
+      if (!levelAllowed(player, diff_lvl))
+      {
+        emitIdentityError(request, 'error_create_private_room', 'level_not_allowed', diff_lvl);
+        return;
+      }
+      if ((data.password != null) && (typeof(data.password) != 'string'))
+      {
+        request.io.emit('error_create_private_room', {error_str: "Password must be a string", user_input: '' });
+        metrics.rejected('create_private_room', 'invalid_password');
+        log.debug('EMIT: password must be a string', logFields(request, { event: 'error_create_private_room' }));
+        return;
+      }
 
-      //  - EMIT final results for the round (perhaps incomplete). 
-      //  - EMIT round_start or round_end
-      //  - If Lobby time, send previous round's results. 
-      emitRoundEventAndResults(request.io, round_in_progress, prev_level)
+      privateRooms.create(diff_lvl, data.password, player.player_tag, function(created)
+        {
+          if (request.io.socket.disconnected)
+            return;                         //  gone meanwhile; the empty room will be removed in time
+          if (created.error_str)
+          {
+            request.io.emit('error_create_private_room', created);
+            metrics.rejected('create_private_room', created.reason);
+            log.debug('EMIT: ' + created.reason, logFields(request, { event: 'error_create_private_room' }));
+            return;
+          }
+          request.io.emit('private_room_created', { room: created.room, invite_code: created.invite_code, difficulty_level: diff_lvl,
+                                                    has_password: !!data.password });
+          log.debug('EMIT: private room ' + created.room + ' created', logFields(request, { event: 'private_room_created' }));
+
+          movePlayerToRoom(request, player, created.room, null);
+        });
+    });
+
+  //    RECEIVE: 'spectate_room' when a client wants to watch a room without playing. 
+    //  Refuse if this session is playing, or the room is malformed/out of range, or
+    //  it has no such shard (EMIT 'error_spectate_room'). If already spectating that
+    //  room & shard, do nothing. Else, stop spectating any previous room, JOIN the
+    //  new one (and the shard: 'a' unless another is given) and update its
+    //  spectator count (BROADCAST 'spectator_count'). EMIT 'spectating' to Ack,
+    //  then the list of players present, and round_start or round_end (+ results).
+  app.io.route('spectate_room', function(request)
+    {
+      metrics.received('spectate_room');
+      log.debug('RECEIVED: spectate room', logFields(request, { event: 'spectate_room' }));
+
+      if (request.session && request.session.player)
+      {
+        request.io.emit('error_spectate_room', {error_str: "This session is playing; spectate from another session", user_input: ''});
+        metrics.rejected('spectate_room', 'playing');
+        log.debug('EMIT: session is playing', logFields(request, { event: 'error_spectate_room' }));
+        return;
+      }
+      var input = request.data ? request.data.room : null;
+      var room = parseInt(input);
+      if (isNaN(room) || (room < MIN_ROOM_NUM) || (room >= MIN_ROOM_NUM + NUM_ROOMS))
+      {
+        request.io.emit('error_spectate_room', {error_str: "Room is missing or out of range", user_input: (input == null) ? '' : input});
+        metrics.rejected('spectate_room', 'invalid_room');
+        log.debug('EMIT: room is missing or out of range', logFields(request, { event: 'error_spectate_room' }));
+        return;
+      }
+      var shard = (request.data.shard == null) ? 'a' : String(request.data.shard);
+      if (!shards.has(room, shard))
+      {
+        request.io.emit('error_spectate_room', {error_str: "Room has no such shard", user_input: shard});
+        metrics.rejected('spectate_room', 'no_such_shard');
+        log.debug('EMIT: no such shard', logFields(request, { event: 'error_spectate_room', room: room }));
+        return;
+      }
+
+      var format = determineScoreboardFormat(request, request.data.scoreboard_format, 'error_spectate_room');
+      if (!format)
+        return;
+
+      var watching = spectators[request.io.socket.id];
+      if (watching && (watching.room == room) && (watching.format == format) && (shards.shardOf(request.io.socket, room) == shard))
+        return;
+      if (watching)
+        stopSpectating(request);
+
+      spectators[request.io.socket.id] = { room: room, format: format };
+      request.io.join(room);
+      shards.join(request.io, room, shard, format);
+      countSpectator(room, 1);
+
+      request.io.emit('spectating', { room: room, shard: shard, spectators: spectatorCount[room] });
+      log.info('Spectating, ' + spectatorCount[room] + ' spectators', logFields(request, { event: 'spectating', room: room, shard: shard }));
+
+      emitPlayersAlreadyInRoom(request, room, shard);
+      emitRoundEventAndResults(request.io, room, shard, format);
     });
 
   //    RECEIVE: 'disconnect' when client closes tab or navigates elsewhere. 
-    //  If undefined session.player (e.g. client connects, server restarts, client 
-    //  disconnects), just exit. Else, decr ref_count (multiple instances of the
-    //  session might be connected). If ref_count==0, LEAVE room, decr roomCount, 
-    //  remove from all_players list. If others are still in room, ROOM.BROADCAST 
-    //  'gamer_exited_room'. Null out session.player & session.
+    //  If a spectator's socket, just stop spectating. If undefined session.player
+    //  (e.g. client connects, server restarts, client disconnects), just exit. Else, decr ref_count (multiple instances of the
+    //  session might be connected). If ref_count==0, mark the player 'reconnecting'
+    //  and hold its seat for RECONNECT_GRACE_SECS; expireReconnectGrace() handles
+    //  the exit if the session doesn't come back. (With no grace period: LEAVE 
+    //  room, decr roomCount, remove from all_players list. If others are still in
+    //  room, ROOM.BROADCAST 'gamer_exited_room'.) Null out session.player & session.
   app.io.route('disconnect', function(request)
     {
+      metrics.received('disconnect');
+      if (spectators[request.io.socket.id] != null)
+      {
+        log.info('RECEIVED: disconnect (spectator)', logFields(request, { event: 'disconnect', room: spectators[request.io.socket.id].room }));
+        stopSpectating(request);
+        timesync.forget(request.sessionID);
+        return;
+      }
       if (request.session.player === undefined)
       {
-        console.log("RECEIVED: disconnect (undefined?) - all_players_list: ", all_players_list);
+        timesync.forget(request.sessionID);
+        log.debug('RECEIVED: disconnect (no player), ' + Object.keys(all_players_list).length + ' players listed', logFields(request, { event: 'disconnect' }));
         return;
       }
-      console.log("RECEIVED: disconnect (" + request.session.player.player_tag + ")");
+      log.info('RECEIVED: disconnect', logFields(request, { event: 'disconnect' }));
 
       if (--request.session.player['ref_count'])
       {
-        console.log('Gamer ref_count was > 1. Decrementing but staying connected.');
+        store.savePlayer(request.sessionID);
+        log.info('Still connected; ref_count now ' + request.session.player['ref_count'], logFields(request, { event: 'disconnect' }));
         return;
       }
 
-      detachPlayerFromRoom(request);      
-      all_players_list[request.sessionID] = null;
-      console.log("all_players_list: ", all_players_list)
+      if (RECONNECT_GRACE_SECS > 0)
+      {
+        request.session.player.reconnecting = true;
+        store.savePlayer(request.sessionID);
+        reconnectTimers[request.sessionID] = setTimeout(expireReconnectGrace, RECONNECT_GRACE_SECS * 1000, request.sessionID);
+        log.info('Holding seat for ' + RECONNECT_GRACE_SECS + ' secs', logFields(request, { event: 'reconnect_grace' }));
+      }
+      else
+      {
+        detachPlayerFromRoom(request);      
+        all_players_list[request.sessionID] = null;
+        store.savePlayer(request.sessionID);
+        timesync.forget(request.sessionID);
+      }
 
       request.session.player = null;
       request.session = null;
     });
   
+  //    RECEIVE: 'submit_answer' when client answers the room's open question. 
+    //  Validate session/player & data/question_id/answer. Only accept an answer if
+    //  player's room has a round in progress. Check & score it (see questions.js),
+    //  add any points to the session.player, and EMIT 'answer_result'.
+  app.io.route('submit_answer', function(request)
+    {
+      metrics.received('submit_answer');
+      log.debug('RECEIVED: submit answer', logFields(request, { event: 'submit_answer' }));
+      if (refuseSpectator(request, 'error_submit_answer'))
+        return;
+      if (!request.session || !request.session.player)    //  covers undefined/null/0/''/false cases
+      {
+        log.debug('EMIT: session or player not set', logFields(request, { event: 'error_unrecognized_player' }));
+        request.io.emit('error_unrecognized_player', {error_str: "session.player is not set"});
+        metrics.rejected('submit_answer', 'no_player');
+        return;
+      }
+      if (!request.data || (request.data.question_id == null) || (request.data.answer == null))
+      {
+        log.debug('EMIT: question_id or answer not set', logFields(request, { event: 'error_submit_answer' }));
+        request.io.emit('error_submit_answer', {error_str: "request.data.question_id and answer must be set"});
+        metrics.rejected('submit_answer', 'missing_answer');
+        return;
+      }
+
+      var player = request.session.player;
+      if (!round_in_progress[player.room])
+      {
+        log.debug('EMIT: round is not in progress', logFields(request, { event: 'error_submit_answer' }));
+        request.io.emit('error_submit_answer', {error_str: "Round is not in progress", question_id: request.data.question_id});
+        metrics.rejected('submit_answer', 'lobby_time');
+        return;
+      }
+
+      var result = questions.scoreAnswer(player.room, request.sessionID, request.data.question_id, request.data.answer);
+      if (result.error_str)
+      {
+        log.debug('EMIT: ' + result.error_str + ' (' + request.data.question_id + ')', logFields(request, { event: 'error_submit_answer' }));
+        request.io.emit('error_submit_answer', {error_str: result.error_str, question_id: request.data.question_id});
+        metrics.rejected('submit_answer', 'answer_refused');
+        return;
+      }
+
+      player.points += result.points_awarded;
+      store.savePlayer(request.sessionID);
+      request.io.emit('answer_result', { question_id: request.data.question_id, correct: result.correct,
+                                         points_awarded: result.points_awarded, points: player.points });
+      log.debug('EMIT: answer to ' + request.data.question_id + (result.correct ? ' correct' : ' wrong'),
+                logFields(request, { event: 'answer_result', points: player.points }));
+    });
+
   //    RECEIVE: 'player_scored' when client notifies us their score has changed. 
-    //  Validate session/player/points & data/points. Only accept new score if 
-    //  round is in progress. Update the session.player and all_player_list.
+    //  Legacy Rails flow: refuse unless TRUSTED_CLIENT_SCORING is set.
+    //  Validate session/player/points & data/points. Then reject the new score if
+    //  checkScoreAnomaly() finds it suspect, counting the rejection against the
+    //  player. Otherwise update the session.player (same object as in all_players_list).
   app.io.route('player_scored', function(request)
     {
-      console.log("player_scored ...");
+      metrics.received('player_scored');
+      log.debug('RECEIVED: player scored', logFields(request, { event: 'player_scored' }));
+      if (refuseSpectator(request, 'error_player_scored'))
+        return;
+      if (!TRUSTED_CLIENT_SCORING)
+      {
+        log.debug('EMIT: client-reported scores are not trusted', logFields(request, { event: 'error_player_scored' }));
+        request.io.emit('error_player_scored', {error_str: "player_scored is disabled; use submit_answer", reason: 'disabled'});
+        metrics.rejected('player_scored', 'disabled');
+        return;
+      }
       if (!request.session)               //  covers undefined/null/0/''/false cases
       {
-        console.log("... but session not set");
+        log.debug('EMIT: session not set', logFields(request, { event: 'error_unrecognized_player' }));
         request.io.emit('error_unrecognized_player', {error_str: "session is not set"});
+        metrics.rejected('player_scored', 'no_session');
         return;
       }
       if (!request.session.player)        //  covers undefined/null/0/''/false cases
       {
-        console.log("... but player not set");
+        log.debug('EMIT: player not set', logFields(request, { event: 'error_unrecognized_player' }));
         request.io.emit('error_unrecognized_player', {error_str: "session.player is not set"});
+        metrics.rejected('player_scored', 'no_player');
         return;
       }
       if (!request.data)                  //  covers undefined/null/0/''/false cases
       {
-        console.log("... but request.data not set");
-        request.io.emit('error_player_scored', {error_str: "request.data is not set"});
+        log.debug('EMIT: request.data not set', logFields(request, { event: 'error_player_scored' }));
+        request.io.emit('error_player_scored', {error_str: "request.data is not set", reason: 'missing_data'});
+        metrics.rejected('player_scored', 'missing_data');
         return;
       }
       if (request.data.points == null)    //  covers undefined/null cases
       {
-        console.log("... but request.data.points not set");
-        request.io.emit('error_player_scored', {error_str: "request.data.points is not set"});
+        log.debug('EMIT: request.data.points not set', logFields(request, { event: 'error_player_scored' }));
+        request.io.emit('error_player_scored', {error_str: "request.data.points is not set", reason: 'missing_points'});
+        metrics.rejected('player_scored', 'missing_points');
+        return;
+      }
+
+      var player = request.session.player;
+      var now = clock.now();
+      var reason = checkScoreAnomaly(player, request.data.points, now);
+      if (reason)
+      {
+        player.rejected_scores = (player.rejected_scores || 0) + 1;
+        store.savePlayer(request.sessionID);
+        log.warn('Rejected score (' + reason + '): sent ' + request.data.points + ', was ' + player.points,
+                 logFields(request, { event: 'error_player_scored', reason: reason, rejected_scores: player.rejected_scores }));
+        request.io.emit('error_player_scored', {error_str: SCORE_REJECTION_STRS[reason], reason: reason, user_input: request.data.points});
+        metrics.rejected('player_scored', reason);
         return;
       }
 
-      if (round_in_progress)
+      player.points = request.data.points;
+      player.scored_at = now;
+      store.savePlayer(request.sessionID);
+    });
+  
+  //    RECEIVE: 'request_scoreboard_resync' when a 'delta' client has missed an update. 
+    //  Find the socket's room & shard (as a player or a spectator; else EMIT
+    //  'error_unrecognized_player'), and EMIT a snapshot of its latest scoreboard. If
+    //  there is none -- Lobby time, or the round's first update is yet to come (and will
+    //  be a snapshot) -- EMIT 'error_scoreboard_resync' instead.
+  app.io.route('request_scoreboard_resync', function(request)
+    {
+      metrics.received('request_scoreboard_resync');
+      log.debug('RECEIVED: request scoreboard resync', logFields(request, { event: 'request_scoreboard_resync' }));
+
+      var room, shard;
+      var watching = spectators[request.io.socket.id];
+      if (watching)
+      {
+        room = watching.room;
+        shard = shards.shardOf(request.io.socket, room);
+      }
+      else if (request.session && request.session.player)
       {
-        request.session.player.points = request.data.points;
-        all_players_list[request.sessionID].points = request.data.points;
+        room = request.session.player.room;
+        shard = request.session.player.shard;
       }
       else
       {
-        console.log("... but we're currently in lobby time. Ignoring this msg.");
-        if (request.session.player.points == null)  //  covers undefined/null cases
-        {                                  
-          console.log("request.session.player.points was null, setting to 0");
-          request.session.player.points = 0;        //  OK to continue: non-fatal (but curious)
-        }
+        log.debug('EMIT: session or player not set', logFields(request, { event: 'error_unrecognized_player' }));
+        request.io.emit('error_unrecognized_player', {error_str: "session.player is not set"});
+        metrics.rejected('request_scoreboard_resync', 'no_player');
+        return;
+      }
+
+      if (!emitScoreboardSnapshot(request.io, room, shard))
+      {
+        request.io.emit('error_scoreboard_resync', {error_str: "No scoreboard this round yet; the next update will be a snapshot"});
+        metrics.rejected('request_scoreboard_resync', 'no_scoreboard');
+        log.debug('EMIT: no scoreboard yet', logFields(request, { event: 'error_scoreboard_resync', room: room, shard: shard }));
       }
     });
-  
+
+  //    RECEIVE: 'time_sync' when client measures its clock against the server's. 
+    //  Note the receive time first thing. EMIT 'time_sync' back with it and the send time,
+    //  keeping any offset that the client's report of its previous exchange gives (see
+    //  timesync.js). A malformed request gets 'error_time_sync'. Players, spectators and
+    //  not-yet-joined clients alike may sync.
+  app.io.route('time_sync', function(request)
+    {
+      var receivedAt = timesync.now();
+      metrics.received('time_sync');
+
+      var reply = timesync.exchange(request.sessionID, request.data, receivedAt);
+      if (reply.error_str)
+      {
+        request.io.emit('error_time_sync', reply);
+        metrics.rejected('time_sync', 'malformed');
+        log.debug('EMIT: malformed time_sync', logFields(request, { event: 'error_time_sync' }));
+        return;
+      }
+      request.io.emit('time_sync', reply);
+      log.debug('EMIT: time_sync', logFields(request, { event: 'time_sync', clock: timesync.getClock(request.sessionID) }));
+    });
+
   //    RECEIVE: 'request_final_score' when client requests his final score. 
     //  Validate session/player, returning same error as 'player_scored' if these
     //  are malformed. Else, return points, and whether round-in-progress. 
   app.io.route('request_final_score', function(request)
     {
+      metrics.received('request_final_score');
       if (!request.session)               //  covers undefined/null/0/''/false cases
       {
-        console.log("request_final_score, but session not set");
+        log.debug('EMIT: session not set', logFields(request, { event: 'error_unrecognized_player' }));
         request.io.emit('error_unrecognized_player', {error_str: "session is not set"});
+        metrics.rejected('request_final_score', 'no_session');
         return;
       }
       if (!request.session.player)        //  covers undefined/null/0/''/false cases
       {
-        console.log("request_final_score, but player not set");
+        log.debug('EMIT: player not set', logFields(request, { event: 'error_unrecognized_player' }));
         request.io.emit('error_unrecognized_player', {error_str: "session.player is not set"});
+        metrics.rejected('request_final_score', 'no_player');
         return;
       }
 
       var gamer = request.session.player;
-      if (round_in_progress)
+      if (round_in_progress[gamer.room])
       {
-        console.log("request_final_score received while round is still in progress");
+        log.debug('Final score requested while the round is still in progress', logFields(request, { event: 'request_final_score' }));
         gamer.incomplete_round = true;
+        store.savePlayer(request.sessionID);
       }
       request.io.emit('final_round_score', { points: gamer.points, round_complete: !(gamer.incomplete_round) });
-      console.log("request_final_score -- points:" + gamer.points + ", round_complete:" + !(gamer.incomplete_round));
+      log.debug('EMIT: final score ' + gamer.points, logFields(request, { event: 'final_round_score', points: gamer.points, round_complete: !(gamer.incomplete_round) }));
+    });
+  
+  //    RECEIVE: 'request_leaderboard' when client wants a page of a global leaderboard. 
+    //  Validate window/page/page_size, EMITting 'error_request_leaderboard' if these 
+    //  are malformed. Else, EMIT the page as 'leaderboard'. Needs no player: any
+    //  connected client may ask.
+  app.io.route('request_leaderboard', function(request)
+    {
+      metrics.received('request_leaderboard');
+      log.debug('RECEIVED: request leaderboard', logFields(request, { event: 'request_leaderboard' }));
+
+      var params = parseLeaderboardRequest(request.data || {});
+      if (params.error_str)
+      {
+        request.io.emit('error_request_leaderboard', params);
+        metrics.rejected('request_leaderboard', 'invalid_params');
+        log.debug('EMIT: ' + params.error_str, logFields(request, { event: 'error_request_leaderboard' }));
+        return;
+      }
+      request.io.emit('leaderboard', leaderboard.getPage(params.window, params.page, params.page_size));
+      log.debug('EMIT: ' + params.window + ' leaderboard, page ' + params.page, logFields(request, { event: 'leaderboard' }));
     });
   
   //  GET: ROOT is only used by the NODE text client. Render the simple view. 
   app.get('/', function(request, response)
     {
-      response.render('index', { title:'Node client', default_room: MIN_ROOM_NUM });
-      console.log("\n*****Rendering index");
+      response.render('index', { title:'Node client', default_room: MIN_ROOM_NUM, port: PORT });
+      log.debug('Rendering index', { event: 'index' });
       return;
     });
-  
+
+  //  GET: all stored rounds, optionally limited to a time range. 
+  app.get('/history', function(request, response)
+    {
+      var filter = parseHistoryFilter(request, response);
+      if (!filter)
+        return;
+      response.json(history.query(filter));
+    });
+
+  //  GET: stored rounds for one (public or private) room, optionally limited to a time range. 
+  app.get('/history/room/:room', function(request, response)
+    {
+      var filter = parseHistoryFilter(request, response);
+      if (!filter)
+        return;
+
+      filter.room = parseInt(request.params.room);
+      if (isNaN(filter.room) || (filter.room < MIN_ROOM_NUM))
+      {
+        response.json(400, {error_str: "Room is out of range", user_input: request.params.room});
+        return;
+      }
+      response.json(history.query(filter));
+    });
+
+  //  GET: stored rounds in which this player tag played, optionally limited to a time range. 
+  app.get('/history/player/:player_tag', function(request, response)
+    {
+      var filter = parseHistoryFilter(request, response);
+      if (!filter)
+        return;
+
+      filter.player_tag = request.params.player_tag.trim();
+      response.json(history.query(filter));
+    });
+
+  //  GET: one page of a global leaderboard ('daily', 'weekly' or 'all_time'). 
+  app.get('/leaderboard/:window', function(request, response)
+    {
+      var params = parseLeaderboardRequest( { window: request.params.window, page: request.query.page, page_size: request.query.page_size } );
+      if (params.error_str)
+      {
+        response.json(400, params);
+        return;
+      }
+      response.json(leaderboard.getPage(params.window, params.page, params.page_size));
+    });
+
+  return  {
+
+    //    Upon a restart, hold the seat of each of our players in the restored state (see snapshot.js)
+      //  for RECONNECT_GRACE_SECS, just as if it had disconnected a moment ago.
+    holdRestoredSeats: function holdRestoredSeats()
+      {
+        var owners = store.owners();
+        for (var sessionID in all_players_list)
+        {
+          var player = all_players_list[sessionID];
+          if (!player || (owners[sessionID] != store.instanceId))
+            continue;
+          player.reconnecting = true;
+          player['ref_count'] = 0;
+          store.savePlayer(sessionID);
+          reconnectTimers[sessionID] = setTimeout(expireReconnectGrace, RECONNECT_GRACE_SECS * 1000, sessionID);
+        }
+      }
+  };
 };
@@ -0,0 +1,214 @@
+//    SonicFlux Node.js server - scoreboards.js
+    //
+    //  This module implements the per-second 'play_timer_update' in each of
+    //  its formats: the full scoreboard, or compact deltas against the last
+    //  update, for clients that would rather not download every entry every
+    //  second.
+    //
+
+  //  ABOUT SONICFLUX: SCOREBOARD FORMATS
+  //
+  //    Negotiation
+    //
+    //  A client picks its format with 'scoreboard_format' in the profile of
+    //  'client_ready' (spectators: in 'spectate_room'), from SCOREBOARD_FORMATS
+    //  (see app.js).  A client that doesn't ask gets 'full'.  Each shard's
+    //  updates go out once per format, each on its own channel (see shards.js).
+    //
+  //    'full' (legacy)
+    //
+    //    { time_remaining, leaders: [{player_tag, points, reconnecting, team}] }
+    //
+    //  The shard's whole scoreboard, sorted, every Play second.
+    //
+  //    'delta'
+    //
+    //    { type: 'snapshot', seq, time_remaining,
+    //      leaders: [{player_tag, points, rank, reconnecting, team}] }
+    //    { type: 'delta', seq, time_remaining,
+    //      changes: [{player_tag, points, rank, rank_change, reconnecting, team}],
+    //      removed: [player_tag, ...] }
+    //
+    //  A snapshot is the whole scoreboard.  A delta lists only the entries
+    //  that are new, or whose points, rank or reconnecting changed since the
+    //  previous update, plus the tags that have left; entries are keyed by
+    //  player_tag.  rank_change is how many places an entry rose since the
+    //  previous update (negative: fell), or null for a new entry.  When
+    //  nothing changed, a delta carries little more than time_remaining.
+    //
+    //  Each shard numbers its updates, seq rising by exactly 1 per update.
+    //  A delta applies on top of update seq - 1 only.  On a gap (a lost or
+    //  out-of-order update) the client EMITs 'request_scoreboard_resync',
+    //  and is sent a snapshot of the latest update to continue from.  Each
+    //  round's first update is a snapshot to the whole shard, and a client
+    //  joining mid-round is sent one directly.
+    //
+  //    Teams
+    //
+    //  In a room with teams, every update in either format also carries
+    //  'teams', the whole room's team standings (see teams.js).  There are
+    //  only ever a few, so a delta carries them whole, as a snapshot does.
+    //
+  //    Across instances
+    //
+    //  Only the timer leader builds each shard's scoreboard (see timer.js),
+    //  but it passes each one on to the other instances (see pubsub.js),
+    //  and every instance sends it to its own clients in each format.  So
+    //  each instance keeps its own boards, seq numbers and deltas; as any
+    //  one client only ever talks to one instance, that is all it needs.
+    //
+
+module.exports = function Scoreboards(app, shards, pubsub, timesync)
+{
+  //  Module-wide variables
+    var boards = [];                    //  Per room, per shard: {seq, time_remaining, leaders (ranked; null between rounds), teams}
+
+
+//  Worker functions
+
+  //    The shard's board, starting it off if need be.
+  function boardFor(room, shard)
+    {
+      boards[room] = boards[room] || {};
+      if (!boards[room][shard])
+      {
+        boards[room][shard] = { seq: 0, time_remaining: null, leaders: null, teams: null };
+      }
+      return boards[room][shard];
+    }
+
+  //    Number a sorted scoreboard's ranks: [{player_tag, points, rank, reconnecting, team}].
+  function rankLeaders(leaders)
+    {
+      var ranked = [];
+      for (var index = 0; index < leaders.length; index++)
+      {
+        ranked.push( { player_tag: leaders[index].player_tag, points: leaders[index].points, rank: index + 1,
+                       reconnecting: leaders[index].reconnecting, team: leaders[index].team } );
+      }
+      return ranked;
+    }
+
+  //    What changed between two ranked scoreboards: {changes, removed}, as in a delta.
+  function diffLeaders(before, after)
+    {
+      var previous = {};
+      for (var index = 0; index < before.length; index++)
+      {
+        previous[before[index].player_tag] = before[index];
+      }
+
+      var changes = [];
+      for (var index = 0; index < after.length; index++)
+      {
+        var entry = after[index];
+        var old = previous[entry.player_tag];
+        if (old)
+        {
+          delete previous[entry.player_tag];
+          if ((old.points == entry.points) && (old.rank == entry.rank) && (old.reconnecting == entry.reconnecting) && (old.team == entry.team))
+            continue;
+        }
+        changes.push( { player_tag: entry.player_tag, points: entry.points, rank: entry.rank,
+                        rank_change: old ? (old.rank - entry.rank) : null, reconnecting: entry.reconnecting, team: entry.team } );
+      }
+      return { changes: changes, removed: Object.keys(previous) };
+    }
+
+  //    A 'snapshot' update of the board's latest state.
+  function snapshotOf(board)
+    {
+      return withTeams( { type: 'snapshot', seq: board.seq, time_remaining: board.time_remaining, leaders: board.leaders }, board.teams);
+    }
+
+  //    An update, carrying the room's team standings if it has teams.
+  function withTeams(update, teams)
+    {
+      if (teams)
+        update.teams = teams;
+      return update;
+    }
+
+  //    Send a shard's sorted scoreboard to this instance's clients, in every format, stamped (see timesync.js).
+    //  Local only (app.io, not pubsub.js): every instance does this for itself.
+  function sendUpdates(room, shard, leaders, timeRemaining, teams)
+    {
+      var full = withTeams( { time_remaining: timeRemaining, leaders: leaders }, teams);
+      app.io.sockets.in(shards.tickerChannel(room, shard, 'full')).emit('play_timer_update', full, timesync.stamp());
+
+      var board = boardFor(room, shard);
+      var ranked = rankLeaders(leaders);
+      var update;
+
+      board.seq++;
+      board.teams = teams || null;
+      if (board.leaders == null)
+      {
+        board.leaders = ranked;
+        board.time_remaining = timeRemaining;
+        update = snapshotOf(board);
+      }
+      else
+      {
+        var diff = diffLeaders(board.leaders, ranked);
+        board.leaders = ranked;
+        board.time_remaining = timeRemaining;
+        update = withTeams( { type: 'delta', seq: board.seq, time_remaining: timeRemaining, changes: diff.changes, removed: diff.removed }, board.teams);
+      }
+      app.io.sockets.in(shards.tickerChannel(room, shard, 'delta')).emit('play_timer_update', update, timesync.stamp());
+    }
+
+  //    Upon the end of a room's round: next round's first update to each shard is a snapshot.
+  function resetBoards(room)
+    {
+      for (var shard in boards[room])
+      {
+        boards[room][shard].leaders = null;
+      }
+    }
+
+  pubsub.handle('scoreboard', function(message)
+    {
+      sendUpdates(message.room, message.shard, message.leaders, message.time_remaining, message.teams);
+    });
+  pubsub.handle('scoreboard_round_ended', function(message)
+    {
+      resetBoards(message.room);
+    });
+  pubsub.handle('scoreboard_room_removed', function(message)
+    {
+      delete boards[message.room];
+    });
+
+  return  {
+
+    //    Each Play second, BROADCAST a shard's sorted scoreboard in every format, on every instance.
+      //  leaders: [{player_tag, points, reconnecting, team}], highest points first; teams: the room's standings, or null.
+    broadcast: function broadcast(room, shard, leaders, timeRemaining, teams)
+      {
+        sendUpdates(room, shard, leaders, timeRemaining, teams);
+        pubsub.tellPeers('scoreboard', { room: room, shard: shard, leaders: leaders, time_remaining: timeRemaining, teams: teams });
+      },
+
+    //    A snapshot of the shard's latest update, or null if there is none this round.
+    snapshot: function snapshot(room, shard)
+      {
+        var board = boards[room] && boards[room][shard];
+        return (board && board.leaders) ? snapshotOf(board) : null;
+      },
+
+    //    Upon the end of a room's round, on every instance: next round's first update to each shard is a snapshot.
+    endRound: function endRound(room)
+      {
+        resetBoards(room);
+        pubsub.tellPeers('scoreboard_round_ended', { room: room });
+      },
+
+    //    Upon removal of a (private) room, forget its boards on every instance.
+    forgetRoom: function forgetRoom(room)
+      {
+        delete boards[room];
+        pubsub.tellPeers('scoreboard_room_removed', { room: room });
+      }
+  };
+}
@@ -0,0 +1,40 @@
+//    SonicFlux Node.js server - scorecheck.js
+    //
+    //  This module implements the anomaly check on the totals that clients
+    //  report with 'player_scored' (see routes/route.js): a total that
+    //  fails it is rejected, and counts against the player.
+    //
+
+  //  ABOUT SONICFLUX: SCORE ANOMALIES
+  //
+  //    What gets rejected
+    //
+    //  Points must be a JSON number that is a non-negative integer.  Nothing
+    //  is coerced: "5", true, [3] and "0x10" are all rejected, however they
+    //  might convert, so that what we store is always the number that was
+    //  sent.  A total must also not go down during a round, nor climb
+    //  faster than MAX_POINTS_PER_SEC (see app.js); and none is accepted
+    //  during Lobby time.
+    //
+
+  //    Does this 'player_scored' total look suspect? 
+    //  Upon 'player_scored', check the new total against the player's current one.
+    //  Returns the machine-readable reason to reject it, or null if it looks fine:
+    //  'lobby_time' (no round in progress), 'invalid_points' (anything but a
+    //  non-negative integer number), 'score_decreased', or 'rate_exceeded' (more than
+    //  MAX_POINTS_PER_SEC gained per sec since points last changed or were reset -
+    //  see player.scored_at).
+module.exports = function checkScoreAnomaly(player, points, now)
+{
+  if (!round_in_progress[player.room])
+    return 'lobby_time';
+  if ((typeof points != 'number') || !isFinite(points) || (points % 1 != 0) || (points < 0))
+    return 'invalid_points';
+  if (points < player.points)
+    return 'score_decreased';
+
+  var secsElapsed = Math.max(1, (now - player.scored_at) / 1000);
+  if ((points - player.points) / secsElapsed > MAX_POINTS_PER_SEC)
+    return 'rate_exceeded';
+  return null;
+}
@@ -0,0 +1,398 @@
+//    SonicFlux Node.js server - shards.js
+    //
+    //  This module implements room sharding: splitting a crowded room's
+    //  players into shards, each with a scoreboard of its own, and merging
+    //  them back together as the room empties out.
+    //
+
+  //  ABOUT SONICFLUX: ROOM SHARDS
+  //
+  //    Shards and channels
+    //
+    //  Every player in a room belongs to one of its shards, named 'a', 'b',
+    //  and so on.  A room that never holds more than ROOM_SHARD_CAPACITY
+    //  players (see config.js) only ever has shard 'a'.  A player's sockets
+    //  JOIN three socket.io rooms:
+    //
+    //    '2'         the room itself: everything the whole room shares --
+    //                round start & end, questions, the lobby countdown,
+    //                spectator counts, leaderboard tops and notices
+    //    '2-a'       its shard's channel: the scoreboard msgs --
+    //                'room_round_results', 'gamers_already_in_room',
+    //                'gamer_entered_room' and 'gamer_exited_room'
+    //    '2-a:full'  its shard's 'play_timer_update', in the format the
+    //                client asked for ('2-a:delta' for the other one;
+    //                see scoreboards.js)
+    //
+    //  A new player goes to the room's least-full shard or, if every shard
+    //  is full, to a new one.  The whole room still plays one round, on one
+    //  question timeline.  Spectators watch one shard: 'a', unless they ask
+    //  for another.
+    //
+  //    Combined results
+    //
+    //  round_results[room] still holds every player in the room, each now
+    //  tagged with its shard; history, leaderboards and the webhook see the
+    //  room's round as one.  At round end each shard is sent its own part
+    //  of it as 'room_round_results', and the whole room is sent
+    //  'level_round_results' {room, difficulty_level, shards, players,
+    //  leaders}: the top COMBINED_RESULTS_TOP_N across every shard, each
+    //  {rank, player_tag, points, shard}.  A room with teams adds their
+    //  standings and the winning team (see teams.js).
+    //
+  //    Rebalancing
+    //
+    //  As players leave, shards thin out.  Each Lobby second, a room whose
+    //  players would fit in fewer shards is merged down, and one whose
+    //  shard sizes differ by more than MAX_SHARD_SPREAD is evened out --
+    //  never during Play, so that no scoreboard is reshuffled mid-round.
+    //  A moved player's sockets LEAVE the old channel and JOIN the new one.
+    //  The old shard gets 'gamer_exited_room', the new one 'gamer_entered_room',
+    //  and the player 'shard_changed' {room, shard} plus a fresh
+    //  'gamers_already_in_room'.  Spectators of a shard that is merged
+    //  away, or left without players by the end of a round, are moved to
+    //  shard 'a' in the same way.
+    //
+  //    Across instances
+    //
+    //  Shard sizes aren't kept here, but counted from all_players_list,
+    //  which every instance shares (see store.js); so each instance places
+    //  its newcomers by the same counts, and a shard exists for as long as
+    //  it has players.  Rebalancing is the timer leader's (see election.js):
+    //  it moves the players, and every instance moves its own sockets.
+    //
+
+var log = require('./log.js')('shards');
+
+module.exports = function Shards(app, store, pubsub, teams)
+{
+  //  Module-wide constants
+    var MAX_SHARD_SPREAD = Math.ceil(ROOM_SHARD_CAPACITY / 4);
+
+
+//  Worker functions
+
+  //    The name of the shard at this index: 'a'..'z', then 'aa', 'ab', ...
+  function shardName(index)
+    {
+      var name = '';
+      do
+      {
+        name = String.fromCharCode(97 + (index % 26)) + name;
+        index = Math.floor(index / 26) - 1;
+      } while (index >= 0);
+      return name;
+    }
+
+  //    The index of the shard with this name ('a': 0, 'z': 25, 'aa': 26, ...), or -1 if it isn't a shard name.
+  function shardIndex(shard)
+    {
+      if (!/^[a-z]+$/.test(shard))
+        return -1;
+
+      var index = 0;
+      for (var position = 0; position < shard.length; position++)
+      {
+        index = index * 26 + (shard.charCodeAt(position) - 96);
+      }
+      return index - 1;
+    }
+
+  //    The room's player count of each shard, in shard order, from all_players_list: always at least shard 'a'.
+  function countsFor(room)
+    {
+      var counts = [0];
+      for (var sessionID in all_players_list)
+      {
+        var player = all_players_list[sessionID];
+        if (player && (player.room == room) && (player.shard != null))
+        {
+          var index = shardIndex(player.shard);
+          while (counts.length <= index)
+          {
+            counts.push(0);
+          }
+          counts[index]++;
+        }
+      }
+      return counts;
+    }
+
+  //    The socket.io room that a shard's scoreboard is BROADCAST to, e.g. '2-b'.
+  function channel(room, shard)
+    {
+      return '' + room + '-' + shard;
+    }
+
+  //    Each player in the room's shard, as {player_tag, points, team}.
+  function roster(room, shard)
+    {
+      var gamers = [];
+      for (var index in all_players_list)
+      {
+        var player = all_players_list[index];
+        if (player && (player.room == room) && (player.shard == shard))
+        {
+          gamers.push( { player_tag: player.player_tag, points: player.points, team: (player.team == null) ? null : player.team } );
+        }
+      }
+      return gamers;
+    }
+
+  //    The socket.io room that a shard's 'play_timer_update' in this format is BROADCAST to, e.g. '2-b:delta'.
+  function tickerChannel(room, shard, format)
+    {
+      return channel(room, shard) + ':' + format;
+    }
+
+  //    Move sockets from one shard's channels to another's: just this session's, or (no sessionID) all.
+    //  EMIT 'shard_changed' and the new shard's 'gamers_already_in_room' to each one moved.
+  function moveSockets(room, from, to, sessionID)
+    {
+      for (var formatIndex = 0; formatIndex < SCOREBOARD_FORMATS.length; formatIndex++)
+      {
+        var format = SCOREBOARD_FORMATS[formatIndex];
+        var sockets = app.io.sockets.clients(tickerChannel(room, from, format));
+        for (var index = 0; index < sockets.length; index++)
+        {
+          if ((sessionID != null) && (sockets[index].handshake.sessionID != sessionID))
+            continue;
+
+          sockets[index].leave(channel(room, from));
+          sockets[index].leave(tickerChannel(room, from, format));
+          sockets[index].join(channel(room, to));
+          sockets[index].join(tickerChannel(room, to, format));
+          sockets[index].emit('shard_changed', { room: room, shard: to });
+          sockets[index].emit('gamers_already_in_room', { leaders: roster(room, to), spectators: spectatorCount[room] });
+        }
+      }
+    }
+
+  //    Move one player to another shard, telling both shards and the player (on whichever instance it is).
+  function movePlayer(sessionID, player, to)
+    {
+      var from = player.shard;
+      player.shard = to;
+      store.savePlayer(sessionID);
+
+      pubsub.broadcast(channel(player.room, to), 'gamer_entered_room', { player_tag: player.player_tag, points: player.points });
+      moveSockets(player.room, from, to, sessionID);
+      pubsub.tellPeers('shard_move', { room: player.room, from: from, to: to, session_id: sessionID });
+      pubsub.broadcast(channel(player.room, from), 'gamer_exited_room', { player_tag: player.player_tag });
+      log.info('Moved ' + player.player_tag + ' from shard ' + from + ' to ' + to, { event: 'shard_move', room: player.room, shard: to, session: sessionID, player_tag: player.player_tag });
+    }
+
+  //    Move this instance's sockets in any of the room's shards from index keep onwards to shard 'a'.
+    //  Finds them in socket.io's own list of rooms, as the shards may have no players left to count.
+  function sweepSockets(room, keep)
+    {
+      var prefix = '/' + channel(room, '');
+      for (var name in app.io.sockets.manager.rooms)
+      {
+        if ((name.indexOf(prefix) != 0) || (name.indexOf(':') != -1))
+          continue;
+        var shard = name.slice(prefix.length);
+        if (shardIndex(shard) >= keep)
+        {
+          moveSockets(room, shard, shardName(0), null);
+        }
+      }
+    }
+
+  pubsub.handle('shard_move', function(message)
+    {
+      moveSockets(message.room, message.from, message.to, message.session_id);
+    });
+  pubsub.handle('shard_sweep', function(message)
+    {
+      sweepSockets(message.room, message.keep);
+    });
+
+  return  {
+
+    //    The socket.io room for a shard's scoreboard (see channel above).
+    channel: function getChannel(room, shard)
+      {
+        return channel(room, shard);
+      },
+
+    //    The socket.io room for a shard's 'play_timer_update' in one format (see tickerChannel above).
+    tickerChannel: function getTickerChannel(room, shard, format)
+      {
+        return tickerChannel(room, shard, format);
+      },
+
+    //    JOIN a socket (or request.io) to a shard: its channel, and its ticker channel for this format.
+    join: function join(io, room, shard, format)
+      {
+        io.join(channel(room, shard));
+        io.join(tickerChannel(room, shard, format));
+      },
+
+    //    LEAVE a shard's channel and (whichever it is in) ticker channel.
+    leave: function leave(io, room, shard)
+      {
+        io.leave(channel(room, shard));
+        for (var index = 0; index < SCOREBOARD_FORMATS.length; index++)
+        {
+          io.leave(tickerChannel(room, shard, SCOREBOARD_FORMATS[index]));
+        }
+      },
+
+    //    Which of the room's shards is this socket JOINed to, if any? 
+      //  Asks socket.io, since a rebalance can move a spectator's socket without telling route.js.
+    shardOf: function shardOf(socket, room)
+      {
+        var joined = app.io.sockets.manager.roomClients[socket.id] || {};
+        var prefix = '/' + channel(room, '');
+        for (var name in joined)
+        {
+          if ((name.indexOf(prefix) == 0) && (name.indexOf(':') == -1) && joined[name])
+            return name.slice(prefix.length);
+        }
+        return null;
+      },
+
+    //    Names of the room's shards, in order: always at least ['a'].
+    names: function names(room)
+      {
+        var counts = countsFor(room);
+        var list = [];
+        for (var index = 0; index < counts.length; index++)
+        {
+          list.push(shardName(index));
+        }
+        return list;
+      },
+
+    //    Does the room have a shard of this name?
+    has: function has(room, shard)
+      {
+        var index = shardIndex(shard);
+        return (index != -1) && (index < countsFor(room).length);
+      },
+
+    //    Upon a player joining a room, pick its shard: the least full, or a new one if all are full.
+      //  The player must not yet have a shard, so as not to be counted.
+    assign: function assign(room)
+      {
+        var counts = countsFor(room);
+        var least = 0;
+        for (var index = 1; index < counts.length; index++)
+        {
+          if (counts[index] < counts[least])
+            least = index;
+        }
+        if (counts[least] >= ROOM_SHARD_CAPACITY)
+        {
+          least = counts.length;
+          log.info('Every shard is full, opening shard ' + shardName(least), { event: 'shard_opened', room: room, shard: shardName(least) });
+        }
+        return shardName(least);
+      },
+
+    //    Each player in the room's shard, as {player_tag, points, team}: the 'gamers_already_in_room' leaders.
+    roster: function getRoster(room, shard)
+      {
+        return roster(room, shard);
+      },
+
+    //    The part of the room's (sorted) round_results that belongs to this shard.
+    resultsFor: function resultsFor(room, shard)
+      {
+        var results = [];
+        for (var index = 0; index < round_results[room].length; index++)
+        {
+          if (round_results[room][index].shard == shard)
+            results.push(round_results[room][index]);
+        }
+        return results;
+      },
+
+    //    The 'level_round_results' payload for the room's (sorted) round_results, with its teams' if it had any (see teams.js).
+    combinedResults: function combinedResults(room)
+      {
+        var leaders = [];
+        for (var index = 0; (index < round_results[room].length) && (index < COMBINED_RESULTS_TOP_N); index++)
+        {
+          var result = round_results[room][index];
+          leaders.push( { rank: index + 1, player_tag: result.player_tag, points: result.points, shard: result.shard } );
+        }
+        var combined = { room: room, difficulty_level: room_levels[room], shards: countsFor(room).length,
+                         players: round_results[room].length, leaders: leaders };
+        var teamResults = teams.results(room);
+        if (teamResults)
+        {
+          combined.teams = teamResults.teams;
+          combined.winning_team = teamResults.winning_team;
+        }
+        return combined;
+      },
+
+    //    Each (leader) Lobby second: merge the room's shards down, or even them out, if they need it.
+    rebalance: function rebalance(room)
+      {
+        var counts = countsFor(room);
+        var total = 0;
+        for (var index = 0; index < counts.length; index++)
+        {
+          total += counts[index];
+        }
+        var needed = Math.max(1, Math.ceil(total / ROOM_SHARD_CAPACITY));
+        var fullest = Math.max.apply(null, counts.slice(0, needed));
+        var emptiest = Math.min.apply(null, counts.slice(0, needed));
+        if ((counts.length <= needed) && (fullest - emptiest <= MAX_SHARD_SPREAD))
+        {
+          return;
+        }
+
+        //  Keep shards [0, needed), and fill each toward an equal share.
+        var target = Math.ceil(total / needed);
+        log.info('Rebalancing ' + total + ' players from ' + counts.length + ' shards into ' + needed, { event: 'shard_rebalance', room: room });
+        for (var sessionID in all_players_list)
+        {
+          var player = all_players_list[sessionID];
+          if (!player || (player.room != room) || (player.shard == null))
+            continue;
+
+          var from = shardIndex(player.shard);
+          if ((from < needed) && (counts[from] <= target))
+            continue;
+
+          var to = 0;
+          for (var index = 1; index < needed; index++)
+          {
+            if (counts[index] < counts[to])
+              to = index;
+          }
+          counts[from]--;
+          counts[to]++;
+          movePlayer(sessionID, player, shardName(to));
+        }
+
+        //  Only spectators are left in merged-away shards: move them to shard 'a'.
+        this.sweepSpectators(room, needed);
+      },
+
+    //    On every instance, move spectators of shards the room no longer has to shard 'a'.
+      //  keep: how many shards to keep (default: up to the last with players).
+    sweepSpectators: function sweepSpectators(room, keep)
+      {
+        keep = (keep == null) ? countsFor(room).length : keep;
+        sweepSockets(room, keep);
+        pubsub.tellPeers('shard_sweep', { room: room, keep: keep });
+      },
+
+    //    Per-shard player counts, for the admin API.
+    getStatus: function getStatus(room)
+      {
+        var counts = countsFor(room);
+        var status = [];
+        for (var index = 0; index < counts.length; index++)
+        {
+          status.push( { shard: shardName(index), channel: channel(room, shardName(index)), players: counts[index] } );
+        }
+        return status;
+      }
+  };
+}
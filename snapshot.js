@@ -0,0 +1,167 @@
+//    SonicFlux Node.js server - snapshot.js
+    //
+    //  This module implements graceful shutdown: upon SIGTERM (or SIGINT),
+    //  stop the timer, tell clients that the server is restarting, and
+    //  snapshot the game state to disk -- so that after the restart, each
+    //  reconnecting session lands back in its room with its points.
+    //
+
+  //  ABOUT SONICFLUX: RESTARTS
+  //
+  //    Shutting down
+    //
+    //  Upon SIGTERM or SIGINT we stop() the timer, BROADCAST
+    //  'server_restarting' {server_time, reconnect_grace_secs} to this
+    //  instance's clients, and stop taking new connections.  After
+    //  SHUTDOWN_FLUSH_MSECS -- time for those messages, and any history or
+    //  webhook writes, to go out -- the state is saved to SNAPSHOT_FILE and
+    //  the process exits.
+    //
+    //  What is saved is the whole 'memory' store (see store.js): players,
+    //  with their points, rooms and shards; each room's round_in_progress
+    //  and round_results; private rooms; and the id sequences, so guests go
+    //  on being numbered where they left off.  With the 'redis' store, the
+    //  shared state outlives this instance anyway, so nothing is saved; if
+    //  this instance was the timer leader, another takes over once its
+    //  lease runs out (see election.js).
+    //
+  //    Starting up
+    //
+    //  Before the store is loaded, restore() reads back any snapshot (and
+    //  removes it, so that it is used only once).  Each room's part of it
+    //  is kept only if the room is still in the cycle it was in when the
+    //  snapshot was taken, on the same schedule: its round is the same
+    //  round.  A room that has moved on loses its players and round, just
+    //  as without a snapshot.  Seats kept are held for RECONNECT_GRACE_SECS
+    //  (see route.js), as for any disconnect; a question that was open
+    //  isn't, and the room's next one opens on time.
+    //
+
+var fs = require('fs');
+var path = require('path');
+var log = require('./log.js')('snapshot');
+
+module.exports = function Snapshot(app, store, timer, clock)
+{
+  //  Module-wide constants
+    var SNAPSHOT_DIR = path.join(__dirname, 'data');
+    var SNAPSHOT_FILE = path.join(SNAPSHOT_DIR, 'snapshot.json');
+    var SHUTDOWN_FLUSH_MSECS = 500;
+
+  //  Module-wide variables
+    var shuttingDown = false;
+
+
+//  Worker functions
+
+  //    Save the store's state with each room's schedule, replacing the file in one step. Returns false if there is nothing to save.
+  function save()
+    {
+      var state = store.dump();
+      if (!state)
+        return false;
+
+      var rooms = {};
+      for (var index = 0; index < active_rooms.length; index++)
+      {
+        rooms[active_rooms[index]] = { secs_in_complete_cycle: ROOM_SCHEDULES[active_rooms[index]].secs_in_complete_cycle };
+      }
+      if (!fs.existsSync(SNAPSHOT_DIR))
+      {
+        fs.mkdirSync(SNAPSHOT_DIR);
+      }
+      fs.writeFileSync(SNAPSHOT_FILE + '.tmp', JSON.stringify( { saved_at: clock.now(), rooms: rooms, state: state } ));
+      fs.renameSync(SNAPSHOT_FILE + '.tmp', SNAPSHOT_FILE);
+      return true;
+    }
+
+  //    How many players are seated (all_players_list keeps a null for each one gone).
+  function countPlayers()
+    {
+      var count = 0;
+      for (var sessionID in all_players_list)
+      {
+        if (all_players_list[sessionID])
+          count++;
+      }
+      return count;
+    }
+
+  //    Is this room still in the cycle, on the schedule, that it was in when the snapshot was taken?
+  function sameCycle(snapshot, room, now)
+    {
+      var saved = snapshot.rooms[room];
+      if (!saved)
+        return false;
+      if (ROOM_SCHEDULES[room] && (ROOM_SCHEDULES[room].secs_in_complete_cycle != saved.secs_in_complete_cycle))
+        return false;
+
+      var msecsInCycle = saved.secs_in_complete_cycle * 1000;
+      return (Math.floor(now / msecsInCycle) == Math.floor(snapshot.saved_at / msecsInCycle));
+    }
+
+  //    Upon SIGTERM or SIGINT: stop the timer, tell our clients, stop listening; then save the state and exit.
+  function shutdown(signal)
+    {
+      if (shuttingDown)
+        return;
+      shuttingDown = true;
+      log.info('Shutting down upon ' + signal, { event: 'shutdown' });
+
+      timer.stop();
+      app.io.sockets.emit('server_restarting', { server_time: clock.now(), reconnect_grace_secs: RECONNECT_GRACE_SECS });
+      app.server.close(function() {});     //  (an error here just means we weren't listening yet)
+
+      setTimeout(function()
+        {
+          try
+          {
+            if (save())
+              log.info('Saved the game state to ' + SNAPSHOT_FILE, { event: 'snapshot_saved', players: countPlayers() });
+          }
+          catch (err)
+          {
+            log.error('Failed to save the game state to ' + SNAPSHOT_FILE + ' -- ' + err, { event: 'snapshot_failed' });
+          }
+          process.exit(0);
+        }, SHUTDOWN_FLUSH_MSECS);
+    }
+
+  process.on('SIGTERM', function() { shutdown('SIGTERM'); });
+  process.on('SIGINT', function() { shutdown('SIGINT'); });
+
+  return  {
+
+    //    Before store.load(): put back the rooms of any snapshot that are still in the same cycle.
+      //  Returns true if a snapshot was restored (see route.holdRestoredSeats).
+    restore: function restore()
+      {
+        if (!store.dump() || !fs.existsSync(SNAPSHOT_FILE))
+          return false;
+
+        var snapshot;
+        try
+        {
+          snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+          fs.unlinkSync(SNAPSHOT_FILE);
+        }
+        catch (err)
+        {
+          log.error('Could not read ' + SNAPSHOT_FILE + ', starting afresh -- ' + err, { event: 'snapshot_unreadable' });
+          return false;
+        }
+
+        var now = clock.now();
+        var kept = [];
+        var dropped = [];
+        for (var room in snapshot.rooms)
+        {
+          (sameCycle(snapshot, room, now) ? kept : dropped).push(parseInt(room));
+        }
+        store.restore(snapshot.state, function(room) { return (kept.indexOf(room) != -1); });
+        log.info('Restored the game state from ' + SNAPSHOT_FILE + ', saved ' + (now - snapshot.saved_at) + ' msecs ago',
+                 { event: 'snapshot_restored', rooms_kept: kept, rooms_dropped: dropped });
+        return true;
+      }
+  };
+}
@@ -0,0 +1,394 @@
+//    SonicFlux Node.js server - store.js
+    //
+    //  This module puts the game state that every module shares behind one
+    //  interface, with a backend that can be in this process or on the
+    //  network, so that several SonicNode instances can run behind a load
+    //  balancer.  It also carries pubsub.js's messages between instances.
+    //
+
+  //  ABOUT SONICFLUX: SHARED STATE
+  //
+  //    What is shared
+    //
+    //  all_players_list, roomCount, spectatorCount, round_in_progress and
+    //  round_results (see app.js) are still globals that every module reads
+    //  directly, as before.  But each instance's copy is now kept in step
+    //  with every other's: a module that changes one of them tells the
+    //  store, which writes the change through to the backend and publishes
+    //  it to the other instances, each of which applies it to its own copy.
+    //
+    //    savePlayer(sessionID)           after any change to a player (or to
+    //                                    remove it, after nulling its entry)
+    //    addRoomCount(room, delta)       in place of roomCount[room] += delta
+    //    addSpectatorCount(room, delta)  likewise, for spectatorCount
+    //    saveRound(room)                 after changing round_in_progress[room]
+    //                                    or round_results[room]
+    //
+    //  A module with state of its own to share (e.g. privaterooms.js)
+    //  registers it as a 'kind' with share(), and writes it with put() and
+    //  remove().  Upon startup an instance loads every kind from the backend
+    //  before it starts listening.  nextId() hands out numbers that are
+    //  unique across instances, such as private room ids and guest tags.
+    //
+  //    Backends
+    //
+    //  STATE_STORE (see config.js) picks the backend: 'memory' (memorystore.js),
+    //  the default, for a single instance; or 'redis' (redisstore.js) for
+    //  several instances sharing the server at REDIS_URL.  Keys are prefixed
+    //  with 'sonicflux:'.
+    //
+  //    Consistency
+    //
+    //  A player is changed by the instance it is connected to, its owner,
+    //  and by the timer leader (round-start resets and shard moves; see
+    //  election.js).  Each write sends the whole player record, so the last
+    //  writer wins.  Counts travel as deltas, so that joins on different
+    //  instances add up whatever order they arrive in.  One instance's
+    //  changes reach the others in the order it made them, and in order
+    //  with its pubsub.js messages; there is no order across instances.
+    //  Should a write to the backend fail, the instance carries on from its
+    //  own copy, and the failure is counted in getStatus().
+    //
+    //  The 'memory' backend's state dies with the process, so it can be
+    //  dumped and restored, for snapshot.js to carry it over a restart.
+    //  The 'redis' backend's state outlives any one instance anyway.
+    //
+    //  Sessions and sockets belong to one instance, so a load balancer in
+    //  front of several must keep each client on one instance (sticky
+    //  sessions), as socket.io's polling transports need anyway.
+    //
+
+var crypto = require('crypto');
+var os = require('os');
+var log = require('./log.js')('store');
+
+module.exports = function Store(app)
+{
+  //  Module-wide constants
+    var KEY_PREFIX = 'sonicflux:';
+    var EVENTS_CHANNEL = KEY_PREFIX + 'events';
+
+  //  Module-wide variables
+    var backend = (STATE_STORE == 'redis') ? require('./redisstore.js')(app, REDIS_URL) : require('./memorystore.js')(app);
+    var instanceId = os.hostname() + ':' + process.pid + ':' + crypto.randomBytes(3).toString('hex');
+    var kinds = {};                     //  Per registered kind: apply(id, value) for another instance's change
+    var topics = {};                    //  Per pubsub topic: handler(body) for another instance's message
+    var owners = {};                    //  Per sessionID: the instance its player is connected to
+    var writeFailures = 0;
+    var failing = false;                //  Did the latest write fail?
+
+
+//  Worker functions
+
+  //    Callback for a backend write: count and log failures (once per run of them).
+  function afterWrite(what)
+    {
+      return function(err)
+        {
+          if (!err)
+          {
+            failing = false;
+            return;
+          }
+          writeFailures++;
+          if (!failing)
+          {
+            log.error('Failed to write ' + what + ' -- ' + err.message + ' (carrying on from our own copy)', { event: 'store_write_failed' });
+            failing = true;
+          }
+        };
+    }
+
+  //    Publish an event to the other instances, stamped with our instanceId.
+  function announce(event)
+    {
+      event.origin = instanceId;
+      backend.publish(EVENTS_CHANNEL, JSON.stringify(event));
+    }
+
+  //    Write a kind's record (null: remove it) to the backend, and tell the other instances.
+  function write(kind, id, value)
+    {
+      if (value == null)
+      {
+        backend.hdel(KEY_PREFIX + kind, id, afterWrite(kind + ' ' + id));
+      }
+      else
+      {
+        backend.hset(KEY_PREFIX + kind, id, JSON.stringify(value), afterWrite(kind + ' ' + id));
+      }
+      announce( { kind: kind, id: id, value: value } );
+    }
+
+  //    Add delta to a per-room count, in the backend and on the other instances.
+  function addCount(kind, counts, room, delta)
+    {
+      counts[room] += delta;
+      backend.hincrby(KEY_PREFIX + kind, room, delta, afterWrite(kind + ' ' + room));
+      announce( { kind: kind, id: room, delta: delta } );
+    }
+
+  //    Apply a player record {owner, player} (null: removed) from another instance.
+    //  An existing player object is updated in place, as sessions hold on to it.
+  function applyPlayer(sessionID, record)
+    {
+      if (record == null)
+      {
+        all_players_list[sessionID] = null;
+        delete owners[sessionID];
+        return;
+      }
+
+      owners[sessionID] = record.owner;
+      var player = all_players_list[sessionID];
+      if (!player)
+      {
+        all_players_list[sessionID] = record.player;
+        return;
+      }
+      for (var field in record.player)
+      {
+        player[field] = record.player[field];
+      }
+    }
+
+  //    Apply a room's {round_in_progress, round_results} from another instance.
+  function applyRound(room, record)
+    {
+      if (record == null)
+        return;
+      round_in_progress[room] = record.round_in_progress;
+      round_results[room] = record.round_results;
+    }
+
+  //    Upon an event from another instance, apply it (a state change) or pass it on (a pubsub message).
+    //  One that isn't a JSON object is logged and skipped.
+  function onEvent(message)
+    {
+      var event;
+      try
+      {
+        event = JSON.parse(message);
+      }
+      catch (err)
+      {
+        event = null;
+      }
+      if ((typeof(event) != 'object') || (event == null))
+      {
+        log.warn('Skipped a malformed event -- ' + String(message).slice(0, 80), { event: 'store_bad_event' });
+        return;
+      }
+      if (event.origin == instanceId)
+        return;
+
+      if (event.topic != null)
+      {
+        if (topics[event.topic])
+          topics[event.topic](event.body);
+      }
+      else if (event.kind == 'players')
+        applyPlayer(event.id, event.value);
+      else if (event.kind == 'rounds')
+        applyRound(parseInt(event.id), event.value);
+      else if (event.kind == 'room_counts')
+        roomCount[event.id] = (roomCount[event.id] || 0) + event.delta;
+      else if (event.kind == 'spectator_counts')
+        spectatorCount[event.id] = (spectatorCount[event.id] || 0) + event.delta;
+      else if (kinds[event.kind])
+        kinds[event.kind](event.id, event.value);
+    }
+
+  //    Load one hash from the backend, calling apply(field, value) for each of its fields.
+  function loadHash(kind, apply, callback)
+    {
+      backend.hgetall(KEY_PREFIX + kind, function(err, hash)
+        {
+          if (err)
+            return callback(err);
+          for (var field in hash)
+          {
+            apply(field, hash[field]);
+          }
+          log.info('Loaded ' + Object.keys(hash).length + ' ' + kind + ' from ' + backend.name, { event: 'store_loaded' });
+          callback(null);
+        });
+    }
+
+  backend.subscribe(EVENTS_CHANNEL, onEvent);
+
+  return  {
+
+    //    This instance's id: unique to this process.
+    instanceId: instanceId,
+
+    //    Load every kind of shared state from the backend into our own copy, then callback(err).
+      //  Registered kinds (e.g. private rooms) first, as players and counts may refer to their rooms.
+    load: function load(callback)
+      {
+        var loads = [];
+        for (var kind in kinds)
+        {
+          loads.push( { kind: kind, apply: (function(kind) { return function(id, value) { kinds[kind](id, JSON.parse(value)); }; })(kind) } );
+        }
+        loads.push( { kind: 'players', apply: function(id, value) { applyPlayer(id, JSON.parse(value)); } } );
+        loads.push( { kind: 'rounds', apply: function(id, value) { applyRound(parseInt(id), JSON.parse(value)); } } );
+        loads.push( { kind: 'room_counts', apply: function(id, value) { roomCount[id] = parseInt(value); } } );
+        loads.push( { kind: 'spectator_counts', apply: function(id, value) { spectatorCount[id] = parseInt(value); } } );
+
+        (function next(index)
+          {
+            if (index == loads.length)
+              return callback(null);
+            loadHash(loads[index].kind, loads[index].apply, function(err)
+              {
+                if (err)
+                  return callback(err);
+                next(index + 1);
+              });
+          })(0);
+      },
+
+    //    Write all_players_list[sessionID] through to the backend and the other instances.
+      //  A null entry removes the player.  A new player is owned by this instance.
+    savePlayer: function savePlayer(sessionID)
+      {
+        var player = all_players_list[sessionID];
+        if (player == null)
+        {
+          delete owners[sessionID];
+          write('players', sessionID, null);
+          return;
+        }
+        owners[sessionID] = owners[sessionID] || instanceId;
+        write('players', sessionID, { owner: owners[sessionID], player: player });
+      },
+
+    //    roomCount[room] += delta, here and on every other instance.
+    addRoomCount: function addRoomCount(room, delta)
+      {
+        addCount('room_counts', roomCount, room, delta);
+      },
+
+    //    spectatorCount[room] += delta, here and on every other instance.
+    addSpectatorCount: function addSpectatorCount(room, delta)
+      {
+        addCount('spectator_counts', spectatorCount, room, delta);
+      },
+
+    //    Write round_in_progress[room] and round_results[room] through to the backend and the other instances.
+    saveRound: function saveRound(room)
+      {
+        write('rounds', room, { round_in_progress: round_in_progress[room], round_results: round_results[room] });
+      },
+
+    //    Upon removal of a (private) room, drop its counts and round from the backend.
+      //  Each instance drops its own copy when told the room is gone (see privaterooms.js).
+    forgetRoom: function forgetRoom(room)
+      {
+        backend.hdel(KEY_PREFIX + 'room_counts', room, afterWrite('room_counts ' + room));
+        backend.hdel(KEY_PREFIX + 'spectator_counts', room, afterWrite('spectator_counts ' + room));
+        backend.hdel(KEY_PREFIX + 'rounds', room, afterWrite('rounds ' + room));
+      },
+
+    //    Register a kind of shared state: apply(id, value) is called for each record
+      //  loaded at startup, and for each change another instance makes (value null: removed).
+    share: function share(kind, apply)
+      {
+        kinds[kind] = apply;
+      },
+
+    //    Write one record of a registered kind through to the backend and the other instances.
+    put: function put(kind, id, value)
+      {
+        write(kind, id, value);
+      },
+
+    //    Remove one record of a registered kind, from the backend and the other instances.
+    remove: function remove(kind, id)
+      {
+        write(kind, id, null);
+      },
+
+    //    The next number in the named sequence, shared by every instance: callback(err, n), n from 1.
+    nextId: function nextId(name, callback)
+      {
+        backend.incr(KEY_PREFIX + 'ids:' + name, callback);
+      },
+
+    //    Send a pubsub.js message on topic to every other instance.
+    publish: function publish(topic, body)
+      {
+        announce( { topic: topic, body: body } );
+      },
+
+    //    Call handler(body) for each message on topic from another instance.
+    subscribe: function subscribe(topic, handler)
+      {
+        topics[topic] = handler;
+      },
+
+    //    Take or renew this instance's lease on name for msecs: callback(err, holder).
+    acquireLease: function acquireLease(name, msecs, callback)
+      {
+        backend.acquireLease(KEY_PREFIX + 'leases:' + name, instanceId, msecs, callback);
+      },
+
+    //    Who holds the lease on name: callback(err, holder), holder null if no one.
+    leaseHolder: function leaseHolder(name, callback)
+      {
+        backend.leaseHolder(KEY_PREFIX + 'leases:' + name, callback);
+      },
+
+    //    Per sessionID, the instance that owns its player.
+    owners: function getOwners()
+      {
+        return owners;
+      },
+
+    //    The backend's whole state, to restore() after a restart; or null if it outlives us anyway (redis).
+    dump: function dump()
+      {
+        return backend.dump ? backend.dump() : null;
+      },
+
+    //    Before load(), put back the state of a dump(), keeping only the players and rounds of the rooms
+      //  for which keepRoom(room) is true.  Every player kept is now ours, so that election.js doesn't
+      //  take it for one of a lost instance's.  Room counts are counted afresh from the players kept;
+      //  spectators don't outlive their sockets, so their counts start again from 0.
+    restore: function restore(saved, keepRoom)
+      {
+        var players = saved.hashes[KEY_PREFIX + 'players'] || {};
+        var rounds = saved.hashes[KEY_PREFIX + 'rounds'] || {};
+        var roomCounts = {};
+        for (var sessionID in players)
+        {
+          var record = JSON.parse(players[sessionID]);
+          if (!keepRoom(record.player.room))
+          {
+            delete players[sessionID];
+            continue;
+          }
+          record.owner = instanceId;
+          players[sessionID] = JSON.stringify(record);
+          roomCounts[record.player.room] = String((parseInt(roomCounts[record.player.room]) || 0) + 1);
+        }
+        for (var room in rounds)
+        {
+          if (!keepRoom(parseInt(room)))
+            delete rounds[room];
+        }
+        saved.hashes[KEY_PREFIX + 'players'] = players;
+        saved.hashes[KEY_PREFIX + 'rounds'] = rounds;
+        saved.hashes[KEY_PREFIX + 'room_counts'] = roomCounts;
+        delete saved.hashes[KEY_PREFIX + 'spectator_counts'];
+        backend.restore(saved);
+      },
+
+    //    Backend & instance, for the admin API.
+    getStatus: function getStatus()
+      {
+        return { backend: backend.name, instance_id: instanceId, write_failures: writeFailures };
+      }
+  };
+}
@@ -0,0 +1,235 @@
+//    SonicFlux Node.js server - teams.js
+    //
+    //  This module implements team play within a room: players who join a
+    //  team compete as one, with team standings on the scoreboard and a
+    //  winning team at round end -- e.g. for a classroom split into groups.
+    //
+
+  //  ABOUT SONICFLUX: TEAMS
+  //
+  //    Joining a team
+    //
+    //  A client joins a team by putting 'team' (a name of its choosing, up
+    //  to TEAM_NAME_MAX_LENGTH characters) or 'team_code' (letters and
+    //  digits, up to TEAM_CODE_MAX_LENGTH, such as a teacher might write on
+    //  the board) in the profile of 'client_ready' or 'change_room'.  Both
+    //  simply name the team: names are matched case-insensitively, taking
+    //  the spelling of the room's first player to give it, and codes are
+    //  shown in capitals.  Anything else, or both at once, gets the
+    //  route's error msg with reason 'invalid_team'.  A player's team
+    //  belongs to its room: changing rooms leaves it, unless the
+    //  'change_room' profile names one there too.
+    //
+    //  A room has teams as soon as one of its players has one; otherwise it
+    //  plays exactly as before.  Either way, the player entries of the
+    //  scoreboard msgs -- 'play_timer_update', 'room_round_results',
+    //  'gamers_already_in_room' and 'gamer_entered_room' -- carry each
+    //  player's team (null for none).
+    //
+  //    Standings
+    //
+    //  Teams span the room's shards.  In a room with teams, each
+    //  'play_timer_update' (in either format; see scoreboards.js) also
+    //  carries the whole room's standings:
+    //
+    //    teams: [{rank, team, players, points}]
+    //
+    //  A team's points are the sum of its players' points, or their average
+    //  (to one decimal), per TEAM_SCORING (see config.js).  Teams with equal
+    //  points share a rank.  Players without a team count for none.
+    //
+    //  At round end, 'level_round_results' -- sent to the whole room just
+    //  after each shard's 'room_round_results' -- adds the final standings
+    //  and the winner:
+    //
+    //    { ..., teams: [{rank, team, players, points}], winning_team }
+    //
+    //  winning_team is null if teams tie for first.  'room_round_results'
+    //  itself stays a bare list, as existing clients expect.  Rounds stored
+    //  in the history (and sent to the webhook) keep each player's team.
+    //
+  //    Auto-balancing
+    //
+    //  Each Lobby second, in a room with two or more teams, players without
+    //  a team are spread among them, each to whichever team then has the
+    //  fewest players (on a tie, the fewest points, then the first by
+    //  name).  The room is BROADCAST 'teams_balanced' {room, assigned:
+    //  [{player_tag, team}]}.  A room with one team is left as it is, as is
+    //  a player who joins mid-round: it plays that round for itself.  As
+    //  with shards (see shards.js), this is the timer leader's job.
+    //
+
+var log = require('./log.js')('teams');
+
+module.exports = function Teams(app, store, pubsub)
+{
+  //  Module-wide constants
+    var TEAM_NAME_MAX_LENGTH = 24;
+    var TEAM_CODE_MAX_LENGTH = 8;
+
+
+//  Worker functions
+
+  //    The room's team standings, from these {team, points} entries: [{rank, team, players, points}], or null if nobody has a team.
+  function standingsOf(entries)
+    {
+      var byTeam = {};
+      var teams = [];
+      for (var index = 0; index < entries.length; index++)
+      {
+        var team = entries[index].team;
+        if (team == null)
+          continue;
+
+        var key = ':' + team;             //  (so that no name clashes with an Object property)
+        if (!byTeam[key])
+        {
+          byTeam[key] = { team: team, players: 0, total: 0 };
+          teams.push(byTeam[key]);
+        }
+        byTeam[key].players++;
+        byTeam[key].total += entries[index].points;
+      }
+      if (!teams.length)
+        return null;
+
+      var standings = [];
+      for (var index = 0; index < teams.length; index++)
+      {
+        var points = (TEAM_SCORING == 'average') ? Math.round(teams[index].total * 10 / teams[index].players) / 10 : teams[index].total;
+        standings.push( { rank: 0, team: teams[index].team, players: teams[index].players, points: points } );
+      }
+      standings.sort( function(a,b) { return (b.points - a.points) || ((a.team < b.team) ? -1 : (a.team > b.team) ? 1 : 0); });
+      for (var index = 0; index < standings.length; index++)
+      {
+        standings[index].rank = ((index > 0) && (standings[index].points == standings[index - 1].points)) ? standings[index - 1].rank : index + 1;
+      }
+      return standings;
+    }
+
+  //    Each seated player in the room, as {sessionID, player}.
+  function playersIn(room)
+    {
+      var players = [];
+      for (var sessionID in all_players_list)
+      {
+        if (all_players_list[sessionID] && (all_players_list[sessionID].room == room))
+          players.push( { sessionID: sessionID, player: all_players_list[sessionID] } );
+      }
+      return players;
+    }
+
+  //    The spelling of this team name already in use in the room, if any (names match case-insensitively).
+  function spellingIn(room, name)
+    {
+      var players = playersIn(room);
+      for (var index = 0; index < players.length; index++)
+      {
+        var team = players[index].player.team;
+        if ((team != null) && (team.toLowerCase() == name.toLowerCase()))
+          return team;
+      }
+      return name;
+    }
+
+  //    An 'invalid_team' refusal.
+  function invalidTeam(errorStr, userInput)
+    {
+      return { error_str: errorStr, reason: 'invalid_team', user_input: (userInput == null) ? '' : userInput };
+    }
+
+  return  {
+
+    //    Upon 'client_ready' or 'change_room' into room: the team the profile names, as {team} (null: none).
+      //  Returns an {error_str, reason, user_input} instead if it names one badly.
+    choose: function choose(room, profile)
+      {
+        var name = profile.team;
+        var code = profile.team_code;
+        if ((name != null) && (code != null))
+          return invalidTeam("Give a team or a team_code, not both", name);
+
+        if (name != null)
+        {
+          if (typeof(name) != 'string')
+            return invalidTeam("Team must be a string", '');
+          name = name.trim().replace(/\s+/g, ' ');
+          if (!name.length || (name.length > TEAM_NAME_MAX_LENGTH))
+            return invalidTeam("Team must be 1 to " + TEAM_NAME_MAX_LENGTH + " characters", profile.team);
+          return { team: spellingIn(room, name) };
+        }
+        if (code != null)
+        {
+          if ((typeof(code) != 'string') || !new RegExp('^[A-Za-z0-9]{1,' + TEAM_CODE_MAX_LENGTH + '}$').test(code.trim()))
+            return invalidTeam("Team code must be 1 to " + TEAM_CODE_MAX_LENGTH + " letters and digits", (typeof(code) == 'string') ? code : '');
+          return { team: spellingIn(room, code.trim().toUpperCase()) };
+        }
+        return { team: null };
+      },
+
+    //    The room's live team standings, from its players' points: [{rank, team, players, points}], or null if it has no teams.
+    standings: function standings(room)
+      {
+        var entries = [];
+        var players = playersIn(room);
+        for (var index = 0; index < players.length; index++)
+        {
+          entries.push( { team: players[index].player.team, points: players[index].player.points } );
+        }
+        return standingsOf(entries);
+      },
+
+    //    The room's final team standings and winner, from its round_results: {teams, winning_team}, or null if it had no teams.
+    results: function results(room)
+      {
+        var teams = standingsOf(round_results[room]);
+        if (!teams)
+          return null;
+
+        var tied = (teams.length > 1) && (teams[1].rank == 1);
+        return { teams: teams, winning_team: tied ? null : teams[0].team };
+      },
+
+    //    Each (leader) Lobby second: in a room with two or more teams, spread its team-less players among them.
+    balance: function balance(room)
+      {
+        var players = playersIn(room);
+        var byTeam = {};
+        var teams = [];
+        var teamless = [];
+        for (var index = 0; index < players.length; index++)
+        {
+          var player = players[index].player;
+          if (player.team == null)
+          {
+            teamless.push(players[index]);
+            continue;
+          }
+          var key = ':' + player.team;
+          if (!byTeam[key])
+          {
+            byTeam[key] = { team: player.team, players: 0, points: 0 };
+            teams.push(byTeam[key]);
+          }
+          byTeam[key].players++;
+          byTeam[key].points += player.points;
+        }
+        if ((teams.length < 2) || !teamless.length)
+          return;
+
+        var assigned = [];
+        for (var index = 0; index < teamless.length; index++)
+        {
+          teams.sort( function(a,b) { return (a.players - b.players) || (a.points - b.points) || ((a.team < b.team) ? -1 : 1); });
+          var player = teamless[index].player;
+          player.team = teams[0].team;
+          teams[0].players++;
+          teams[0].points += player.points;
+          store.savePlayer(teamless[index].sessionID);
+          assigned.push( { player_tag: player.player_tag, team: player.team } );
+        }
+        pubsub.broadcast(room, 'teams_balanced', { room: room, assigned: assigned });
+        log.info('Spread ' + assigned.length + ' players among ' + teams.length + ' teams', { event: 'teams_balanced', room: room });
+      }
+  };
+}
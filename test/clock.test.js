@@ -0,0 +1,170 @@
+//    SonicFlux Node.js server - test/clock.test.js
+    //
+    //  Runs clock.js in simulation mode at speed-up 0, where virtual time
+    //  moves only upon advance(): its timers firing in order of due time,
+    //  advance() running every one due in its span -- and then timer.js on
+    //  such a clock, through a round's play, its lobby (re-synced to the
+    //  room's cadence by adjustLobbySecs), its results and the next round.
+    //
+
+var test = require('node:test');
+var assert = require('assert');
+
+global.LOG_LEVEL = 'error';
+global.LOG_MODULE_LEVELS = {};
+global.CLOCK_MODE = 'simulation';
+global.SIMULATION_SPEEDUP = 0;
+var Clock = require('../clock.js');
+var Metrics = require('../metrics.js');
+var Calibration = require('../calibration.js');
+var Timer = require('../timer.js');
+
+var ROOM = 0;
+
+
+//  Helpers
+
+  //    Set up a single room, ROOM, with a 10-sec cycle (6 of play, 4 of lobby) and one player in it.
+    //  The settings and game state are those app.js and config.js would set as globals.
+  function setUpRoom()
+    {
+      MIN_ROOM_NUM = ROOM;
+      NUM_ROOMS = 1;
+      SECS_MAX_SKIP_FWD = 9;
+      SCORE_REJECTIONS_TO_FLAG = 3;
+      TIMER_CALIBRATION = 'pi';           //  Aims each tick at x.000, which a virtual clock always hits
+
+      ROOM_SCHEDULES = [ { secs_in_lobby: 4, secs_in_complete_cycle: 10 } ];
+      active_rooms = [ROOM];
+      room_levels = [ROOM];
+      round_in_progress = [false];
+      round_results = [[]];
+      roomCount = [1];
+      spectatorCount = [0];
+      all_players_list = { session1: { player_tag: 'Ada', user_id: null, points: 0, room: ROOM, shard: 'a', rejected_scores: 0 } };
+    }
+
+  //    A timer.js on clock, with stand-ins for the modules it reports to.
+    //  Returns {timer, sent, rounds}: every BROADCAST as {event, data, at} (msecs of
+    //  virtual time since the clock started), and every round recorded in history.
+  function timerOn(clock)
+    {
+      var sent = [];
+      var rounds = [];
+      var startedAt = clock.now();
+      function none() {}
+
+      var history = { recordRound: function(room, startTime, endTime, results)
+                        {
+                          var round = { room: room, start_time: startTime - startedAt, end_time: endTime - startedAt, results: results.slice() };
+                          rounds.push(round);
+                          return round;
+                        },
+                      addRound: none };
+      var questions = { questionDue: function() { return null; }, endRound: none };
+      var webhook = { deliver: none };
+      var leaderboard = { recordRound: none, topVersion: function() { return 0; }, getTops: function() { return {}; } };
+      var privateRooms = { onRoomAdded: none, collectEmpty: function() { return []; } };
+      var shards = { names: function() { return ['a']; }, channel: function(room, shard) { return room + '-' + shard; },
+                     resultsFor: function(room) { return round_results[room]; }, combinedResults: function() { return {}; },
+                     rebalance: none, sweepSpectators: none };
+      var scoreboards = { broadcast: none, endRound: none, forgetRoom: none };
+      var store = { saveRound: none, savePlayer: none };
+      var pubsub = { broadcast: function(room, event, data) { sent.push( { event: event, data: data, at: clock.now() - startedAt } ); },
+                     tellPeers: none, handle: none };
+      var config = { scheduleFor: function(level) { return ROOM_SCHEDULES[level]; } };
+      var teams = { standings: function() { return null; }, balance: none };
+      var metrics = Metrics(null);
+
+      var timer = Timer(null, history, questions, webhook, leaderboard, privateRooms, shards, scoreboards, store, pubsub,
+                        config, metrics, Calibration(null, metrics, clock), clock, teams);
+      return { timer: timer, sent: sent, rounds: rounds };
+    }
+
+  //    The BROADCASTs of these events, as [event, at] (or [event, at, data] if withData).
+  function sentOf(sent, events, withData)
+    {
+      return sent.filter(function(each) { return events.indexOf(each.event) != -1; })
+                 .map(function(each) { return withData ? [each.event, each.at, each.data] : [each.event, each.at]; });
+    }
+
+
+//  Tests
+
+test('virtual timers fire in order of due time, then of setting, with time standing still while each runs', function()
+  {
+    var clock = Clock(null);
+    var start = clock.now();
+    var fired = [];
+    function note(name) { fired.push( [name, clock.now() - start] ); }
+
+    clock.setTimeout(note, 300, 'c');
+    clock.setTimeout(note, 100, 'a1');
+    clock.setTimeout(note, 200, 'b');
+    clock.setTimeout(note, 100, 'a2');
+    var cancelled = clock.setTimeout(note, 150, 'cancelled');
+    clock.clearTimeout(cancelled);
+    assert.strictEqual(clock.now(), start);           //  Speed-up 0: time moves only when told to
+
+    clock.advance(1);
+    assert.deepStrictEqual(fired, [ ['a1', 100], ['a2', 100], ['b', 200], ['c', 300] ]);
+  });
+
+test('advance(secs) runs every timer due in its span, and leaves the rest', function()
+  {
+    var clock = Clock(null);
+    var start = clock.now();
+    var ticks = [];
+    var handle = clock.setInterval(function() { ticks.push(clock.now() - start); }, 1000);
+    clock.setTimeout(function() { ticks.push('later ' + (clock.now() - start)); }, 5000);
+
+    var status = clock.advance(3.5);
+    assert.deepStrictEqual(ticks, [1000, 2000, 3000]);
+    assert.strictEqual(status.now, start + 3500);
+    assert.strictEqual(status.timers, 2);
+
+    clock.advance(0.5);                                 //  A timer due at the very end of the span runs
+    assert.deepStrictEqual(ticks, [1000, 2000, 3000, 4000]);
+
+    clock.clearInterval(handle);
+    clock.advance(10);
+    assert.deepStrictEqual(ticks, [1000, 2000, 3000, 4000, 'later 5000']);
+    assert.strictEqual(clock.now(), start + 14000);
+
+    assert.ok(clock.advance(0).error_str);
+    assert.ok(clock.advance('5').error_str);
+  });
+
+test('a round plays, its lobby re-syncs to the cadence, and its results go out, on virtual time', function()
+  {
+    setUpRoom();
+    var clock = Clock(null);
+    var started = timerOn(clock);
+    var timer = started.timer, sent = started.sent;
+
+    timer.start();
+    clock.advance(2.5);                                 //  Ticks at 0 (round_started), 1 and 2 secs
+    assert.deepStrictEqual(timer.getRoomStatus(ROOM), { room: ROOM, difficulty_level: ROOM, phase: 'play', paused: false,
+                                                        secs_remaining: 3, secs_in_lobby: 4, secs_in_complete_cycle: 10 });
+    all_players_list.session1.points = 40;
+
+    timer.pause(ROOM);                                  //  Fall 2 secs behind the room's cadence
+    clock.advance(2);
+    timer.resume(ROOM);
+    clock.advance(8);                                   //  Through 12.5 secs
+
+    assert.deepStrictEqual(sentOf(sent, ['round_started', 'round_ended', 'room_round_results']),
+                           [ ['round_started', 0], ['round_ended', 8000], ['room_round_results', 8000], ['round_started', 10000] ]);
+    assert.deepStrictEqual(sentOf(sent, ['lobby_timer_update'], true),
+                           [ ['lobby_timer_update', 8000, 4], ['lobby_timer_update', 9000, 1], ['lobby_timer_update', 10000, 0] ]);
+
+    var results = sentOf(sent, ['room_round_results'], true)[0][2];
+    assert.deepStrictEqual(results, [ { player_tag: 'Ada', user_id: null, points: 40, flagged: false, shard: 'a', team: null } ]);
+    assert.strictEqual(started.rounds.length, 1);
+    assert.strictEqual(started.rounds[0].start_time, 0);
+    assert.strictEqual(started.rounds[0].end_time, 8000);
+
+    assert.strictEqual(timer.getRoomStatus(ROOM).phase, 'play');
+    assert.strictEqual(all_players_list.session1.points, 0);
+    timer.stop();
+  });
@@ -0,0 +1,109 @@
+//    SonicFlux Node.js server - test/identity.test.js
+    //
+    //  Runs identity.js over tokens good and bad, in both formats: one
+    //  for each reason code verify() can refuse a token with.
+    //
+
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+
+global.IDENTITY_SECRET = 'test-identity-secret';
+var identity = require('../identity.js')(null);
+
+var CLAIMS = { sub: 42, player_tag: 'Ada', levels: [0, 1] };
+
+
+//  Helpers
+
+  //    base64url of a Buffer or string.
+  function base64Url(data)
+    {
+      return Buffer.from(data).toString('base64')
+                   .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+  //    HMAC-SHA256 of text as base64url, keyed with secret (IDENTITY_SECRET if none).
+  function sign(text, secret)
+    {
+      return base64Url(crypto.createHmac('sha256', secret || IDENTITY_SECRET).update(text).digest());
+    }
+
+  //    CLAIMS with these changes, expiring in an hour unless they say otherwise.
+  function claimsWith(changes)
+    {
+      var claims = { exp: Math.floor(Date.now() / 1000) + 3600 };
+      for (var key in CLAIMS)
+        claims[key] = CLAIMS[key];
+      for (var key in changes)
+        claims[key] = changes[key];
+      return claims;
+    }
+
+  //    A JWT of these claims, with this header (HS256 if none), signed with secret.
+  function jwt(claims, header, secret)
+    {
+      var signedText = base64Url(JSON.stringify(header || { alg: 'HS256', typ: 'JWT' })) + '.' + base64Url(JSON.stringify(claims));
+      return signedText + '.' + sign(signedText, secret);
+    }
+
+  //    An HMAC token of these claims, signed with secret.
+  function hmacToken(claims, secret)
+    {
+      var claimsText = base64Url(JSON.stringify(claims));
+      return claimsText + '.' + sign(claimsText, secret);
+    }
+
+
+//  Tests
+
+test('a good token of either format yields its claims', function()
+  {
+    var expected = { user_id: '42', player_tag: 'Ada', allowed_levels: [0, 1] };
+    assert.deepStrictEqual(identity.verify(jwt(claimsWith({}))), expected);
+    assert.deepStrictEqual(identity.verify(hmacToken(claimsWith({}))), expected);
+  });
+
+test('a token signed with another secret, or altered since, is bad_signature', function()
+  {
+    assert.deepStrictEqual(identity.verify(jwt(claimsWith({}), null, 'other-secret')), { reason: 'bad_signature' });
+    assert.deepStrictEqual(identity.verify(hmacToken(claimsWith({}), 'other-secret')), { reason: 'bad_signature' });
+
+    var parts = hmacToken(claimsWith({})).split('.');
+    var altered = base64Url(JSON.stringify(claimsWith({ player_tag: 'Eve' })));
+    assert.deepStrictEqual(identity.verify(altered + '.' + parts[1]), { reason: 'bad_signature' });
+    assert.deepStrictEqual(identity.verify(parts[0] + '.' + parts[1].slice(0, -1)), { reason: 'bad_signature' });
+  });
+
+test('a token whose exp has passed is token_expired', function()
+  {
+    var claims = claimsWith({ exp: Math.floor(Date.now() / 1000) - 1 });
+    assert.deepStrictEqual(identity.verify(jwt(claims)), { reason: 'token_expired' });
+    assert.deepStrictEqual(identity.verify(hmacToken(claims)), { reason: 'token_expired' });
+  });
+
+test('a token without a numeric exp never passes as unexpiring', function()
+  {
+    var bad = [undefined, null, 'abc', '9999999999', NaN, Infinity, [1]];
+    for (var index = 0; index < bad.length; index++)
+    {
+      var claims = claimsWith({ exp: bad[index] });
+      assert.deepStrictEqual(identity.verify(hmacToken(claims)), { reason: 'missing_claims' }, 'accepted exp ' + String(bad[index]));
+    }
+  });
+
+test('a JWT whose alg is not HS256 is unsupported_alg', function()
+  {
+    assert.deepStrictEqual(identity.verify(jwt(claimsWith({}), { alg: 'none' })), { reason: 'unsupported_alg' });
+    assert.deepStrictEqual(identity.verify(jwt(claimsWith({}), { alg: 'HS512' })), { reason: 'unsupported_alg' });
+  });
+
+test('a token that is not two or three parts of JSON is malformed_token', function()
+  {
+    var bad = ['', 'abc', 'a.b.c.d', base64Url('not json') + '.' + sign(base64Url('not json')),
+               base64Url('"a string"') + '.' + sign(base64Url('"a string"')), 'x.' + hmacToken(claimsWith({}))];
+    for (var index = 0; index < bad.length; index++)
+    {
+      assert.deepStrictEqual(identity.verify(bad[index]), { reason: 'malformed_token' }, 'accepted ' + JSON.stringify(bad[index]));
+    }
+  });
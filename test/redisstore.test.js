@@ -0,0 +1,241 @@
+//    SonicFlux Node.js server - test/redisstore.test.js
+    //
+    //  Runs redisstore.js against a stub Redis server (see
+    //  support/stubredis.js): replies split across reads and several in one
+    //  read, an unreadable reply, reconnecting and resubscribing, and the
+    //  timer lease passing to another instance -- first between two
+    //  stores, then between two SonicNode processes -- once its leader
+    //  stops renewing it.
+    //
+
+var test = require('node:test');
+var assert = require('assert');
+var path = require('path');
+var childProcess = require('child_process');
+var StubRedis = require('./support/stubredis.js');
+
+global.LOG_LEVEL = 'error';
+global.LOG_MODULE_LEVELS = {};
+var RedisStore = require('../redisstore.js');
+
+var APP_DIR = path.join(__dirname, '..');
+
+
+//  Helpers
+
+  //    Start a stub server, and a store against it: a promise of {stub, port, store, connect()}.
+    //  Once test t is over, the stub stops, and every store from connect() closes.
+  function startWithStore(t)
+    {
+      var stub = StubRedis();
+      var stores = [];
+      t.after(function()
+        {
+          for (var index = 0; index < stores.length; index++)
+          {
+            stores[index].close();
+          }
+          return new Promise(function(resolve) { stub.stop(resolve); });
+        });
+
+      return new Promise(function(resolve)
+        {
+          stub.start(function(port)
+            {
+              var started = { stub: stub, port: port, connect: function connect()
+                {
+                  var store = RedisStore(null, 'redis://127.0.0.1:' + port);
+                  stores.push(store);
+                  return store;
+                } };
+              started.store = started.connect();
+              resolve(started);
+            });
+        });
+    }
+
+  //    Call the store method with args, as a promise of its reply.
+  function call(store, method)
+    {
+      var args = Array.prototype.slice.call(arguments, 2);
+      return new Promise(function(resolve, reject)
+        {
+          store[method].apply(store, args.concat(function(err, value) { err ? reject(err) : resolve(value); }));
+        });
+    }
+
+  //    A promise resolved after msecs.
+  function delay(msecs)
+    {
+      return new Promise(function(resolve) { setTimeout(resolve, msecs); });
+    }
+
+  //    Poll check() every 50 msecs until it returns true, failing after msecs.
+  async function waitFor(what, check, msecs)
+    {
+      var deadline = new Date().getTime() + msecs;
+      while (!check())
+      {
+        if (new Date().getTime() > deadline)
+          assert.fail('Timed out waiting for ' + what);
+        await delay(50);
+      }
+    }
+
+  //    Wait until the store's commands get through again, after a dropped connection.
+  async function reconnected(store)
+    {
+      for (var attempt = 0; attempt < 100; attempt++)
+      {
+        try
+        {
+          return await call(store, 'incr', 'probe');
+        }
+        catch (err)
+        {
+          await delay(50);
+        }
+      }
+      assert.fail('Timed out waiting to reconnect');
+    }
+
+
+//  Tests
+
+test('replies split across reads parse whole', async function(t)
+  {
+    var started = await startWithStore(t);
+    var stub = started.stub, store = started.store;
+    var awkward = 'line one\r\nline two, naïve café ✓';
+    await call(store, 'hset', 'hash', 'field', awkward);
+    await call(store, 'hset', 'hash', 'other', '');
+
+    stub.splitReplies(true);
+    assert.deepStrictEqual(await call(store, 'hgetall', 'hash'), { field: awkward, other: '' });
+    assert.strictEqual(await call(store, 'hincrby', 'counts', 'room', 12), 12);
+    assert.strictEqual(await call(store, 'incr', 'ids'), 1);
+    assert.strictEqual(await call(store, 'leaseHolder', 'nobody'), null);
+
+  });
+
+test('several replies in one read go to their own commands, in order', async function(t)
+  {
+    var started = await startWithStore(t);
+    var stub = started.stub, store = started.store;
+    await call(store, 'hset', 'hash', 'a', '1');
+
+    stub.hold();
+    var replies = Promise.all( [ call(store, 'incr', 'ids'), call(store, 'hgetall', 'hash'), call(store, 'leaseHolder', 'nobody'),
+                                 call(store, 'incr', 'ids'), call(store, 'hincrby', 'counts', 'room', -3) ] );
+    await waitFor('the commands to arrive', function() { return stub.commandsNamed('HINCRBY').length == 1; }, 2000);
+    stub.release();
+
+    assert.deepStrictEqual(await replies, [1, { a: '1' }, null, 2, -3]);
+  });
+
+test('an unreadable reply drops the connection, which reconnects', async function(t)
+  {
+    var started = await startWithStore(t);
+    var stub = started.stub, store = started.store;
+    assert.strictEqual(await call(store, 'incr', 'ids'), 1);
+
+    stub.garbleNextReply();
+    await assert.rejects(call(store, 'incr', 'ids'), /closed/);
+
+    await reconnected(store);
+    assert.strictEqual(await call(store, 'incr', 'ids'), 3);
+  });
+
+test('a dropped connection reconnects, and resubscribes', async function(t)
+  {
+    var started = await startWithStore(t);
+    var stub = started.stub, store = started.store;
+    var publisher = started.connect();
+    var received = [];
+    store.subscribe('events', function(message) { received.push(message); });
+    await waitFor('the first SUBSCRIBE', function() { return stub.commandsNamed('SUBSCRIBE').length == 1; }, 2000);
+
+    publisher.publish('events', 'before');
+    await waitFor('the message before the drop', function() { return received.length == 1; }, 2000);
+
+    stub.dropConnections();
+    await assert.rejects(call(store, 'incr', 'ids'), /Not connected|closed/);
+
+    await waitFor('the SUBSCRIBE again', function() { return stub.commandsNamed('SUBSCRIBE').length == 2; }, 5000);
+    await reconnected(publisher);
+    publisher.publish('events', 'after');
+    await waitFor('the message after the drop', function() { return received.length == 2; }, 5000);
+    assert.deepStrictEqual(received, ['before', 'after']);
+
+  });
+
+test('a lease nobody renews passes to the next taker', async function(t)
+  {
+    var started = await startWithStore(t);
+    var stub = started.stub, first = started.store;
+    var second = started.connect();
+
+    assert.strictEqual(await call(first, 'acquireLease', 'leases:timer', 'a', 300), 'a');
+    assert.strictEqual(await call(second, 'acquireLease', 'leases:timer', 'b', 300), 'a');
+    assert.strictEqual(await call(first, 'acquireLease', 'leases:timer', 'a', 300), 'a');     //  renewed
+
+    await delay(400);                 //  a stops renewing
+    assert.strictEqual(await call(second, 'leaseHolder', 'leases:timer'), null);
+    assert.strictEqual(await call(second, 'acquireLease', 'leases:timer', 'b', 300), 'b');
+    assert.strictEqual(await call(first, 'acquireLease', 'leases:timer', 'a', 300), 'b');
+
+  });
+
+test('a leader that dies is replaced once its lease runs out', { timeout: 30000 }, async function()
+  {
+    var stub = StubRedis();
+    var port = await new Promise(function(resolve) { stub.start(resolve); });
+    var instances = [];
+
+    //    Start a SonicNode process on the stub, collecting the events it logs.
+    function startInstance(httpPort)
+      {
+        var env = Object.assign( {}, process.env, { SONICFLUX_STATE_STORE: 'redis', SONICFLUX_REDIS_URL: 'redis://127.0.0.1:' + port,
+                                                    SONICFLUX_LEADER_LEASE_SECS: '2', SONICFLUX_PORT: String(httpPort), SONICFLUX_LOG_LEVEL: 'info' } );
+        var instance = { events: [], child: childProcess.spawn(process.execPath, ['app.js'], { cwd: APP_DIR, env: env, stdio: ['ignore', 'pipe', 'inherit'] }) };
+        var partial = '';
+        instance.child.stdout.on('data', function(data)
+          {
+            var lines = (partial + data).split('\n');
+            partial = lines.pop();
+            for (var index = 0; index < lines.length; index++)
+            {
+              try { instance.events.push(JSON.parse(lines[index]).event); } catch (e) {}
+            }
+          });
+        instance.exited = new Promise(function(resolve) { instance.child.on('exit', resolve); });
+        instances.push(instance);
+        return instance;
+      }
+
+    try
+    {
+      var leader = startInstance(16789);
+      await waitFor('the first instance to lead', function() { return leader.events.indexOf('elected') != -1; }, 10000);
+      var follower = startInstance(16790);
+      await waitFor('the second instance to start', function() { return follower.events.indexOf('config_loaded') != -1; }, 10000);
+      await delay(1000);
+      assert.strictEqual(follower.events.indexOf('elected'), -1);
+
+      leader.child.kill('SIGKILL');       //  stops renewing, without a word
+      await leader.exited;
+      await waitFor('the second instance to take over', function() { return follower.events.indexOf('elected') != -1; }, 5000);
+    }
+    finally
+    {
+      for (var index = 0; index < instances.length; index++)
+      {
+        if (instances[index].child.exitCode == null && instances[index].child.signalCode == null)
+        {
+          instances[index].child.kill('SIGTERM');
+          await instances[index].exited;
+        }
+      }
+      await new Promise(function(resolve) { stub.stop(resolve); });
+    }
+  });
@@ -0,0 +1,65 @@
+//    SonicFlux Node.js server - test/scorecheck.test.js
+    //
+    //  Runs scorecheck.js over totals good and bad: each reason for
+    //  rejecting one, and none of the values that would only pass as points
+    //  once coerced.
+    //
+
+var test = require('node:test');
+var assert = require('assert');
+
+global.MAX_POINTS_PER_SEC = 25;
+global.round_in_progress = [];
+var checkScoreAnomaly = require('../scorecheck.js');
+
+var ROOM = 1;
+var NOW = 1000000;
+
+
+//  Helpers
+
+  //    A player in ROOM with these points, last changed secsAgo secs before NOW.
+  function playerWith(points, secsAgo)
+    {
+      return { player_tag: 'Ada', room: ROOM, diff_lvl: ROOM, points: points, scored_at: NOW - secsAgo * 1000, rejected_scores: 0 };
+    }
+
+
+//  Tests
+
+test('a total that only rises, within the rate, is fine', function()
+  {
+    round_in_progress[ROOM] = true;
+    assert.strictEqual(checkScoreAnomaly(playerWith(0, 1), 0, NOW), null);
+    assert.strictEqual(checkScoreAnomaly(playerWith(0, 1), 25, NOW), null);
+    assert.strictEqual(checkScoreAnomaly(playerWith(10, 4), 110, NOW), null);
+  });
+
+test('any total during Lobby time is rejected', function()
+  {
+    round_in_progress[ROOM] = false;
+    assert.strictEqual(checkScoreAnomaly(playerWith(0, 1), 5, NOW), 'lobby_time');
+  });
+
+test('points must be a non-negative integer number, uncoerced', function()
+  {
+    round_in_progress[ROOM] = true;
+    var bad = ['', '5', '0x10', ' 7 ', true, false, [3], {}, -1, 1.5, NaN, Infinity];
+    for (var index = 0; index < bad.length; index++)
+    {
+      assert.strictEqual(checkScoreAnomaly(playerWith(0, 10), bad[index], NOW), 'invalid_points', 'accepted ' + JSON.stringify(bad[index]));
+    }
+  });
+
+test('a total lower than the last is rejected', function()
+  {
+    round_in_progress[ROOM] = true;
+    assert.strictEqual(checkScoreAnomaly(playerWith(30, 10), 20, NOW), 'score_decreased');
+  });
+
+test('a total that climbs faster than MAX_POINTS_PER_SEC is rejected', function()
+  {
+    round_in_progress[ROOM] = true;
+    assert.strictEqual(checkScoreAnomaly(playerWith(0, 2), 51, NOW), 'rate_exceeded');
+    assert.strictEqual(checkScoreAnomaly(playerWith(0, 0), 26, NOW), 'rate_exceeded');     //  counted over at least a sec
+  });
@@ -0,0 +1,294 @@
+//    SonicFlux Node.js server - test/support/stubredis.js
+    //
+    //  A stub Redis server, for the tests: just the commands redisstore.js
+    //  sends, over the real wire protocol (RESP), kept in memory.  It can
+    //  split its replies into one-byte writes, hold them back and send
+    //  several in one write, or garble one, to put the client's reply
+    //  parsing through its paces; and it can drop every connection, to do
+    //  the same for its reconnecting.
+    //
+
+var net = require('net');
+
+module.exports = function StubRedis()
+{
+  //  Module-wide constants
+    var BYTE_WRITE_MSECS = 1;           //  Between the one-byte writes of a split reply
+
+  //  Module-wide variables
+    var server = net.createServer(onConnection);
+    var sockets = [];
+    var hashes = {};                    //  Per key: {field: value}
+    var strings = {};                   //  Per key: {value, expires_at (msecs, or null)}
+    var commandLog = [];                //  Every command received: {client, args}
+    var nextClient = 1;
+    var splitting = false;              //  Send each reply a byte at a time?
+    var holding = false;                //  Hold replies back until release()?
+    var held = [];                      //  Held replies: {socket, data}
+    var garbling = false;               //  Send the next reply with an unknown RESP type?
+
+
+//  Worker functions
+
+  //    Parse one RESP command (an array of bulk strings) from buffer: {args, end}, or null if it hasn't all arrived yet.
+  function parseCommand(buffer)
+    {
+      var lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd == -1)
+        return null;
+
+      var count = parseInt(buffer.toString('utf8', 1, lineEnd));
+      var next = lineEnd + 2;
+      var args = [];
+      for (var index = 0; index < count; index++)
+      {
+        lineEnd = buffer.indexOf('\r\n', next);
+        if (lineEnd == -1)
+          return null;
+        var length = parseInt(buffer.toString('utf8', next + 1, lineEnd));
+        next = lineEnd + 2;
+        if (buffer.length < next + length + 2)
+          return null;
+        args.push(buffer.toString('utf8', next, next + length));
+        next += length + 2;
+      }
+      return { args: args, end: next };
+    }
+
+  //    A reply in RESP: strings as bulk strings, {status} as a simple string, Errors as errors.
+  function encodeReply(value)
+    {
+      if (value === null)
+        return '$-1\r\n';
+      if (value instanceof Error)
+        return '-' + value.message + '\r\n';
+      if (typeof value == 'number')
+        return ':' + value + '\r\n';
+      if (Array.isArray(value))
+        return '*' + value.length + '\r\n' + value.map(encodeReply).join('');
+      if ((typeof value == 'object') && value.status)
+        return '+' + value.status + '\r\n';
+      return '$' + Buffer.byteLength(value) + '\r\n' + value + '\r\n';
+    }
+
+  //    A string key's value, or null if it is unset or has expired.
+  function getString(key)
+    {
+      var entry = strings[key];
+      if (!entry || ((entry.expires_at != null) && (entry.expires_at <= new Date().getTime())))
+        return null;
+      return entry.value;
+    }
+
+  //    Run one command from socket, returning its reply (or undefined for none).
+  function run(socket, args)
+    {
+      var name = args[0].toUpperCase();
+      var hash;
+      commandLog.push( { client: socket.clientId, args: args } );
+
+      if ((name == 'AUTH') || (name == 'SELECT'))
+        return { status: 'OK' };
+      if (name == 'HSET')
+      {
+        hash = hashes[args[1]] = hashes[args[1]] || {};
+        var added = (hash[args[2]] == null) ? 1 : 0;
+        hash[args[2]] = args[3];
+        return added;
+      }
+      if (name == 'HDEL')
+      {
+        hash = hashes[args[1]] || {};
+        var removed = (hash[args[2]] != null) ? 1 : 0;
+        delete hash[args[2]];
+        return removed;
+      }
+      if (name == 'HGETALL')
+      {
+        hash = hashes[args[1]] || {};
+        var list = [];
+        for (var field in hash)
+        {
+          list.push(field, hash[field]);
+        }
+        return list;
+      }
+      if (name == 'HINCRBY')
+      {
+        hash = hashes[args[1]] = hashes[args[1]] || {};
+        hash[args[2]] = String(parseInt(hash[args[2]] || '0') + parseInt(args[3]));
+        return parseInt(hash[args[2]]);
+      }
+      if (name == 'INCR')
+      {
+        var value = parseInt(getString(args[1]) || '0') + 1;
+        strings[args[1]] = { value: String(value), expires_at: null };
+        return value;
+      }
+      if (name == 'GET')
+        return getString(args[1]);
+      if (name == 'EVAL')                 //  Only redisstore.js's lease script: EVAL script 1 key holder msecs
+      {
+        var holder = getString(args[3]);
+        if ((holder == null) || (holder == args[4]))
+        {
+          strings[args[3]] = { value: args[4], expires_at: new Date().getTime() + parseInt(args[5]) };
+          return args[4];
+        }
+        return holder;
+      }
+      if (name == 'PUBLISH')
+      {
+        var receivers = sockets.filter(function(other) { return other.channels[args[1]]; });
+        for (var index = 0; index < receivers.length; index++)
+        {
+          send(receivers[index], encodeReply(['message', args[1], args[2]]));
+        }
+        return receivers.length;
+      }
+      if (name == 'SUBSCRIBE')
+      {
+        socket.channels[args[1]] = true;
+        return ['subscribe', args[1], Object.keys(socket.channels).length];
+      }
+      return new Error('ERR unknown command ' + JSON.stringify(args[0]));
+    }
+
+  //    Write data to socket: at once, a byte at a time, or (holding) upon release().
+  function send(socket, data)
+    {
+      if (holding)
+      {
+        held.push( { socket: socket, data: data } );
+        return;
+      }
+      if (!splitting)
+      {
+        socket.write(data);
+        return;
+      }
+      socket.unsent = Buffer.concat([socket.unsent, Buffer.from(data)]);
+      if (!socket.trickling)
+        writeNextByte(socket);
+    }
+
+  //    Write the next byte of a socket's pending replies, then the rest, one by one.
+  function writeNextByte(socket)
+    {
+      if (!socket.unsent.length || socket.destroyed)
+      {
+        socket.trickling = false;
+        return;
+      }
+      socket.trickling = true;
+      socket.write(socket.unsent.slice(0, 1));
+      socket.unsent = socket.unsent.slice(1);
+      setTimeout(function() { writeNextByte(socket); }, BYTE_WRITE_MSECS);
+    }
+
+  //    Upon a client connecting: keep its socket, and answer each command it sends.
+  function onConnection(socket)
+    {
+      socket.clientId = nextClient++;
+      socket.channels = {};
+      socket.unsent = Buffer.alloc(0);
+      socket.setNoDelay(true);
+      sockets.push(socket);
+      var buffer = Buffer.alloc(0);
+
+      socket.on('data', function(data)
+        {
+          buffer = Buffer.concat([buffer, data]);
+          var command;
+          while (buffer.length && (command = parseCommand(buffer)))
+          {
+            buffer = buffer.slice(command.end);
+            var reply = run(socket, command.args);
+            if ((reply !== undefined) && garbling)
+            {
+              garbling = false;
+              send(socket, '?' + encodeReply(reply).slice(1));
+            }
+            else if (reply !== undefined)
+              send(socket, encodeReply(reply));
+          }
+        });
+      socket.on('error', function() {});
+      socket.on('close', function()
+        {
+          sockets.splice(sockets.indexOf(socket), 1);
+        });
+    }
+
+  return  {
+
+    //    Listen on a free port; callback(port).
+    start: function start(callback)
+      {
+        server.listen(0, '127.0.0.1', function() { callback(server.address().port); });
+      },
+
+    //    Stop listening, and drop every connection; callback() once closed.
+    stop: function stop(callback)
+      {
+        this.dropConnections();
+        server.close(callback);
+      },
+
+    //    Drop every client's connection, as a restarting server would.
+    dropConnections: function dropConnections()
+      {
+        var open = sockets.slice();
+        for (var index = 0; index < open.length; index++)
+        {
+          open[index].destroy();
+        }
+      },
+
+    //    Send each reply from now on a byte at a time (on), or whole (off).
+    splitReplies: function splitReplies(on)
+      {
+        splitting = on;
+      },
+
+    //    Send the next reply with its type byte replaced by one RESP doesn't have.
+    garbleNextReply: function garbleNextReply()
+      {
+        garbling = true;
+      },
+
+    //    Hold every reply back, to send them all in one write per client upon release().
+    hold: function hold()
+      {
+        holding = true;
+      },
+
+    //    Send the replies held since hold(), each client's in one write.
+    release: function release()
+      {
+        holding = false;
+        var bySocket = [];
+        for (var index = 0; index < held.length; index++)
+        {
+          var entry = bySocket.filter(function(each) { return each.socket == held[index].socket; })[0];
+          if (!entry)
+          {
+            entry = { socket: held[index].socket, data: '' };
+            bySocket.push(entry);
+          }
+          entry.data += held[index].data;
+        }
+        held = [];
+        for (var index = 0; index < bySocket.length; index++)
+        {
+          bySocket[index].socket.write(bySocket[index].data);
+        }
+      },
+
+    //    Every command received so far whose name is this: [{client, args}].
+    commandsNamed: function commandsNamed(name)
+      {
+        return commandLog.filter(function(entry) { return entry.args[0].toUpperCase() == name; });
+      }
+  };
+}
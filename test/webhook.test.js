@@ -0,0 +1,180 @@
+//    SonicFlux Node.js server - test/webhook.test.js
+    //
+    //  Runs webhook.js against a stub receiver: each POST's signature, the
+    //  retries of a failing one at ever longer intervals, and the queue
+    //  carrying pending deliveries over a restart.  Timeouts and the Date
+    //  are mocked, so backoffs of many seconds pass at once; and each test
+    //  keeps its queue in a directory of its own, never in data/.
+    //
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var crypto = require('crypto');
+
+global.LOG_LEVEL = 'error';
+global.LOG_MODULE_LEVELS = {};
+global.WEBHOOK_SECRET = 'test secret';
+var Webhook = require('../webhook.js');
+
+var START_MSECS = 1000000;
+
+
+//  Helpers
+
+  //    Start a receiver that answers each POST with the next of statuses (the last one over and over).
+    //  A promise of {requests: [{headers, body}]}; it closes once test t is over.
+  function startReceiver(t, statuses)
+    {
+      var requests = [];
+      var server = http.createServer(function(request, response)
+        {
+          var body = '';
+          request.on('data', function(data) { body += data; });
+          request.on('end', function()
+            {
+              requests.push( { headers: request.headers, body: body } );
+              response.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+              response.end();
+            });
+        });
+      t.after(function() { return new Promise(function(resolve) { server.close(resolve); }); });
+
+      return new Promise(function(resolve)
+        {
+          server.listen(0, '127.0.0.1', function()
+            {
+              global.WEBHOOK_URL = 'http://127.0.0.1:' + server.address().port + '/rounds';
+              resolve( { requests: requests } );
+            });
+        });
+    }
+
+  //    Mock setTimeout and the Date from START_MSECS + msecs on (the real setImmediate still runs I/O).
+  function mockTime(t, msecs)
+    {
+      t.mock.timers.enable( { apis: ['setTimeout', 'Date'], now: START_MSECS + (msecs || 0) } );
+    }
+
+  //    Poll check() between turns of the event loop until it returns true.
+  async function waitFor(what, check)
+    {
+      for (var turn = 0; turn < 100000; turn++)
+      {
+        if (check())
+          return;
+        await new Promise(setImmediate);
+      }
+      assert.fail('Timed out waiting for ' + what);
+    }
+
+  //    Wait for the webhook to have heard back from the receiver about every attempt so far.
+  function settled(webhook)
+    {
+      return waitFor('the attempt to finish', function()
+        {
+          return webhook.getStatus().pending.every(function(delivery) { return !delivery.in_flight; });
+        });
+    }
+
+  //    A finished round, as history.js stores it.
+  function roundRecord(roundId)
+    {
+      return  { round_id: roundId, room: 1, started_at: START_MSECS - 60000, ended_at: START_MSECS,
+                results: [ { player_tag: 'Ada', user_id: 'u1', points: 30, rank: 1, flagged: false, team: null } ] };
+    }
+
+  //    A fresh queue directory for test t, removed once it is over.
+  function queueDirFor(t)
+    {
+      var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sonicflux-webhook-'));
+      t.after(function() { fs.rmSync(dir, { recursive: true, force: true }); });
+      return dir;
+    }
+
+
+//  Tests
+
+test('each POST is signed with the HMAC of its exact body', async function(t)
+  {
+    var queueDir = queueDirFor(t);
+    var receiver = await startReceiver(t, [200]);
+    var webhook = Webhook(null, queueDir);
+
+    webhook.deliver(roundRecord('r1'));
+    await waitFor('the delivery', function() { return webhook.getStatus().delivered == 1; });
+
+    var request = receiver.requests[0];
+    var expected = 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(request.body).digest('hex');
+    assert.strictEqual(request.headers['x-sonicflux-signature'], expected);
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.strictEqual(JSON.parse(request.body).round_id, 'r1');
+    assert.deepStrictEqual(webhook.getStatus().pending, []);
+  });
+
+test('a failing delivery is retried after ever longer backoffs, until it succeeds', async function(t)
+  {
+    var queueDir = queueDirFor(t);
+    var receiver = await startReceiver(t, [500, 500, 500, 200]);
+    mockTime(t);
+    var webhook = Webhook(null, queueDir);
+
+    webhook.deliver(roundRecord('r1'));
+    var backoffs = [5000, 10000, 20000];
+    for (var attempt = 0; attempt < backoffs.length; attempt++)
+    {
+      await waitFor('attempt ' + (attempt + 1), function() { return receiver.requests.length == attempt + 1; });
+      await settled(webhook);
+      var delivery = webhook.getStatus().pending[0];
+      assert.strictEqual(delivery.last_error, 'HTTP 500');
+      assert.strictEqual(delivery.next_attempt_at - Date.now(), backoffs[attempt]);
+
+      t.mock.timers.tick(backoffs[attempt] - 1);
+      await new Promise(setImmediate);
+      assert.strictEqual(receiver.requests.length, attempt + 1, 'retried early');
+      t.mock.timers.tick(1);
+    }
+    await waitFor('the delivery', function() { return webhook.getStatus().delivered == 1; });
+
+    assert.strictEqual(receiver.requests.length, 4);
+    for (var index = 1; index < receiver.requests.length; index++)
+    {
+      assert.strictEqual(receiver.requests[index].body, receiver.requests[0].body);
+      assert.strictEqual(receiver.requests[index].headers['x-sonicflux-signature'], receiver.requests[0].headers['x-sonicflux-signature']);
+    }
+    assert.strictEqual(webhook.getStatus().failed_attempts, 3);
+    assert.deepStrictEqual(webhook.getStatus().pending, []);
+  });
+
+test('pending deliveries survive a restart', async function(t)
+  {
+    var queueDir = queueDirFor(t);
+    var receiver = await startReceiver(t, [500, 500, 200]);
+    mockTime(t);
+    var webhook = Webhook(null, queueDir);
+
+    webhook.deliver(roundRecord('r1'));
+    await waitFor('the first attempt', function() { return receiver.requests.length == 1; });
+    await settled(webhook);
+    var before = webhook.getStatus().pending[0];
+
+    t.mock.timers.reset();              //  The process dies, its retry timeout with it...
+    mockTime(t, 2000);                  //  ...and is back 2 secs later
+    var restarted = Webhook(null, queueDir);
+    var after = restarted.getStatus().pending;
+    assert.deepStrictEqual(after, [before]);
+
+    t.mock.timers.tick(before.next_attempt_at - Date.now());
+    await waitFor('the retry', function() { return receiver.requests.length == 2; });
+    await settled(restarted);
+    assert.strictEqual(receiver.requests[1].body, receiver.requests[0].body);
+    assert.strictEqual(restarted.getStatus().pending[0].attempts, 2);
+    assert.strictEqual(restarted.getStatus().pending[0].next_attempt_at - Date.now(), 10000);
+
+    restarted.deliver(roundRecord('r2'));     //  Numbering carries on too
+    await waitFor('the new delivery', function() { return restarted.getStatus().delivered == 1; });
+    assert.strictEqual(JSON.parse(receiver.requests[2].body).delivery_id, before.delivery_id + 1);
+  });
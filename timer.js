@@ -9,11 +9,14 @@
   //    Overall round schedule
     //
     //  SonicFlux is an application that presents timed quizzes to users.
-    //  The system runs synchronously, starting and ending the quizzes for all
-    //  clients simultaneously, regardless of difficulty level.
+    //  Within a room, the system runs synchronously, starting and ending the
+    //  quizzes for all of that room's clients simultaneously.
     //
-    //  SonicFlux rounds are of fixed length, regardless of difficulty level
-    //  or other factors.  Currently this length is exactly three minutes.
+    //  Each difficulty room has its own schedule (see ROOM_SCHEDULES in
+    //  app.js, and config.js), of fixed length for that room.  By default this length is
+    //  exactly three minutes; our expert room instead runs 90-second cycles
+    //  of short 60-second sprints.  Each room keeps its own phase and its own
+    //  secsRemaining, all driven by the single heartbeat described below.
     //  Adopting a fixed preset "modulo" schedule (12:00 12:03 12:06 etc.)
     //  theoretically provides all other code immediate transparency into when
     //  rounds start/end.  In practice, though, we cannot take advantage of
@@ -22,6 +25,13 @@
     //  (from 180-second rounds to 150-second, for example) as we get feedback
     //  from users.
     //
+    //  Indeed, schedules can be changed without a restart (see config.js).
+    //  A room moves onto its new schedule at the start of its next lobby,
+    //  never mid-round: the lobby takes its new length, 'schedule_changed'
+    //  {room, secs_in_play, secs_in_lobby, secs_in_complete_cycle} is
+    //  BROADCAST to the room, and the usual lobby adjustment (see below)
+    //  brings the room onto its new cadence over its next lobby or two.
+    //
   //    Cadence within each round
     //
     //  Each round is comprised of two pieces, in order: a time period of
@@ -29,9 +39,9 @@
     //  period is outside the game room, so internally I refer to these as
     //  Play time and Lobby time.
     //
-    //  Within each 180-second round, we spend 150 secs at Play, followed by
-    //  30 secs of Lobby.  During this Lobby time, in addition to viewing
-    //  final results for that round, players can change rooms (difficulty
+    //  Within each default 180-second round, we spend 150 secs at Play,
+    //  followed by 30 secs of Lobby.  During this Lobby time, in addition to
+    //  viewing final results for that round, players can change rooms (difficulty
     //  levels), view overall leaderboards or player-specific historical
     //  results, etc.   Concurrently, the server commits results to DB and
     //  preps for next round.
@@ -49,6 +59,15 @@
     //
     //  I implement this timer on the Node.js server (not the Rails
     //  server) so as to use Javascript's tighter responsiveness.
+    //
+    //  All of this runs on the clock that Timer is given (see clock.js):
+    //  real time, or, in simulation mode, virtual time at a speed-up.
+    //
+    //  When several instances share a store (see store.js), only the one
+    //  elected leader runs this timer (see election.js).  Its changes to
+    //  rooms and players reach the other instances through the store, and
+    //  its BROADCASTs through pubsub.js.  A new leader taking over mid-round
+    //  carries the round on, points and all.
 
     //  Timers are affected by system load, higher-priority interrupts, and
     //  even HW anomalies.  In our case, once a round starts we know exactly
@@ -74,7 +93,7 @@
     //
     //  It is more likely (but still not very likely) that our clock will be
     //  behind, not ahead, by more than .5 secs.  In that case, the most that
-    //  we shorten the Lobby time is 9 seconds.  Shortening this even further
+    //  we shorten the Lobby time is 9 seconds (SECS_MAX_SKIP_FWD).  Shortening this even further
     //  would make a surprising user experience even more jarring, plus I may
     //  not have time to finalize the round and prep for the next one if Lobby
     //  time is much shorter.  So if by circumstance we find our central clock
@@ -87,43 +106,28 @@
     //  the Lobby phase.  Gameplay is never shortened nor lengthened.  The
     //  timer itself continues to fire on its "every second" frequency.
     //
+  //    Admin interventions
+    //
+    //  For live events and incident response, an admin can end a room's
+    //  round early, pause and resume its countdown, or lengthen/shorten its
+    //  current lobby (see routes/admin.js).  Each knocks the room off its
+    //  preset schedule, so each is followed by the same adjustLobbySecs
+    //  re-sync, except that lengthening is not limited to Lobby length:
+    //  after ending a round early, the room simply stays in Lobby until its
+    //  next scheduled round.  A lobby whose length an admin set directly is
+    //  left alone; the room re-syncs at its next lobby.  Because of these
+    //  longer lobbies, a room's phase follows round_in_progress, rather than
+    //  being inferred from secsRemaining.
+    //
   //    Fine-tuning our internal heartbeat
     //
     //  Because in the future we intend to have exercises that are highly
     //  time-sensitive (e.g. rhythm quizzes), our timer must be very
-    //  accurate.  Because even hardware-based clocks can drift over time,
-    //  we want the ability to periodically calibrate our timer frequency.
-    //  If the timer strays too far from ##:###.000 (as measured by
-    //  Date.getTime), we want to be able to change the frequency to bring
-    //  it back into synchronization.  We do this by clearing an in-
-    //  progress recurring timer, and immediately setting a new one with
-    //  a slightly different interval.
-    //
-    //  Experiments indicate that the best msec interval for a 1.000 sec
-    //  recurring timer is actually 990 msec.  Setting the interval to
-    //  1000 msec yields a timer that occasionally 'slips' by 16 msec,
-    //  whereas striving for 990 msec appears to keep the overall system
-    //  on a 1000-msec schedule nicely.  This is NORMAL_TIMER_INTERVAL.
-    //
-    //  Additionally, although Date.getTime appears to be millisecond-
-    //  accurate, Javascript timers nonetheless seem to have a core clock
-    //  granularity of approx 16 msec.  System VGA (omnipresent, contains
-    //  a hardware clock, refreshes at 60Hz) is likely the root clock.
-    //  This puts a lower bound on error thresholds and any fine-tune
-    //  frequency adjustments: trying to stay tighter only leads to
-    //  hysteresis without improving accuracy.  An error threshold of +/-
-    //  10 msec, at which point we fine-tune our timer interval by +/- 14
-    //  msec, appears sufficiently responsive while still stable.  This
-    //  is reflected in MSECS_MAX_CLK_ERR, and in FAST_TIMER_INTERVAL
-    //  (to speed up our clock) and SLOW_TIMER_INTERVAL (to slow down
-    //  our clock).
-    //
-    //  Finally, USE_LARGER_CLOCK_SKEW indicates whether the system
-    //  makes even larger timer adjustments, to bring the clock back to
-    //  x.000 more quickly.  This is implemented but disabled: even a
-    //  maximum clock error of 500 msec can be corrected within 30 secs,
-    //  in the absence of some other significant load on the system.
-    //  USE_LARGER_CLOCK_SKEW stands ready if ever needed.
+    //  accurate, firing at x.000 each second.  Keeping it there is the job
+    //  of a calibration strategy -- the original 'stepped' one, which swaps
+    //  the recurring timer for a faster or slower one as the timer strays,
+    //  or 'pi', which aims each tick at its second in turn.  See
+    //  calibration.js.
     //
   //    Triggered start
     //
@@ -135,366 +139,647 @@
     //
     //  Our timer is accurately started by using a one-shot timer to delay the
     //  kickoff of the recurring periodic timer until the exact desired time.
-    //  The timer module implements this chaining.  After calculating what
-    //  'just the right moment' is, we can trigger a routine to kick off our
-    //  recurring timer at that time.  Timer.delayStart implements this
-    //  chained kickoff.
+    //  After calculating what 'just the right moment' is, start() asks the
+    //  calibration strategy to kick off our every-second ticks at that
+    //  time, beginning with firstTick().
     //
 
-module.exports = function Timer(app)
-{
-  //  Module-wide constants and enums
-
-    SECS_MAX_SKIP_FWD = 9;              //  Max amount we shorten lobby time if needed
-
-    SECS_PER_CALIBRATION = 1;           //  How often do we check the timer accuracy
-
-    USE_LARGER_CLOCK_SKEW = false;
-
-    MSECS_MAX_CLK_ERR = 10;             //  How far from .000, before we adjust timer freq 
-    MSECS_EXTRA_MAX_CLK_ERR = 25;       //  Only used if USE_LARGER_CLOCK_SKEW is true
-
-    TimerEnum = {
-      TIMER_NOT_SET         : 0,
-
-      FASTER_TIMER_INTERVAL : 960,      //  Only used if USE_LARGER_CLOCK_SKEW is true
-
-      FAST_TIMER_INTERVAL   : 976,
-      NORMAL_TIMER_INTERVAL : 990,
-      SLOW_TIMER_INTERVAL   : 1004,
-
-      SLOWER_TIMER_INTERVAL : 1020,     //  Only used if USE_LARGER_CLOCK_SKEW is true
-    }
+var log = require('./log.js')('timer');
 
+module.exports = function Timer(app, history, questions, webhook, leaderboard, privateRooms, shards, scoreboards, store, pubsub, config, metrics, calibration, clock, teams)
+{
   //  Module-wide variables
-    var currentTimerInterval = TimerEnum.TIMER_NOT_SET;
-
-    var timerTimeoutObj;                //  Needed to cancel the periodic timer
-    var timerIntervalObj;               //  Needed to cancel the oneshot timer
-    var secsRemaining = 0;
+    var calibrator = null;              //  The calibration strategy running our ticks (see calibration.js), once start()ed
+
+    var secsRemaining = [];             //  Per room: secs left in that room's cycle
+    var roundStartTime = [];            //  Per room: when its current/latest round began
+    var ticksSinceStart = 0;
+    var paused = [];                    //  Per room: countdown paused by an admin?
+    var lobbySetByAdmin = [];           //  Per room: admin set this lobby's length, so don't adjust it
+    var topsVersionSent = [];           //  Per room: leaderboard.topVersion() last BROADCAST to it
     var initMSecOffset = -10;           //  One-shots seem to fire 10 msec late
 
-  //    Grab current time, calculate when next game starts, return the diff in msec
-  function msecUntilNextGame()
+  //    Grab current time, calculate when this room's next game starts, return the diff in msec
+  function msecUntilNextGame(room)
     {
-      var now = new Date().getTime();
-      var timePrevGameOver = Math.floor(now / MSECS_IN_COMPLETE_CYCLE) * MSECS_IN_COMPLETE_CYCLE;
-      return (timePrevGameOver + MSECS_IN_COMPLETE_CYCLE) - now;
+      var msecsInCycle = ROOM_SCHEDULES[room].secs_in_complete_cycle * 1000;
+      var now = clock.now();
+      var timePrevGameOver = Math.floor(now / msecsInCycle) * msecsInCycle;
+      return (timePrevGameOver + msecsInCycle) - now;
     }
 
-  //    This function is the "coarse-tune" mechanism for our cadence timer. 
-    //  It lengthens/shortens the lobby interval, to realign us with our intended cadence
+  //    This function is the "coarse-tune" mechanism for a room's cadence. 
+    //  It lengthens/shortens the room's lobby interval, to realign it with its intended cadence
     //  Shorten by SECS_MAX_SKIP_FWD at most, or lengthen (bit by bit) as long as it takes!  
-  function adjustLobbySecs()
+    //  After an admin intervention (resyncNow), lengthen all the way to the cadence at once.
+  function adjustLobbySecs(room, resyncNow)
     {
-      var actualSecRemaining = parseInt((msecUntilNextGame() + 500)/ 1000);       //  What sec will this cycle end?
+      var actualSecRemaining = parseInt((msecUntilNextGame(room) + 500)/ 1000);   //  What sec will this cycle end?
       var newSecsRemaining;
 
-      if (actualSecRemaining != secsRemaining)
+      if (actualSecRemaining != secsRemaining[room])
       {
-        newSecsRemaining = Math.max(secsRemaining - SECS_MAX_SKIP_FWD, Math.min(SECS_IN_LOBBY, actualSecRemaining));
+        var maxSecsRemaining = resyncNow ? actualSecRemaining : ROOM_SCHEDULES[room].secs_in_lobby;
+        newSecsRemaining = Math.max(secsRemaining[room] - SECS_MAX_SKIP_FWD, Math.min(maxSecsRemaining, actualSecRemaining));
           //  Largest skip forward is SECS_MAX_SKIP_FWD; largest skip backwards is to when Lobby begins.  
-        console.log("\n *********************************************************");
-        console.log("***\tAdjusting lobby time by " + (secsRemaining - newSecsRemaining) + " seconds.\t\t***");
-        console.log("***\tsecsRemaining was " + secsRemaining + ", should be " + actualSecRemaining + ", is now " + newSecsRemaining + "\t***");
-        console.log(" *********************************************************\n");
-        secsRemaining = newSecsRemaining;
+        log.info('Adjusting lobby time by ' + (secsRemaining[room] - newSecsRemaining) + ' secs',
+                 { event: 'lobby_resync', room: room, secs_remaining_was: secsRemaining[room],
+                   should_be: actualSecRemaining, secs_remaining: newSecsRemaining });
+        metrics.lobbyAdjusted(room, newSecsRemaining - secsRemaining[room]);
+        secsRemaining[room] = newSecsRemaining;
       }
     }
 
-  //    Adjust timer frequency as needed to stay on cadence. 
-    //  We aim our every-second timer to land exactly on mm:ss.000. If too far off, 
-    //  cancel & restart the timer with an adjusted frequency. Empirically, an
-    //  interval of 990 ms appears to remain relatively stable.  Notably, the timer
-    //  granularity appears capped at 60 Hz; it is likely locked to the video clock
-  function calibrateTimer(context)
+  //    Upon starting the periodic timer, this is our initial (oneshot) timer routine. 
+    //  For each room: reset secsRemaining if its round just ended.  
+    //  Regardless, that room's 'Play or Lobby?' state needs settting up - call firstXxxTick()
+    //  (or resumePlayTick(), if we are taking over a round already in progress, or restoring
+    //  one -- see snapshot.js).  A round carried over into Lobby is ended as usual, once we
+    //  have noted when it started, so that it reaches history.
+  function firstTick()
     {
-      var newTimerInterval;
-      var now = new Date().getTime();
-      var msecClkErr = (now + 500) % 1000 - 500;          //  get our delta from ideal: [-500, 499] msec
-      
-      newTimerInterval = TimerEnum.NORMAL_TIMER_INTERVAL;
-
-      if (msecClkErr > MSECS_MAX_CLK_ERR)                 //  timer is running a little late
-      {
-        newTimerInterval = TimerEnum.FAST_TIMER_INTERVAL;
-      }
-      else if (msecClkErr < -MSECS_MAX_CLK_ERR)           //  timer is running a little early
-      {
-        newTimerInterval = TimerEnum.SLOW_TIMER_INTERVAL;
-      }
-
-      if (USE_LARGER_CLOCK_SKEW)
+      syncNewRooms();
+      for (var index = 0; index < active_rooms.length; index++)
       {
-        if (msecClkErr > MSECS_EXTRA_MAX_CLK_ERR)           //  timer is running late
+        var room = active_rooms[index];
+        if (secsRemaining[room] == 0)
+        {
+          secsRemaining[room] = ROOM_SCHEDULES[room].secs_in_complete_cycle;
+        }
+        if (secsRemaining[room] <= ROOM_SCHEDULES[room].secs_in_lobby)
+        {
+          if (round_in_progress[room] && (roundStartTime[room] == null))
+          {
+            roundStartTime[room] = clock.now() - (ROOM_SCHEDULES[room].secs_in_complete_cycle - secsRemaining[room]) * 1000;
+          }
+          firstLobbyTick(room);
+        }
+        else if (round_in_progress[room])
         {
-          newTimerInterval = TimerEnum.FASTER_TIMER_INTERVAL;
+          resumePlayTick(room);
         }
-        else if (msecClkErr < -MSECS_EXTRA_MAX_CLK_ERR)     //  timer is running early
+        else
         {
-          newTimerInterval = TimerEnum.SLOWER_TIMER_INTERVAL;
+          firstPlayTick(room);
         }
+        log.info('First tick', { event: 'first_tick', room: room, calibration: calibrator.name, secs_remaining: secsRemaining[room] });
+        secsRemaining[room]--;
       }
+    }
+
+  //    Upon a room's first Play tick, perform various player and round-related setup. 
+    //  For each player in the room, reset scoreboard, and mark as
+    //  present-at-round-start (unless the player is in its reconnect grace period, i.e.
+    //  not actually present).
+    //  Change the room's state variable to note that its round has started, and note
+    //  when it started (if we start up mid-round, back-date to when it truly began).
+    //  ROOM.BROADCAST: 'round_started' with the num of seconds of play.
+    //  Then call playTick() as would occur with any other tick.
+  function firstPlayTick(room)
+    {
+      var schedule = ROOM_SCHEDULES[room];
 
-      if (currentTimerInterval != newTimerInterval)
+      var now = clock.now();
+      for (var index in all_players_list)
       {
-        console.log('\n\t *****************************************************');
-        console.log('\t***\t\t\t\t\t\t    ***');
-        console.log('\t***\tSetting the new timer interval: ' + newTimerInterval + ' ms\t    ***');
-        console.log('\t***\t\t\t\t\t\t    ***');
-        console.log('\t *****************************************************\n');
+        if (all_players_list[index] && (all_players_list[index].room == room))
+        {
+          all_players_list[index].points = 0;
+          all_players_list[index].scored_at = now;
+          all_players_list[index].incomplete_round = !!all_players_list[index].reconnecting;
+          store.savePlayer(index);
+        }
+      }
+
+      round_in_progress[room] = true;
+      store.saveRound(room);
+      lobbySetByAdmin[room] = false;
+      roundStartTime[room] = clock.now() - (schedule.secs_in_complete_cycle - secsRemaining[room]) * 1000;
+      pubsub.broadcast(room, 'round_started', (schedule.secs_in_complete_cycle - schedule.secs_in_lobby));
+      log.info('BROADCAST: round started', { event: 'round_started', room: room });
 
-        clearInterval(context.timerIntervalObj);
-        context.timerIntervalObj = setInterval(timerTick, newTimerInterval, context);
-        currentTimerInterval = newTimerInterval;
+      playTick(room);
+    }
+
+  //    Upon taking over the timer mid-round from another instance (see election.js), carry on the room's round. 
+    //  Unlike firstPlayTick(), keep the players' points, and announce nothing: the round
+    //  never stopped.  Note when it started, then call playTick() as with any other tick.
+  function resumePlayTick(room)
+    {
+      var schedule = ROOM_SCHEDULES[room];
+
+      lobbySetByAdmin[room] = false;
+      roundStartTime[room] = clock.now() - (schedule.secs_in_complete_cycle - secsRemaining[room]) * 1000;
+      log.info('Carrying on a round already in progress', { event: 'round_resumed', room: room, secs_remaining: secsRemaining[room] });
+
+      playTick(room);
+    }
+  
+  //    Upon a room's first Lobby tick, perform various player and end-of-round setup. 
+    //  Change the room's state variable to note that its round has ended, and move
+    //  the room onto any newly configured schedule.
+    //  ROOM.BROADCAST: 'round_ended' with the num of seconds of lobby.
+    //  Compile the room's final results, send them out, and commit them to history. 
+    //  Push any changed global leaderboard tops to Lobby clients, and move spectators
+    //  of any shard left without players to shard 'a'.
+    //  Then call lobbyTick() as would occur with any other tick.
+  function firstLobbyTick(room)
+    {
+      round_in_progress[room] = false;
+      store.saveRound(room);
+      questions.endRound(room);
+      scoreboards.endRound(room);
+      applyScheduleChange(room);
+      pubsub.broadcast(room, 'round_ended', ROOM_SCHEDULES[room].secs_in_lobby);
+      log.info('BROADCAST: round ended', { event: 'round_ended', room: room });
+
+      createRoundResults(room);
+      broadcastRoundResults(room);
+      store.saveRound(room);
+      commitRoundResults(room);
+      pushLeaderboardTops();
+      shards.sweepSpectators(room);
+
+      lobbyTick(room);
+    }
+
+  //    At the start of a room's lobby, move it onto its level's configured schedule, if that has changed. 
+    //  The lobby takes its new length at once; the adjustLobbySecs re-sync at its next tick
+    //  then moves it onto the new cadence. ROOM.BROADCAST 'schedule_changed', and tell
+    //  the other instances, whose ROOM_SCHEDULES follow ours.
+  function applyScheduleChange(room)
+    {
+      var schedule = config.scheduleFor(room_levels[room]);
+      if ((schedule.secs_in_lobby == ROOM_SCHEDULES[room].secs_in_lobby) &&
+          (schedule.secs_in_complete_cycle == ROOM_SCHEDULES[room].secs_in_complete_cycle))
+      {
+        return;
       }
+
+      ROOM_SCHEDULES[room] = schedule;
+      secsRemaining[room] = schedule.secs_in_lobby;
+      var change = { room: room, secs_in_play: schedule.secs_in_complete_cycle - schedule.secs_in_lobby,
+                     secs_in_lobby: schedule.secs_in_lobby, secs_in_complete_cycle: schedule.secs_in_complete_cycle };
+      pubsub.broadcast(room, 'schedule_changed', change);
+      pubsub.tellPeers('schedule_changed', change);
+      log.info('BROADCAST: schedule changed to play ' + change.secs_in_play + ', lobby ' + change.secs_in_lobby + ' secs', { event: 'schedule_changed', room: room });
     }
 
-  //    Upon starting the periodic timer, this is our initial (oneshot) timer routine. 
-    //  Reset secsRemaining if the round just ended.  
-    //  Regardless, our 'Play or Lobby?' state needs settting up - call firstXxxTick()
-  function firstTick(context)
+  //    Upon the leader moving a room onto a new schedule, do the same with our copy.
+  pubsub.handle('schedule_changed', function(change)
     {
-      if (secsRemaining == 0)
+      if (ROOM_SCHEDULES[change.room])
       {
-        secsRemaining = SECS_IN_COMPLETE_CYCLE;
+        ROOM_SCHEDULES[change.room] = { secs_in_lobby: change.secs_in_lobby, secs_in_complete_cycle: change.secs_in_complete_cycle };
       }
-      if (secsRemaining <= SECS_IN_LOBBY)
+    });
+
+  //    Overall timer tick function, called every second. 
+    //  Advance each room's own cycle via roomTick(), then let go of any private rooms
+    //  that have sat empty for a full cycle.  In addition to the per-room
+    //  "coarse" lobby adjustment of 1-sec granularity, our calibration strategy
+    //  performs the "fine" adjustment that keeps this firing as close as possible
+    //  to hh:mm:ss.000 (see calibration.js).  If TIMER_CALIBRATION has changed,
+    //  hand our ticks over to the new strategy.
+  function timerTick()
+    {
+      syncNewRooms();
+      for (var index = 0; index < active_rooms.length; index++)
       {
-        firstLobbyTick(context);
+        roomTick(active_rooms[index]);
       }
-      else
+      forgetRemovedRooms(privateRooms.collectEmpty());
+      ticksSinceStart++;
+
+      if (TIMER_CALIBRATION != calibrator.name)
       {
-        firstPlayTick(context);
+        switchCalibration();
       }
-      logNow('firstTick():\ttimer: ' + currentTimerInterval + 'ms\t' + secsRemaining + '\t');
-      secsRemaining--;
     }
 
-  //    Upon first Play tick, perform various player and round-related setup. 
-    //  For each player, reset scoreboard and mark as present-at-round-start.
-    //  Change the state variable to note that the round has started.  
-    //  BROADCAST: 'round_started' with the num of seconds of play.
-    //  Then call playTick() as would occur with any other tick.
-  function firstPlayTick(context)
+  //    Stop the calibration strategy in use, and start TIMER_CALIBRATION's at the next second. 
+    //  Called from within a tick, so the next second is the one after the second this tick was for.
+  function switchCalibration()
     {
-      for (var index in all_players_list)
+      log.info('Timer calibration now ' + TIMER_CALIBRATION + ', was ' + calibrator.name, { event: 'timer_calibration', calibration: TIMER_CALIBRATION });
+      calibrator.stop();
+      calibrator = calibration.strategy(TIMER_CALIBRATION);
+
+      var now = clock.now();
+      calibrator.start(Math.round(now / 1000) * 1000 + 1000 - now + initMSecOffset, timerTick, timerTick);
+    }
+
+  //    Start any newly created (private) rooms in step with their level's public room. 
+    //  Done before any room ticks, so each new room copies a state that is about to
+    //  advance exactly as its public room's does.  Rooms created while we tick are
+    //  synced as soon as they are added (see below); this catches any from before.
+  function syncNewRooms()
+    {
+      for (var index = 0; index < active_rooms.length; index++)
       {
-        if (all_players_list[index])
+        if (secsRemaining[active_rooms[index]] == null)
         {
-          all_players_list[index].points = 0;
-          all_players_list[index].incomplete_round = false;
+          syncRoom(active_rooms[index]);
         }
       }
-
-      round_in_progress = true;
-      app.io.broadcast('round_started', (SECS_IN_COMPLETE_CYCLE - SECS_IN_LOBBY));
-      logNow('BROADCAST: round_started -- firstPlayTick() timer callback');
-
-      playTick(context);
     }
-  
-  //    Upon first Lobby tick, perform various player and end-of-round setup. 
-    //  Change the state variable to note that the round has ended.
-    //  BROADCAST: 'round_ended' with the num of seconds of lobby.
-    //  Compile the round's final results, and send them out. 
-    //  Then call lobbyTick() as would occur with any other tick.
-  function firstLobbyTick(context)
+
+  //    Start a new (private) room in step with its level's public room. 
+  function syncRoom(room)
     {
-      round_in_progress = false;
-      app.io.broadcast('round_ended', SECS_IN_LOBBY);
-      logNow('BROADCAST: round_ended -- firstLobbyTick() timer callback ');
+      var level = room_levels[room];
+      secsRemaining[room] = secsRemaining[level];
+      roundStartTime[room] = roundStartTime[level];
+      round_in_progress[room] = round_in_progress[level];
+      store.saveRound(room);
+      log.info('In step with room ' + level, { event: 'room_synced', room: room, secs_remaining: secsRemaining[room] });
+    }
 
-      createRoundResults();
-      broadcastRoundResults();
+  //    Upon a private room being created (here or on another instance), once we tick: sync it at once, rather than
+    //  upon our next tick, so that its status is never without a phase or secs remaining.
+  privateRooms.onRoomAdded(function(room)
+    {
+      if (calibrator && (secsRemaining[room] == null))
+      {
+        syncRoom(room);
+      }
+    });
 
-      lobbyTick(context);
+  //    Drop our per-room state for rooms that no longer exist. 
+  function forgetRemovedRooms(rooms)
+    {
+      for (var index = 0; index < rooms.length; index++)
+      {
+        delete secsRemaining[rooms[index]];
+        delete roundStartTime[rooms[index]];
+        delete paused[rooms[index]];
+        delete lobbySetByAdmin[rooms[index]];
+        delete topsVersionSent[rooms[index]];
+        scoreboards.forgetRoom(rooms[index]);
+      }
     }
 
-  //    Overall timer tick function, called every second. 
-    //  Depending on seconds remaining, call playTick() or lobbyTick().  Or (if 
-    //  time to change between play <=> lobby) call firstXxxTick() instead.
-    //  One sec after  lobby time begins, check whether our cadence is out of sync -
-    //  if it is, the lobby interval is adjusted to bring the cadence into sync.
-    //  In addition to that "coarse" adjustment of 1-sec granularity, pewriodically
-    //  perform "fine" adjustment of our timer frequency, to keep our timer firing
-    //  exactly every second.  Specifically, adjust its frequency so that it fires
-    //  as close as possible to hh:mm:ss.000.  Finally, decrement "seconds left".
-  function timerTick(context)
+  //    Per-room tick, called every second for each room. 
+    //  If an admin has paused the room, do nothing at all.  Otherwise, depending
+    //  on the room's phase, call playTick() or lobbyTick().  Or (if time to change
+    //  between play <=> lobby) call firstXxxTick() instead.  One sec after lobby
+    //  time begins, check whether the room's cadence is out of sync - if it is, its
+    //  lobby interval is adjusted to bring the cadence into sync (unless an admin
+    //  has set this lobby's length).  Finally, decrement the room's "seconds left".
+    //  Phase follows round_in_progress, not secsRemaining, as a lobby can run
+    //  longer than secs_in_lobby after an admin intervention.
+  function roomTick(room)
     {
-      // logNow('timerTick(): \tsecsRemaining:\t' + secsRemaining + ' \t');
-      if (secsRemaining >= SECS_IN_LOBBY)
+      var schedule = ROOM_SCHEDULES[room];
+
+      if (paused[room])
       {
-        playTick(context);
+        return;
+      }
+
+      if (round_in_progress[room])
+      {
+        playTick(room);
         
-        if (secsRemaining == SECS_IN_LOBBY)
+        if (secsRemaining[room] == schedule.secs_in_lobby)
         {
-          firstLobbyTick(context);
+          firstLobbyTick(room);
         }
       }
-      else if (secsRemaining == SECS_IN_LOBBY - 1)
+      else if ((secsRemaining[room] == schedule.secs_in_lobby - 1) && !lobbySetByAdmin[room])
       {
-        adjustLobbySecs();
-        lobbyTick(context);
+        adjustLobbySecs(room);
+        lobbyTick(room);
       }
       else
       {
-        lobbyTick(context);
+        lobbyTick(room);
         
-        if (secsRemaining == 0)
+        if (secsRemaining[room] == 0)
         {
-          secsRemaining = SECS_IN_COMPLETE_CYCLE;
-          firstPlayTick(context);
+          secsRemaining[room] = schedule.secs_in_complete_cycle;
+          firstPlayTick(room);
         } 
       }
-
-      if ((secsRemaining % (SECS_PER_CALIBRATION)) == 0)
-      {
-        calibrateTimer(context);
-      }
-      secsRemaining--;
+      secsRemaining[room]--;
     }
   
-  //    Each play sec, BROADCAST scores and play secs remaining to non-empty rooms. 
-    //  Initialize the empty scores array. Put every player's {player_tag, points}
-    //  into the array for that room. If room is non-empty, sort the array and 
-    //  BROADCAST it to the room, along with the number of play secs remaining.   
-  function playTick(context)
+  //    Each play sec, if the room is non-empty, BROADCAST its scores and play secs remaining. 
+    //  First, BROADCAST 'question_start' if the room's timeline has a question due now
+    //  (even to an empty room, so that the timeline stays on schedule).
+    //  Put every player's {player_tag, points, reconnecting, team} for that room into its
+    //  shard's array, sort each array and BROADCAST it to that shard (see shards.js),
+    //  along with the number of play secs remaining and any team standings (see teams.js),
+    //  in each client's chosen format (see scoreboards.js).   
+  function playTick(room)
     {
-      var leaders = [];
-      for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM+NUM_ROOMS; room++)
+      var schedule = ROOM_SCHEDULES[room];
+      var playSecsRemaining = secsRemaining[room] - schedule.secs_in_lobby;
+      var question = questions.questionDue(room, schedule.secs_in_complete_cycle - secsRemaining[room], 
+                                           clock.now() + playSecsRemaining * 1000);
+      if (question)
       {
-        leaders[room] = [];
+        pubsub.broadcast(room, 'question_start', question);
+        log.debug('BROADCAST: question ' + question.question_id, { event: 'question_start', room: room });
       }
 
+      if (!roomHasAudience(room)) 
+      {
+        return;
+      }
+
+      var leaders = {};
+      var shardNames = shards.names(room);
+      for (var index = 0; index < shardNames.length; index++)
+      {
+        leaders[shardNames[index]] = [];
+      }
       for (var index in all_players_list)
       {
-        if (all_players_list[index])
+        if (all_players_list[index] && (all_players_list[index].room == room))
         {
           var player = all_players_list[index];
-          leaders[player.diff_lvl].push( { player_tag: player.player_tag, points: player.points } );
+          leaders[player.shard].push( { player_tag: player.player_tag, points: player.points, reconnecting: !!player.reconnecting,
+                                        team: (player.team == null) ? null : player.team } );
         }
       }
-      for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM+NUM_ROOMS; room++)
+      var standings = teams.standings(room);
+
+      for (var index = 0; index < shardNames.length; index++)
       {
-        if (roomCount[room]) 
-        {
-          leaders[room].sort( function(a,b) { return b.points - a.points; });
-
-          var playTickInfo = {};
-          playTickInfo['time_remaining'] = secsRemaining - SECS_IN_LOBBY;
-          playTickInfo['leaders'] = leaders[room];
-          
-          app.io.room('' + room).broadcast('play_timer_update', playTickInfo);
-          
-          if (currentTimerInterval != TimerEnum.NORMAL_TIMER_INTERVAL)
-          {
-            logNow('BROADCAST [' + room + ']: play_timer_update - ' + playTickInfo['time_remaining'] + '\t');
-          }
-        }
+        leaders[shardNames[index]].sort( function(a,b) { return b.points - a.points; });
+        scoreboards.broadcast(room, shardNames[index], leaders[shardNames[index]], playSecsRemaining, standings);
       }
+      
+      log.tick('BROADCAST: play timer update', { event: 'play_timer_update', room: room, secs_remaining: playSecsRemaining });
     }
   
-  //    Each lobby sec, BROADCAST 'lobby_timer_update' w/ secs remaining to non-empty rooms. 
-  function lobbyTick(context)
+  //    Is anyone in this room to BROADCAST to: players, or spectators?
+  function roomHasAudience(room)
     {
-      for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM+NUM_ROOMS; room++)
-      {
-        if (roomCount[room]) 
-        {
-          app.io.room('' + room).broadcast('lobby_timer_update', secsRemaining);
-
-          if (currentTimerInterval != TimerEnum.NORMAL_TIMER_INTERVAL)
-          {
-            logNow('BROADCAST [' + room + ']: lobby_timer_update - ' + secsRemaining + '\t');
-          }
-        }
-      }
+      return (roomCount[room] > 0) || (spectatorCount[room] > 0);
     }
   
-  //    Upon end of round, put each {player_tag, points} into the array for that diff_lvl. 
-  function createRoundResults()
+  //    Each lobby sec, BROADCAST 'lobby_timer_update' w/ secs remaining, if room is non-empty. 
+    //  First, merge or even out the room's shards if they need it (see shards.js), and
+    //  spread any team-less players among its teams (see teams.js).
+  function lobbyTick(room)
     {
-      for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM+NUM_ROOMS; room++)
+      shards.rebalance(room);
+      teams.balance(room);
+      if (roomHasAudience(room)) 
       {
-        round_results[room] = [];
+        pubsub.broadcast(room, 'lobby_timer_update', secsRemaining[room]);
+        log.tick('BROADCAST: lobby timer update', { event: 'lobby_timer_update', room: room, secs_remaining: secsRemaining[room] });
       }
+    }
+  
+  //    Upon end of a room's round, put each of its {player_tag, user_id, points, flagged, shard, team} into round_results[room]. 
+    //  'flagged' marks players with SCORE_REJECTIONS_TO_FLAG or more rejected scores this round
+    //  (or in the Lobby time before it), whose count then starts over for the next one.
+  function createRoundResults(room)
+    {
+      round_results[room] = [];
 
       for (var index in all_players_list)
       {
-        if (all_players_list[index])
+        if (all_players_list[index] && (all_players_list[index].room == room))
         {
           var player = all_players_list[index];
-          round_results[player.diff_lvl].push( { player_tag: player.player_tag, points: player.points } );
+          round_results[room].push( { player_tag: player.player_tag, user_id: player.user_id, points: player.points,
+                                      flagged: (player.rejected_scores >= SCORE_REJECTIONS_TO_FLAG), shard: player.shard,
+                                      team: (player.team == null) ? null : player.team } );
+          player.rejected_scores = 0;
+          store.savePlayer(index);
         }
       }
     }
   
-  //    Upon end of round, sort and BROADCAST the round_results to each non-empty room. 
-  function broadcastRoundResults()
+  //    Upon end of a room's round, sort and BROADCAST its round_results (if room is non-empty). 
+    //  Each shard gets its own part as 'room_round_results'; the whole room gets the
+    //  combined top of every shard as 'level_round_results' (see shards.js).
+  function broadcastRoundResults(room)
     {
-      for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM+NUM_ROOMS; room++)
+      round_results[room].sort( function(a,b) { return b.points - a.points; });
+      if (roomHasAudience(room) && round_results[room].length)
       {
-        if (roomCount[room] && round_results[room].length)
+        var shardNames = shards.names(room);
+        for (var index = 0; index < shardNames.length; index++)
         {
-          round_results[room].sort( function(a,b) { return b.points - a.points; });
-          app.io.room('' + room).broadcast('room_round_results', round_results[room]);
-          logNow('BROADCAST [' + room + '] room_round_results - \t' + round_results[room]);
+          var results = shards.resultsFor(room, shardNames[index]);
+          if (results.length)
+          {
+            pubsub.broadcast(shards.channel(room, shardNames[index]), 'room_round_results', results);
+          }
         }
+        pubsub.broadcast(room, 'level_round_results', shards.combinedResults(room));
+        log.info('BROADCAST: round results, ' + round_results[room].length + ' players', { event: 'round_results', room: room, players: round_results[room].length });
       }
     }
   
-  //    The one-time routine that executes an initial callback & sets our recurring timer. 
-  function oneShot(firstCallback, callback, interval, context)
+  //    Upon end of a room's round, store its (sorted) round_results in our round history,
+    //  add the stored round to the global leaderboards, and send it on to the Rails
+    //  server via our webhook.  Other instances store it and add it too (see below).
+    //  If we started up during Lobby time, we never saw this round begin: nothing to store.
+  function commitRoundResults(room)
     {
-      logNow("oneShot():");
-      firstCallback(context);
-      context.timerIntervalObj = setInterval(callback, interval, context);
-    };
-  
-  //    Set a one-shot to fire at a specified time (which in turn sets a periodic timer). 
-    //  Parameters: the one-time initial delay and initial ("one=shot" routine, plus the 
-    //  periodically executed routine, periodicity interval and context 
-  function delayStart(firstCallback, delay, callback, interval, context)
+      if (roundStartTime[room] == null)
+      {
+        return;
+      }
+      var round = history.recordRound(room, roundStartTime[room], clock.now(), round_results[room]);
+      if (round)
+      {
+        leaderboard.recordRound(round);
+        webhook.deliver(round);
+        pubsub.tellPeers('round_committed', round);
+      }
+    }
+
+  //    Upon the leader committing a round, store it in our own history and leaderboards.
+  pubsub.handle('round_committed', function(round)
+    {
+      history.addRound(round);
+      leaderboard.recordRound(round);
+    });
+
+  //    Upon any room's first Lobby tick, BROADCAST 'leaderboard_top' to each Lobby room not yet sent the latest tops. 
+    //  Rooms in Play are skipped; they get the tops once their own round ends.
+  function pushLeaderboardTops()
     {
-      logNow("\ndelayStart(): delay=" + delay + " interval=" + interval);
-      context.timerTimeoutObj = setTimeout(oneShot, delay, firstCallback, callback, interval, context);
-    };
+      var version = leaderboard.topVersion();
+      var tops = null;
+      for (var index = 0; index < active_rooms.length; index++)
+      {
+        var room = active_rooms[index];
+        if (round_in_progress[room] || !roomHasAudience(room) || ((topsVersionSent[room] || 0) == version))
+          continue;
+
+        tops = tops || leaderboard.getTops();
+        topsVersionSent[room] = version;
+        pubsub.broadcast(room, 'leaderboard_top', tops);
+        log.debug('BROADCAST: leaderboard tops', { event: 'leaderboard_top', room: room });
+      }
+    }
   
-  //    Generic log function that includes a formatted timestamp. 
-  function logNow(prefixStr)
+  //    Our calibration strategy's state and drift summaries (see calibration.js), plus ticks so far. 
+    //  Before start(), that of the TIMER_CALIBRATION strategy, yet to run.
+  function calibrationStatus()
     {
-      var now = new Date().getTime();
-
-      console.log(prefixStr, (parseInt(now / 3600000) % 24) + ':' + ('0'+(parseInt(now / 60000) % 60)).slice(-2) + ':' + ('0'+(parseInt(now / 1000) % 60)).slice(-2) + '.' + ('00'+(now % 1000)).slice(-3));
-      return now;
+      var status = calibration.getStatus(calibrator || calibration.strategy(TIMER_CALIBRATION));
+      status.ticks_since_start = ticksSinceStart;
+      return status;
     }
 
+  //    Snapshot of one room's phase & secs remaining, for the admin API. 
+    //  secs_remaining is what the room's next tick will report: play secs left
+    //  during Play, lobby secs left during Lobby.
+  function roomStatus(room)
+    {
+      var secsInLobby = ROOM_SCHEDULES[room].secs_in_lobby;
+      return  { room: room, 
+                difficulty_level: room_levels[room],
+                phase: round_in_progress[room] ? 'play' : 'lobby',
+                paused: !!paused[room],
+                secs_remaining: round_in_progress[room] ? (secsRemaining[room] - secsInLobby) : secsRemaining[room],
+                secs_in_lobby: secsInLobby,
+                secs_in_complete_cycle: ROOM_SCHEDULES[room].secs_in_complete_cycle };
+    }
+  
   return  {
 
     //    Trigger-start off a periodic timer after calculating where we are in time. 
-      //  Specifically, determine how many milliseconds to delay, and set a 
-      //  one-shot timer to fire at that time. Set secsRemaining as well. 
-      //  The one-shot timer exists to set an every-second periodic timer, 
-      //  which is initially set to the default interval.
+      //  Specifically, determine how many milliseconds to delay, and have the
+      //  TIMER_CALIBRATION strategy fire firstTick() then, and timerTick() every second
+      //  after. Set each room's secsRemaining as well. Every room cycle is a whole
+      //  number of seconds, so all rooms share the same sub-second delay.
     start: function start()
       {
-        var msecsRemaining = msecUntilNextGame();
-        secsRemaining = parseInt(msecsRemaining / 1000);
+        var msecsRemaining;
+        for (var room = MIN_ROOM_NUM; room < MIN_ROOM_NUM+NUM_ROOMS; room++)
+        {
+          msecsRemaining = msecUntilNextGame(room);
+          secsRemaining[room] = parseInt(msecsRemaining / 1000);
+        }
         msecsRemaining %= 1000;
 
-        delayStart(firstTick, msecsRemaining + initMSecOffset, 
-                   timerTick, TimerEnum.NORMAL_TIMER_INTERVAL, 
-                   (this));
-        currentTimerInterval = TimerEnum.NORMAL_TIMER_INTERVAL;
+        calibrator = calibration.strategy(TIMER_CALIBRATION);
+        calibrator.start(msecsRemaining + initMSecOffset, firstTick, timerTick);
       },
 
-    //    Cancel any in-progress one-shot & recurring timers; clear the current interval. 
+    //    Cancel our ticks: the calibration strategy's one-shot or recurring timers. 
     stop: function stop()
       {
-        clearTimeout(timerTimeoutObj);
-        clearInterval(timerIntervalObj);
-        currentTimerInterval = TimerEnum.TIMER_NOT_SET;        
+        if (calibrator)
+          calibrator.stop();
+        log.info('Timer stopped', { event: 'timer_stopped' });
+      },
+
+    //    Admin: end the room's round now, and hold its lobby until the room's next cadence. 
+      //  Runs the usual end-of-round work (round_ended, results, history) immediately,
+      //  then lengthens the lobby to re-sync, and ROOM.BROADCASTs 'round_force_ended'.
+      //  Returns an error_str if the room has no round in progress, else null.
+    endRound: function endRound(room)
+      {
+        if (!round_in_progress[room])
+        {
+          return "Room has no round in progress";
+        }
+
+        secsRemaining[room] = ROOM_SCHEDULES[room].secs_in_lobby;
+        firstLobbyTick(room);
+        adjustLobbySecs(room, true);
+        lobbySetByAdmin[room] = true;
+
+        pubsub.broadcast(room, 'round_force_ended', { lobby_secs_remaining: secsRemaining[room] });
+        log.info('BROADCAST: round force-ended, lobby ' + secsRemaining[room] + ' secs', { event: 'round_force_ended', room: room });
+        return null;
+      },
+
+    //    Admin: freeze the room's countdown (no ticks at all) until resume(). 
+      //  ROOM.BROADCASTs 'countdown_paused'. An open question keeps its deadline.
+      //  Returns an error_str if the room is already paused, else null.
+    pause: function pause(room)
+      {
+        if (paused[room])
+        {
+          return "Room is already paused";
+        }
+
+        paused[room] = true;
+        pubsub.broadcast(room, 'countdown_paused', { phase: round_in_progress[room] ? 'play' : 'lobby' });
+        log.info('BROADCAST: countdown paused', { event: 'countdown_paused', room: room });
+        return null;
+      },
+
+    //    Admin: restart the room's countdown where it left off. 
+      //  If paused during Lobby time, re-sync the lobby to the room's cadence at once;
+      //  if during Play, the next lobby's usual adjustment takes care of it.
+      //  ROOM.BROADCASTs 'countdown_resumed'. Returns an error_str if not paused, else null.
+    resume: function resume(room)
+      {
+        if (!paused[room])
+        {
+          return "Room is not paused";
+        }
+
+        paused[room] = false;
+        if (!round_in_progress[room])
+        {
+          adjustLobbySecs(room, true);
+          lobbySetByAdmin[room] = true;
+        }
+
+        var status = roomStatus(room);
+        pubsub.broadcast(room, 'countdown_resumed', { phase: status.phase, secs_remaining: status.secs_remaining });
+        log.info('BROADCAST: countdown resumed, ' + status.phase + ' ' + status.secs_remaining + ' secs', { event: 'countdown_resumed', room: room });
+        return null;
+      },
+
+    //    Admin: lengthen (secs > 0) or shorten (secs < 0) the room's current lobby. 
+      //  The lobby keeps at least 1 sec. This lobby is then left as set; the room
+      //  re-syncs to its cadence at its next lobby. ROOM.BROADCASTs 'lobby_adjusted'.
+      //  Returns an error_str if the room is not in Lobby time, else null.
+    adjustLobby: function adjustLobby(room, secs)
+      {
+        if (round_in_progress[room])
+        {
+          return "Room is not in lobby time";
+        }
+
+        secsRemaining[room] = Math.max(1, secsRemaining[room] + secs);
+        lobbySetByAdmin[room] = true;
+
+        pubsub.broadcast(room, 'lobby_adjusted', { secs_remaining: secsRemaining[room] });
+        log.info('BROADCAST: lobby adjusted by ' + secs + ', ' + secsRemaining[room] + ' secs', { event: 'lobby_adjusted', room: room });
+        return null;
+      },
+
+    //    Snapshot of one room's phase & secs remaining (see roomStatus).
+    getRoomStatus: function getRoomStatus(room)
+      {
+        return roomStatus(room);
+      },
+
+    //    Each calibration strategy's drift history (see calibration.js).
+    getDriftHistory: function getDriftHistory()
+      {
+        return calibration.getDriftHistory();
+      },
+
+    //    Snapshot of every active room's phase & secs remaining, plus our calibration state. 
+    getStatus: function getStatus()
+      {
+        var rooms = [];
+        for (var index = 0; index < active_rooms.length; index++)
+        {
+          rooms.push(roomStatus(active_rooms[index]));
+        }
+
+        return  {
+          rooms: rooms,
+          calibration: calibrationStatus()
+        };
       }
   };
 }
@@ -0,0 +1,179 @@
+//    SonicFlux Node.js server - timesync.js
+    //
+    //  This module implements client clock synchronization: a 'time_sync'
+    //  ping/pong from which each client estimates its clock's offset from
+    //  the server's, and its round-trip time, NTP style.  It also provides
+    //  the server's high-resolution send time that every BROADCAST carries,
+    //  and keeps each session's measured offset, for fairness checks.
+    //
+
+  //  ABOUT SONICFLUX: CLOCK SYNC
+  //
+  //    Server time
+    //
+    //  now() is msecs since the epoch, to the microsecond: Date's time, read
+    //  once, advanced by process.hrtime() (which Date's adjustments don't
+    //  move).  Should the two part by more than REANCHOR_MSECS -- the system
+    //  clock was stepped -- now() starts again from Date's time.  In
+    //  simulation mode, now() is the round engine's virtual time instead
+    //  (see clock.js), which every other time sent to clients is on.
+    //
+    //  Every BROADCAST (see pubsub.js), every 'play_timer_update' (see
+    //  scoreboards.js), and the round events sent to a client upon joining
+    //  (see route.js) carry a second argument, stamped as each goes out:
+    //
+    //    { server_send_time }
+    //
+    //  A client that ignores it is unaffected; one that has synced its clock
+    //  can tell how long each tick took to reach it.
+    //
+  //    The exchange
+    //
+    //  The client EMITs 'time_sync' {client_send_time: t0}, and the server
+    //  EMITs back
+    //
+    //    'time_sync' { client_send_time: t0, server_receive_time: t1,
+    //                  server_send_time: t2 }
+    //
+    //  Receiving that at t3 (its clock), the client works out
+    //
+    //    offset = ((t1 - t0) + (t2 - t3)) / 2     server time - client time
+    //    rtt    = (t3 - t0) - (t2 - t1)
+    //
+    //  and should trust the offset of its lowest-rtt exchange most.  A
+    //  client might send a few on connecting, then one every half minute.
+    //  A malformed 'time_sync' gets 'error_time_sync' {error_str, user_input}.
+    //
+  //    Per-session offsets
+    //
+    //  So that the server knows each client's offset too, a client's next
+    //  'time_sync' also reports how its previous one went:
+    //
+    //    { client_send_time: t0, previous: { client_send_time, client_receive_time } }
+    //
+    //  If previous matches the last reply sent to this session, the server
+    //  works out the same offset and rtt from it, and keeps the session's
+    //  latest CLOCK_SAMPLES.  The session's offset is that of its lowest-rtt
+    //  sample (see getClock(), and /admin/sessions).  Samples with a
+    //  negative rtt are dropped.  These are this instance's own: a session's
+    //  sockets all talk to one instance.
+    //
+
+module.exports = function TimeSync(app, clock)
+{
+  //  Module-wide constants
+    var REANCHOR_MSECS = 2;
+    var CLOCK_SAMPLES = 8;
+
+  //  Module-wide variables
+    var anchorTime = new Date().getTime();  //  Date's time at anchorHrtime
+    var anchorHrtime = process.hrtime();
+    var clocks = {};                    //  Per sessionID: {last_reply, samples: [{offset_ms, rtt_ms, measured_at}]}
+
+
+//  Worker functions
+
+  //    Msecs since the epoch, to the microsecond.
+  function now()
+    {
+      if (clock.simulated)
+        return clock.now();
+
+      var elapsed = process.hrtime(anchorHrtime);
+      var time = anchorTime + elapsed[0] * 1000 + elapsed[1] / 1e6;
+      var dateTime = new Date().getTime();
+      if (Math.abs(time - dateTime) > REANCHOR_MSECS)
+      {
+        anchorTime = dateTime;
+        anchorHrtime = process.hrtime();
+        time = dateTime;
+      }
+      return toMicrosecs(time);
+    }
+
+  //    Msecs, rounded to the microsecond.
+  function toMicrosecs(msecs)
+    {
+      return Math.round(msecs * 1000) / 1000;
+    }
+
+  //    Is value a number we can do sums with?
+  function isTime(value)
+    {
+      return (typeof value == 'number') && isFinite(value);
+    }
+
+  //    Keep a sample from the session's previous exchange, if previous is a report of the last reply sent it.
+  function record(sessionID, previous)
+    {
+      var clock = clocks[sessionID];
+      if (!clock || !previous || (typeof previous != 'object'))
+        return;
+
+      var reply = clock.last_reply;
+      if ((previous.client_send_time !== reply.client_send_time) || !isTime(previous.client_receive_time))
+        return;
+
+      var rtt = (previous.client_receive_time - reply.client_send_time) - (reply.server_send_time - reply.server_receive_time);
+      if (rtt < 0)
+        return;
+
+      var offset = ((reply.server_receive_time - reply.client_send_time) + (reply.server_send_time - previous.client_receive_time)) / 2;
+      clock.samples.push( { offset_ms: toMicrosecs(offset), rtt_ms: toMicrosecs(rtt), measured_at: reply.server_send_time } );
+      if (clock.samples.length > CLOCK_SAMPLES)
+        clock.samples.shift();
+    }
+
+  return  {
+
+    //    Msecs since the epoch, to the microsecond.
+    now: now,
+
+    //    The second argument of a stamped EMIT or BROADCAST: the server's send time.
+    stamp: function stamp()
+      {
+        return { server_send_time: now() };
+      },
+
+    //    Upon a 'time_sync' {client_send_time, previous?} received at receivedAt: record any previous, and return the reply.
+      //  Returns an {error_str, user_input} instead if the message is malformed.
+    exchange: function exchange(sessionID, data, receivedAt)
+      {
+        if (!data || (typeof data != 'object') || !isTime(data.client_send_time))
+          return { error_str: "time_sync needs a numeric client_send_time", user_input: (data && (typeof data == 'object')) ? data.client_send_time : data };
+
+        if (sessionID)
+          record(sessionID, data.previous);
+
+        var reply = { client_send_time: data.client_send_time, server_receive_time: receivedAt, server_send_time: now() };
+        if (sessionID)
+        {
+          clocks[sessionID] = clocks[sessionID] || { samples: [] };
+          clocks[sessionID].last_reply = reply;
+        }
+        return reply;
+      },
+
+    //    A session's clock, by its lowest-rtt sample: {offset_ms, rtt_ms, samples, measured_at}, or null if unmeasured.
+    getClock: function getClock(sessionID)
+      {
+        var clock = clocks[sessionID];
+        if (!clock || !clock.samples.length)
+          return null;
+
+        var best = clock.samples[0];
+        for (var index = 1; index < clock.samples.length; index++)
+        {
+          if (clock.samples[index].rtt_ms < best.rtt_ms)
+            best = clock.samples[index];
+        }
+        return { offset_ms: best.offset_ms, rtt_ms: best.rtt_ms, samples: clock.samples.length, measured_at: best.measured_at };
+      },
+
+    //    Upon a session leaving for good: drop its clock.
+    forget: function forget(sessionID)
+      {
+        delete clocks[sessionID];
+      }
+  };
+}
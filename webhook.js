@@ -0,0 +1,249 @@
+//    SonicFlux Node.js server - webhook.js
+    //
+    //  This module implements the round-end webhook: POSTing each finished
+    //  round's ranked results to the Rails server, and retrying deliveries
+    //  that fail until they succeed.
+    //
+
+  //  ABOUT SONICFLUX: ROUND-END WEBHOOK
+  //
+  //    What gets sent
+    //
+    //  Whenever history.js stores a finished round, timer.js hands that
+    //  record to deliver().  It is POSTed to WEBHOOK_URL (see config.js) as
+    //  JSON: {delivery_id, round_id, room, started_at, ended_at, results},
+    //  results being the ranked list of {player_tag, user_id, points, rank,
+    //  flagged, team}.  With no WEBHOOK_URL configured, nothing is sent.
+    //
+    //  Each POST is signed: the 'X-SonicFlux-Signature' header carries
+    //  'sha256=' plus the hex HMAC-SHA256 of the exact request body, keyed
+    //  with WEBHOOK_SECRET.  The receiver recomputes it to check that the
+    //  results really came from us, untampered.  The body never changes
+    //  between retries, so neither does its signature; receivers can use
+    //  delivery_id to ignore a delivery they have already processed.
+    //
+  //    Retries
+    //
+    //  Every delivery goes through a queue that is saved to QUEUE_FILE (in
+    //  the directory app.js gives us: data/, beside the round history) on
+    //  each change, so deliveries pending at a crash or restart are sent
+    //  after it.  A delivery leaves the queue only on a 2xx response.  Any
+    //  other outcome (error, timeout, non-2xx) is retried after a backoff
+    //  that starts at RETRY_BASE_SECS and doubles with each failed attempt,
+    //  up to RETRY_MAX_SECS.  /admin/webhook shows the queue's state.
+    //
+    //  test/webhook.test.js checks the signing, the backoffs and the queue
+    //  against a stub receiver, with a queue directory of its own.
+    //
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var crypto = require('crypto');
+var log = require('./log.js')('webhook');
+
+module.exports = function Webhook(app, queueDir)
+{
+  //  Module-wide constants
+    var QUEUE_DIR = queueDir;
+    var QUEUE_FILE = path.join(QUEUE_DIR, 'webhook_queue.json');
+    var RETRY_BASE_SECS = 5;
+    var RETRY_MAX_SECS = 600;
+    var MSECS_REQUEST_TIMEOUT = 10000;
+
+  //  Module-wide variables
+    var queue = [];                     //  Pending deliveries, oldest first
+    var nextDeliveryId = 1;
+    var retryTimeoutObj = null;         //  Needed to cancel the next scheduled attempt
+    var deliveredCount = 0;
+    var failedAttemptCount = 0;
+
+  //    Read back any deliveries that were still pending when we last stopped.
+  function loadQueue()
+    {
+      if (!fs.existsSync(QUEUE_DIR))
+      {
+        fs.mkdirSync(QUEUE_DIR);
+      }
+      if (!fs.existsSync(QUEUE_FILE))
+      {
+        return;
+      }
+
+      try
+      {
+        var saved = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+        queue = saved.queue;
+        nextDeliveryId = saved.next_delivery_id;
+      }
+      catch (err)
+      {
+        log.error('Could not read ' + QUEUE_FILE + ', starting with an empty queue -- ' + err, { event: 'webhook_queue_unreadable' });
+        return;
+      }
+      for (var index = 0; index < queue.length; index++)
+      {
+        queue[index].in_flight = false;   //  Whatever was in flight at shutdown gets resent
+      }
+      log.info('Loaded ' + queue.length + ' pending deliveries from ' + QUEUE_FILE, { event: 'webhook_queue_loaded' });
+    }
+
+  //    Save the queue, replacing the file in one step so a crash can't leave it half-written.
+  function saveQueue()
+    {
+      fs.writeFileSync(QUEUE_FILE + '.tmp', JSON.stringify( { next_delivery_id: nextDeliveryId, queue: queue } ));
+      fs.renameSync(QUEUE_FILE + '.tmp', QUEUE_FILE);
+    }
+
+  //    Set a one-shot to fire when the soonest pending delivery is due.
+  function scheduleNextAttempt()
+    {
+      clearTimeout(retryTimeoutObj);
+      retryTimeoutObj = null;
+
+      var soonest = null;
+      for (var index = 0; index < queue.length; index++)
+      {
+        if (!queue[index].in_flight && ((soonest == null) || (queue[index].next_attempt_at < soonest)))
+        {
+          soonest = queue[index].next_attempt_at;
+        }
+      }
+      if (soonest != null)
+      {
+        retryTimeoutObj = setTimeout(attemptDueDeliveries, Math.max(0, soonest - new Date().getTime()));
+      }
+    }
+
+  //    Send every delivery whose next attempt is due (and isn't already being sent).
+  function attemptDueDeliveries()
+    {
+      var now = new Date().getTime();
+      for (var index = 0; index < queue.length; index++)
+      {
+        if (!queue[index].in_flight && (queue[index].next_attempt_at <= now))
+        {
+          attemptDelivery(queue[index]);
+        }
+      }
+      scheduleNextAttempt();
+    }
+
+  //    POST one delivery's signed body; on completion, dequeue it or schedule its retry.
+  function attemptDelivery(delivery)
+    {
+      var target = url.parse(WEBHOOK_URL);
+      var signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(delivery.body).digest('hex');
+      var finished = false;
+
+      delivery.in_flight = true;
+      delivery.attempts++;
+
+      var request = ((target.protocol == 'https:') ? https : http).request(
+        {
+          method   : 'POST',
+          hostname : target.hostname,
+          port     : target.port,
+          path     : target.path,
+          headers  : {
+            'Content-Type'          : 'application/json',
+            'Content-Length'        : Buffer.byteLength(delivery.body),
+            'X-SonicFlux-Signature' : 'sha256=' + signature
+          }
+        },
+        function(response)
+        {
+          response.resume();             //  We only need the status code
+          finished = true;
+          if ((response.statusCode >= 200) && (response.statusCode < 300))
+          {
+            deliverySucceeded(delivery);
+          }
+          else
+          {
+            deliveryFailed(delivery, 'HTTP ' + response.statusCode);
+          }
+        });
+
+      request.setTimeout(MSECS_REQUEST_TIMEOUT, function()
+        {
+          request.abort();               //  Also raises 'error', handled below
+        });
+      request.on('error', function(err)
+        {
+          if (!finished)
+          {
+            finished = true;
+            deliveryFailed(delivery, '' + err);
+          }
+        });
+      request.end(delivery.body);
+    }
+
+  //    A 2xx: drop the delivery from the queue for good.
+  function deliverySucceeded(delivery)
+    {
+      queue.splice(queue.indexOf(delivery), 1);
+      deliveredCount++;
+      saveQueue();
+      log.info('Delivered ' + delivery.delivery_id + ' (round ' + delivery.round_id + ') after ' + delivery.attempts + ' attempt(s)', { event: 'webhook_delivered', room: delivery.room });
+    }
+
+  //    Anything else: back off exponentially, up to RETRY_MAX_SECS, and try again.
+  function deliveryFailed(delivery, errorStr)
+    {
+      var backoffSecs = Math.min(RETRY_MAX_SECS, RETRY_BASE_SECS * Math.pow(2, delivery.attempts - 1));
+
+      delivery.in_flight = false;
+      delivery.last_error = errorStr;
+      delivery.next_attempt_at = new Date().getTime() + backoffSecs * 1000;
+      failedAttemptCount++;
+      saveQueue();
+      log.warn('Delivery ' + delivery.delivery_id + ' (round ' + delivery.round_id + ') failed: ' + errorStr + '. Retrying in ' + backoffSecs + ' secs', { event: 'webhook_failed', room: delivery.room });
+      scheduleNextAttempt();
+    }
+
+  loadQueue();
+  if (WEBHOOK_URL)
+  {
+    scheduleNextAttempt();
+  }
+
+  return  {
+
+    //    Queue a finished round (a history.js record) for delivery, and send it right away.
+    deliver: function deliver(round)
+      {
+        if (!WEBHOOK_URL)
+        {
+          return;
+        }
+
+        var deliveryId = nextDeliveryId++;
+        var body = JSON.stringify( { delivery_id: deliveryId, round_id: round.round_id, room: round.room,
+                                     started_at: round.started_at, ended_at: round.ended_at, results: round.results } );
+        var delivery = { delivery_id: deliveryId, round_id: round.round_id, room: round.room, body: body,
+                         attempts: 0, next_attempt_at: new Date().getTime(), last_error: null, in_flight: false };
+        queue.push(delivery);
+        saveQueue();
+
+        attemptDelivery(delivery);
+      },
+
+    //    Snapshot of the queue, and delivery totals since startup, for the admin API.
+    getStatus: function getStatus()
+      {
+        var pending = [];
+        for (var index = 0; index < queue.length; index++)
+        {
+          pending.push( { delivery_id: queue[index].delivery_id, round_id: queue[index].round_id, room: queue[index].room,
+                          attempts: queue[index].attempts, next_attempt_at: queue[index].next_attempt_at,
+                          in_flight: queue[index].in_flight, last_error: queue[index].last_error } );
+        }
+        return  { enabled: !!WEBHOOK_URL, url: WEBHOOK_URL, delivered: deliveredCount,
+                  failed_attempts: failedAttemptCount, pending: pending };
+      }
+  };
+}